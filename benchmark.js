@@ -0,0 +1,116 @@
+import TermMatcher from './src/utils/termMatcher.js';
+
+const GLOSSARY_SIZES = [100, 1000, 5000, 20000, 50000];
+// The regex-per-term approach gets too slow to wait for beyond this size
+const REGEX_LIMIT = 5000;
+const TEXT_NODES = 2000;
+
+const SYLLABLES = ['ka', 'ri', 'to', 'sh', 'en', 'mo', 'ra', 'ul', 'ze', 'no', 'vi', 'ar', 'qu', 'el', 'do', 'an'];
+
+// Deterministic pseudo-random numbers so runs are comparable
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+function createWord(random) {
+  const length = 2 + Math.floor(random() * 4);
+  let word = '';
+  for (let i = 0; i < length; i++) {
+    word += SYLLABLES[Math.floor(random() * SYLLABLES.length)];
+  }
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function createGlossary(size, random) {
+  const terms = new Set();
+  while (terms.size < size) {
+    terms.add(random() < 0.3 ? `${createWord(random)} ${createWord(random)}` : createWord(random));
+  }
+  return Array.from(terms, (term, index) => ({ term, index, translation: `T${index}` }));
+}
+
+// Text nodes of ~20 words where roughly one word in ten is a glossary term
+function createTextNodes(glossary, random) {
+  const nodes = [];
+  for (let i = 0; i < TEXT_NODES; i++) {
+    const words = [];
+    for (let j = 0; j < 20; j++) {
+      words.push(random() < 0.1 ?
+        glossary[Math.floor(random() * glossary.length)].term :
+        createWord(random).toLowerCase());
+    }
+    nodes.push(words.join(' '));
+  }
+  return nodes;
+}
+
+// The matching loop translateTextNode used before the compiled matcher
+function regexPerTerm(glossary, nodes) {
+  const sorted = [...glossary].sort((a, b) => b.term.length - a.term.length);
+  let replaced = 0;
+  nodes.forEach(text => {
+    sorted.forEach(({ term, translation }) => {
+      if (!text.includes(term)) return;
+      const regex = new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
+      text = text.replace(regex, () => {
+        replaced++;
+        return translation;
+      });
+    });
+  });
+  return replaced;
+}
+
+function measure(fn) {
+  const start = performance.now();
+  const result = fn();
+  return { result, duration: performance.now() - start };
+}
+
+async function run() {
+  const results = document.getElementById('results');
+  const status = document.getElementById('status');
+  results.replaceChildren();
+  const rows = [];
+
+  for (const size of GLOSSARY_SIZES) {
+    status.textContent = `Running ${size} terms...`;
+    // Let the status paint before the synchronous work starts
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const random = createRandom(size);
+    const glossary = createGlossary(size, random);
+    const nodes = createTextNodes(glossary, random);
+    const bytes = nodes.reduce((total, text) => total + text.length * 2, 0);
+
+    const compile = measure(() => new TermMatcher(glossary));
+    const scan = measure(() => nodes.reduce((total, text) => total + compile.result.findMatches(text).length, 0));
+    const regex = size <= REGEX_LIMIT ? measure(() => regexPerTerm(glossary, nodes)) : null;
+
+    const row = {
+      terms: size,
+      compileMs: compile.duration.toFixed(1),
+      scanMs: scan.duration.toFixed(1),
+      throughputMBs: (bytes / 1048576 / (scan.duration / 1000)).toFixed(1),
+      regexMs: regex ? regex.duration.toFixed(1) : 'skipped'
+    };
+    rows.push(row);
+
+    const tr = document.createElement('tr');
+    Object.values(row).forEach(value => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    results.appendChild(tr);
+  }
+
+  status.textContent = `Done: ${TEXT_NODES} text nodes per glossary size.`;
+  console.table(rows);
+}
+
+document.getElementById('run').addEventListener('click', run);
@@ -1,54 +1,337 @@
-// Track which tabs have content scripts ready
-const readyTabs = new Set();
-
-// Initialize default settings
-chrome.runtime.onInstalled.addListener(function() {
-  chrome.storage.local.set({
-    isEnabled: false,
-    targetLang: 'en',
-    translationEngine: 'google',
-    gamePackage: null
+import PackageLibrary from './services/packageLibrary.js';
+import MachineTranslationService from './services/machineTranslationService.js';
+import TranslationMemory from './services/translationMemory.js';
+import PackageSubscriptions from './services/packageSubscriptions.js';
+import UserGlossary from './services/userGlossary.js';
+import Logger from './utils/logger.js';
+
+const logger = new Logger('Background');
+
+// Track which frames have content scripts ready: tab id -> Set of frame ids
+const readyFrames = new Map();
+
+// Whether translation is on in each tab, and the terms each of its frames
+// translated. Kept in session storage too, as the worker stops when idle.
+const TAB_STATES_KEY = 'tabStates';
+// Sites whose enable state is remembered for new pages, by host name
+const REMEMBERED_SITES_KEY = 'rememberedSites';
+let tabStatesLoaded = null;
+
+// Translated segments persisted across page loads
+const translationMemory = new TranslationMemory();
+
+// Context menu entries on selected text: id -> title. Each id is also the
+// content script action the entry triggers.
+const SELECTION_MENUS = {
+  lookupSelection: 'Look up "%s" in glossary',
+  addToGlossary: 'Add "%s" to glossary'
+};
+
+// Initialize default settings on install, keep the user's on update
+chrome.runtime.onInstalled.addListener(function(details) {
+  if (details.reason === 'install') {
+    chrome.storage.local.set({
+      targetLang: 'en',
+      translationEngine: 'none',
+      engineSettings: {},
+      packageLibrary: []
+    });
+  } else if (details.reason === 'update') {
+    PackageLibrary.migrateLegacyPackage()
+      .then(() => PackageLibrary.migrateFormats())
+      .then(() => PackageLibrary.migrateHistory())
+      .catch(error => logger.error('Failed to migrate stored packages', error));
+    // Translation is turned on per tab now
+    chrome.storage.local.remove('isEnabled');
+  }
+  PackageSubscriptions.scheduleChecks()
+    .catch(error => logger.error('Failed to schedule subscription checks', error));
+  createSelectionMenus();
+});
+
+// Menus persist across browser restarts but not extension updates, so they
+// are made again on every install or update
+function createSelectionMenus() {
+  chrome.contextMenus.removeAll(() => {
+    Object.entries(SELECTION_MENUS).forEach(([id, title]) => {
+      chrome.contextMenus.create({ id, title, contexts: ['selection'] });
+    });
   });
+}
+
+// Ask the frame holding the selection to show the lookup or the add-term form
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!Object.hasOwn(SELECTION_MENUS, info.menuItemId) || !tab) return;
+
+  sendMessageToContentScript(tab.id, { action: info.menuItemId, text: info.selectionText }, { frameId: info.frameId })
+    .catch(() => {
+      // Pages such as chrome:// or the web store cannot run the content script
+    });
+});
+
+// Alarms can be cleared when the browser restarts
+chrome.runtime.onStartup.addListener(() => {
+  PackageSubscriptions.scheduleChecks()
+    .catch(error => logger.error('Failed to schedule subscription checks', error));
+});
+
+// Check subscribed package URLs for updates
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === PackageSubscriptions.ALARM_NAME) {
+    PackageSubscriptions.checkAll()
+      .catch(error => logger.error('Scheduled subscription check failed', error));
+  }
 });
 
 // Listen for content script ready messages
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'contentScriptReady' && sender.tab) {
-    readyTabs.add(sender.tab.id);
-    console.log('Content script ready in tab:', sender.tab.id);
+    markReady(sender.tab.id, sender.frameId);
+    logger.debug('Content script ready', { tabId: sender.tab.id, frameId: sender.frameId });
     sendResponse({ success: true });
+  } else if (message.action === 'getTabState') {
+    // Content scripts ask for their own tab, the popup names the tab
+    const tabId = sender.tab ? sender.tab.id : message.tabId;
+    const url = sender.tab ? sender.tab.url : message.url;
+    getTabState(tabId, url)
+      .then(state => sendResponse({ success: true, ...state }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (message.action === 'setTabState') {
+    setTabState(message.tabId, message.url, message.enabled, message.remember)
+      .then(state => sendResponse({ success: true, ...state }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (message.action === 'reportTermCount' && sender.tab) {
+    updateTermCount(sender.tab.id, sender.frameId, message.count);
+  } else if (message.action === 'machineTranslate') {
+    MachineTranslationService.translateSegments(message.segments, message.targetLang, {
+      packageKey: message.packageKey,
+      memory: translationMemory
+    })
+      .then(results => sendResponse({ success: true, results }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Keep the message channel open for async response
+  } else if (message.action === 'getMemoryStats') {
+    translationMemory.getStats()
+      .then(stats => sendResponse({ success: true, stats }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (message.action === 'clearMemory') {
+    translationMemory.clear()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (message.action === 'subscribePackage') {
+    PackageSubscriptions.subscribe(message.url)
+      .then(subscription => sendResponse({ success: true, subscription }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (message.action === 'unsubscribePackage') {
+    PackageSubscriptions.unsubscribe(message.url)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (message.action === 'addGlossaryTerm') {
+    UserGlossary.addTerm(message.term || {})
+      .then(entry => sendResponse({ success: true, name: PackageLibrary.getName(entry.gamePackage) }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (message.action === 'checkSubscriptions') {
+    PackageSubscriptions.checkAll()
+      .then(results => sendResponse({ success: true, results }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
   }
 });
 
 // Clean up when tabs are closed
 chrome.tabs.onRemoved.addListener((tabId) => {
-  readyTabs.delete(tabId);
+  readyFrames.delete(tabId);
+  loadTabStates().then(states => {
+    states.delete(tabId);
+    saveTabStates(states);
+  });
+});
+
+// A new page starts counting again; its frames report their terms once translated
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status !== 'loading') return;
+  readyFrames.delete(tabId);
+  loadTabStates().then(states => {
+    const state = states.get(tabId);
+    if (state) {
+      state.counts = {};
+      saveTabStates(states);
+    }
+    updateBadge(tabId, state);
+  });
 });
 
-// Helper function to check if content script is ready
-async function isContentScriptReady(tabId) {
-  if (readyTabs.has(tabId)) {
+/**
+ * Get the tab states, loading them once per worker start
+ * @returns {Promise<Map>} - Tab id -> { enabled, counts } where enabled is null
+ *   until the tab is switched, and counts maps frame ids to term counts
+ */
+function loadTabStates() {
+  if (!tabStatesLoaded) {
+    tabStatesLoaded = chrome.storage.session.get(TAB_STATES_KEY).then(({ [TAB_STATES_KEY]: states }) =>
+      new Map(Object.entries(states || {}).map(([tabId, state]) => [Number(tabId), state]))
+    );
+  }
+  return tabStatesLoaded;
+}
+
+function saveTabStates(states) {
+  return chrome.storage.session.set({ [TAB_STATES_KEY]: Object.fromEntries(states) });
+}
+
+/**
+ * Get the host name a tab's state is remembered under
+ * @param {string} url - The tab's URL
+ * @returns {string|null} - The host name, or null for pages that are not on a site
+ */
+function getSite(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return /^https?:$/.test(protocol) && hostname ? hostname : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get whether translation is on in a tab. A tab that was never switched
+ * takes its site's remembered state, else translation is off.
+ * @param {number} tabId - The tab
+ * @param {string} [url] - The tab's URL
+ * @returns {Promise<Object>} - { enabled, remembered, count }
+ */
+async function getTabState(tabId, url) {
+  const states = await loadTabStates();
+  const site = getSite(url);
+  const { [REMEMBERED_SITES_KEY]: remembered = {} } = await chrome.storage.local.get(REMEMBERED_SITES_KEY);
+  const state = states.get(tabId);
+  const rememberedState = site && Object.hasOwn(remembered, site) ? remembered[site] : null;
+
+  return {
+    enabled: state && state.enabled !== null ? state.enabled : rememberedState === true,
+    remembered: rememberedState !== null,
+    count: getTermCount(state)
+  };
+}
+
+/**
+ * Switch translation on or off in a tab and tell its frames
+ * @param {number} tabId - The tab
+ * @param {string} [url] - The tab's URL
+ * @param {boolean} enabled - The new state
+ * @param {boolean} [remember] - Remember the state for the tab's site, or
+ *   forget it when false; left as it is when undefined
+ * @returns {Promise<Object>} - The new state, as from getTabState
+ */
+async function setTabState(tabId, url, enabled, remember) {
+  const states = await loadTabStates();
+  const state = states.get(tabId) || { enabled: null, counts: {} };
+  state.enabled = Boolean(enabled);
+  states.set(tabId, state);
+  await saveTabStates(states);
+
+  const site = getSite(url);
+  if (site && remember !== undefined) {
+    const { [REMEMBERED_SITES_KEY]: remembered = {} } = await chrome.storage.local.get(REMEMBERED_SITES_KEY);
+    if (remember) {
+      remembered[site] = state.enabled;
+    } else {
+      delete remembered[site];
+    }
+    await chrome.storage.local.set({ [REMEMBERED_SITES_KEY]: remembered });
+  }
+
+  try {
+    await sendMessageToContentScript(tabId, { action: 'toggleTranslation', state: state.enabled });
+  } catch (error) {
+    // Pages such as chrome:// cannot run the content script; the state applies once one can
+  }
+  return getTabState(tabId, url);
+}
+
+/**
+ * Record the number of terms a frame has translated and show the tab's total
+ * @param {number} tabId - The tab
+ * @param {number} frameId - The frame
+ * @param {number} count - Terms translated in the frame
+ */
+async function updateTermCount(tabId, frameId, count) {
+  const states = await loadTabStates();
+  const state = states.get(tabId) || { enabled: null, counts: {} };
+  if (count > 0) {
+    state.counts[frameId] = count;
+  } else {
+    delete state.counts[frameId];
+  }
+  states.set(tabId, state);
+  updateBadge(tabId, state);
+  await saveTabStates(states);
+}
+
+function getTermCount(state) {
+  return state ? Object.values(state.counts).reduce((total, count) => total + count, 0) : 0;
+}
+
+/**
+ * Show a tab's translated term count on the toolbar icon
+ * @param {number} tabId - The tab
+ * @param {Object} [state] - The tab's state
+ */
+function updateBadge(tabId, state) {
+  const count = getTermCount(state);
+  chrome.action.setBadgeText({ tabId, text: count > 999 ? '999+' : count ? String(count) : '' })
+    .catch(() => {}); // The tab may have closed meanwhile
+}
+
+// Remember that a frame's content script answers
+function markReady(tabId, frameId = 0) {
+  if (!readyFrames.has(tabId)) readyFrames.set(tabId, new Set());
+  readyFrames.get(tabId).add(frameId);
+}
+
+// Helper function to check if content script is ready in a frame, the top one by default
+async function isContentScriptReady(tabId, frameId = 0) {
+  if (readyFrames.get(tabId)?.has(frameId)) {
     return true;
   }
 
   try {
-    const response = await chrome.tabs.sendMessage(tabId, { action: 'ping' });
+    const response = await chrome.tabs.sendMessage(tabId, { action: 'ping' }, { frameId });
     if (response.success) {
-      readyTabs.add(tabId);
+      markReady(tabId, frameId);
       return true;
     }
   } catch (error) {
-    console.log('Content script not ready in tab:', tabId);
+    // No content script in the tab yet
     return false;
   }
   return false;
 }
 
-// Helper function to inject content script
+// Helper function to inject content script into the frames still without it.
+// Running content.js twice in a frame would declare its classes twice.
 async function injectContentScript(tabId) {
   try {
+    // Every frame runs its own translator, as with the manifest's all_frames
+    const loaded = await chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      func: () => typeof GameTranslator !== 'undefined'
+    });
+    const frameIds = loaded.filter(({ result }) => !result).map(({ frameId }) => frameId);
+    if (!frameIds.length) return true;
+
+    const target = { tabId, frameIds };
+    await chrome.scripting.insertCSS({ target, files: ['src/styles.css'] });
+    await chrome.scripting.executeScript({ target, files: ['src/shadowHook.js'], world: 'MAIN' });
     await chrome.scripting.executeScript({
-      target: { tabId },
+      target,
       files: ['src/content.js']
     });
     return true;
@@ -58,11 +341,12 @@ async function injectContentScript(tabId) {
   }
 }
 
-// Helper function to safely send message to content script
-async function sendMessageToContentScript(tabId, message) {
+// Helper function to safely send message to content script; options such as
+// frameId are passed on to chrome.tabs.sendMessage
+async function sendMessageToContentScript(tabId, message, options = {}) {
   try {
-    // Check if content script is ready
-    if (!await isContentScriptReady(tabId)) {
+    // Check if content script is ready in the frame the message is for
+    if (!await isContentScriptReady(tabId, options.frameId)) {
       // Try to inject content script
       if (!await injectContentScript(tabId)) {
         throw new Error('Could not inject content script');
@@ -72,7 +356,7 @@ async function sendMessageToContentScript(tabId, message) {
     }
 
     // Send the message
-    const response = await chrome.tabs.sendMessage(tabId, message);
+    const response = await chrome.tabs.sendMessage(tabId, message, options);
     return response;
   } catch (error) {
     console.error('Error sending message to content script:', error);
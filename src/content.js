@@ -1,82 +1,282 @@
+// Content scripts cannot be ES modules, so shared modules are imported from
+// the extension bundle (see web_accessible_resources in manifest.json)
+async function loadModule(path) {
+  const module = await import(chrome.runtime.getURL(path));
+  return module.default;
+}
+
 class GameTranslator {
+  // Elements whose text is not page content
+  static SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'TEMPLATE']);
+  // Elements added by the translator, whose text must not be translated again
+  static OWN_ELEMENTS = '.game-translator-tooltip, .game-translator-keyword, .game-translator-machine, ' +
+    '.game-translator-style, .game-translator-description, .game-translator-tooltip-description, ' +
+    '.game-translator-popover';
+  // Page styles do not reach into shadow roots, so each one links the extension's
+  static SHADOW_STYLE_CLASS = 'game-translator-style';
+  // Least time between reports of the terms shown, for the toolbar badge and
+  // the glossary side panel, in milliseconds
+  static REPORT_DELAY = 500;
+  // Matches the game-translator-flash animation in styles.css
+  static FLASH_DURATION = 1500;
+  // Entries shown when looking up the selection
+  static LOOKUP_RESULTS = 5;
+  // Time the "saved" message stays before the add-term form closes, in milliseconds
+  static SAVED_DELAY = 1200;
+
   constructor() {
     this.isEnabled = false;
     this.targetLang = 'en';
-    this.translationEngine = 'google';
-    this.gamePackage = null;
+    this.translationEngine = 'none';
+    this.displayMode = 'replace';
+    // Enabled packages whose site rules match this page, highest priority first
+    this.packages = [];
+    // Display modes chosen in the popup for single packages, by package name
+    this.packageDisplayModes = new Map();
+    // Compiled term matchers of the active packages for the target language
+    this.matchers = [];
+    this.matchersKey = null;
     this.observer = null;
-    this.tooltipElement = null;
+    // Open shadow roots found in this frame; each is observed like the body
+    this.shadowRoots = new Set();
+    this.tooltip = null;
+    // Original text node -> nodes that replaced it, so translations can be undone
+    this.replacedNodes = new Map();
+    // Attribute name -> matchers of the packages that translate it
+    this.attributeMatchers = new Map();
+    // Element -> Map of attribute name -> { original, translated }
+    this.translatedAttributes = new Map();
+    // Element -> { description, original, translated } for definitions in
+    // attributes other than title, linked with aria-describedby
+    this.attributeDescriptions = new Map();
+    this.nextDescriptionId = 0;
+    // Last term count sent for the badge, and the timer of the next report
+    this.reportedCount = 0;
+    this.reportTimer = null;
+    // Set once the glossary side panel asks for this frame's terms
+    this.glossaryRequested = false;
+    this.reportedGlossary = null;
+    // Segments of text nodes waiting to be sent for machine translation
+    this.machineQueue = [];
+    // Original text node -> all text nodes of the segment it was machine
+    // translated with, which are restored together
+    this.machineSegments = new Map();
+    // Bumped on every revert so late machine translations are dropped
+    this.translationRun = 0;
+    // Set when the engine failed, to stop sending further requests
+    this.machineTranslationError = null;
+    this.onShadowRoot = event => {
+      const root = this.DomTraversal.getAnnouncedRoot(event);
+      if (root && this.observer) this.withoutObserving(() => this.addShadowRoot(root));
+    };
     this.init();
   }
 
   async init() {
+    // Nothing to translate in documents without a body, such as XML files
+    if (!document.body) return;
+
+    this.TranslationService = await loadModule('src/services/translationService.js');
+    this.PackageLibrary = await loadModule('src/services/packageLibrary.js');
+    this.SiteRules = await loadModule('src/utils/siteRules.js');
+    this.TermMatcher = await loadModule('src/utils/termMatcher.js');
+    this.KeywordRenderer = await loadModule('src/services/keywordRenderer.js');
+    this.LanguageResolver = await loadModule('src/utils/languageResolver.js');
+    this.PackageFormat = await loadModule('src/utils/packageFormat.js');
+    this.RichText = await loadModule('src/utils/richText.js');
+    this.TooltipController = await loadModule('src/services/tooltipController.js');
+    this.MutationScheduler = await loadModule('src/services/mutationScheduler.js');
+    this.PageGlossary = await loadModule('src/utils/pageGlossary.js');
+    this.SearchIndex = await loadModule('src/utils/searchIndex.js');
+    this.SelectionPopover = await loadModule('src/services/selectionPopover.js');
+    this.DomTraversal = await loadModule('src/utils/domTraversal.js');
+    const Logger = await loadModule('src/utils/logger.js');
+    this.logger = new Logger('GameTranslator');
+
     // Load settings
     const settings = await chrome.storage.local.get([
-      'isEnabled',
       'targetLang',
       'translationEngine',
-      'gamePackage'
+      'displayMode'
     ]);
     
-    this.isEnabled = settings.isEnabled || false;
+    this.isEnabled = await this.loadTabState();
     this.targetLang = settings.targetLang || 'en';
-    this.translationEngine = settings.translationEngine || 'google';
-    this.gamePackage = settings.gamePackage;
+    this.translationEngine = settings.translationEngine || 'none';
+    this.displayMode = settings.displayMode || this.KeywordRenderer.DEFAULT_DISPLAY_MODE;
+    await this.loadPackages();
 
-    console.log('Initializing Game Translator:', {
+    this.logger.debug('Initializing', {
       isEnabled: this.isEnabled,
       targetLang: this.targetLang,
       translationEngine: this.translationEngine,
-      hasGamePackage: !!this.gamePackage
+      activePackages: this.packages.length
     });
 
     this.setupMessageListener();
     this.createTooltip();
+    this.popover = new this.SelectionPopover({ styleUrl: chrome.runtime.getURL('src/styles.css') });
+    this.scheduler = new this.MutationScheduler({
+      process: (node, reasons) => this.withoutObserving(() => this.processChange(node, reasons))
+    });
+    document.addEventListener(this.DomTraversal.SHADOW_ROOT_EVENT, this.onShadowRoot, true);
+    // Frames are removed independently of the page around them
+    window.addEventListener('pagehide', event => {
+      if (!event.persisted) this.destroy();
+    });
 
-    // Start translation if enabled and game package is available
-    if (this.isEnabled && this.gamePackage) {
+    // Start translation if enabled and a game package is active
+    if (this.isEnabled && this.packages.length) {
       this.startTranslation();
     }
 
     // Listen for storage changes
-    chrome.storage.onChanged.addListener((changes, namespace) => {
+    this.storageListener = (changes, namespace) => {
       if (namespace === 'local') {
         for (let [key, { newValue }] of Object.entries(changes)) {
           switch (key) {
-            case 'isEnabled':
-              this.isEnabled = newValue;
-              if (newValue) {
-                this.startTranslation();
-              } else {
-                this.stopTranslation();
-              }
-              break;
             case 'targetLang':
               this.targetLang = newValue;
+              this.lookupServices = null;
+              if (this.isEnabled) {
+                this.retranslatePage();
+              }
+              break;
+            case 'displayMode':
+              this.displayMode = newValue || this.KeywordRenderer.DEFAULT_DISPLAY_MODE;
               if (this.isEnabled) {
-                this.translatePage();
+                this.retranslatePage();
               }
               break;
-            case 'gamePackage':
-              this.gamePackage = newValue;
+            case 'translationEngine':
+            case 'engineSettings':
+              this.translationEngine = key === 'translationEngine' ? newValue : this.translationEngine;
+              this.machineTranslationError = null;
               if (this.isEnabled) {
-                this.translatePage();
+                this.retranslatePage();
               }
               break;
+            case this.PackageLibrary.STORAGE_KEY:
+            case 'siteRules':
+              this.lookupServices = null;
+              this.loadPackages().then(() => {
+                if (this.isEnabled) {
+                  this.retranslatePage();
+                }
+              });
+              break;
           }
         }
       }
+    };
+    chrome.storage.onChanged.addListener(this.storageListener);
+  }
+
+  /**
+   * Ask the background whether translation is on in this tab
+   */
+  async loadTabState() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getTabState' });
+      return Boolean(response && response.success && response.enabled);
+    } catch (error) {
+      this.logger.debug('Could not get the tab state, translation stays off', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Report the terms shown in this frame, at most once per REPORT_DELAY
+   */
+  scheduleTermReport() {
+    if (this.reportTimer) return;
+    this.reportTimer = setTimeout(() => {
+      this.reportTimer = null;
+      this.reportTerms();
+    }, GameTranslator.REPORT_DELAY);
+  }
+
+  /**
+   * Send the number of terms shown for the toolbar badge and, once the side
+   * panel has asked for it, the frame's glossary
+   */
+  reportTerms() {
+    const keywords = this.getKeywords();
+    if (this.glossaryRequested) {
+      this.sendGlossary(keywords);
+    }
+    if (keywords.length === this.reportedCount) return;
+
+    this.reportedCount = keywords.length;
+    chrome.runtime.sendMessage({ action: 'reportTermCount', count: keywords.length }).catch(() => {
+      // The extension was reloaded; this frame's badge count no longer matters
     });
   }
 
+  /**
+   * Get the keyword elements in this frame, its shadow roots included
+   */
+  getKeywords() {
+    return [document, ...this.shadowRoots].flatMap(root =>
+      Array.from(root.querySelectorAll('.game-translator-keyword')));
+  }
+
+  sendGlossary(keywords) {
+    const entries = this.PageGlossary.collect(keywords);
+    const glossary = JSON.stringify(entries);
+    if (glossary === this.reportedGlossary) return;
+
+    this.reportedGlossary = glossary;
+    chrome.runtime.sendMessage({ action: 'pageGlossary', entries }).catch(() => {
+      // The side panel has been closed
+    });
+  }
+
+  /**
+   * Scroll to an occurrence of a glossary term and flash it
+   * @returns {number} - How many occurrences the term has in this frame
+   */
+  showTerm(key, index) {
+    const keywords = this.getKeywords().filter(keyword =>
+      this.PageGlossary.getKey(this.KeywordRenderer.readKeyword(keyword)) === key);
+    const keyword = keywords[index % keywords.length];
+    if (!keyword) return 0;
+
+    keyword.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    // Restart the animation when the same keyword is shown again
+    keyword.classList.remove('game-translator-flash');
+    void keyword.offsetWidth;
+    keyword.classList.add('game-translator-flash');
+    setTimeout(() => keyword.classList.remove('game-translator-flash'), GameTranslator.FLASH_DURATION);
+    return keywords.length;
+  }
+
+  /**
+   * Load the enabled packages whose site rules allow this page
+   */
+  async loadPackages() {
+    const { siteRules } = await chrome.storage.local.get('siteRules');
+    const library = await this.PackageLibrary.getAll();
+
+    this.packages = this.PackageLibrary.getActive(library).filter(gamePackage =>
+      this.SiteRules.evaluate(gamePackage, location.href, siteRules).active
+    );
+    this.packageDisplayModes = new Map(library
+      .filter(entry => entry.displayMode)
+      .map(entry => [entry.gamePackage?.metadata?.name, entry.displayMode]));
+  }
+
   createTooltip() {
-    this.tooltipElement = document.createElement('div');
-    this.tooltipElement.className = 'game-translator-tooltip';
-    document.body.appendChild(this.tooltipElement);
+    this.tooltip = new this.TooltipController({
+      selector: '.game-translator-keyword',
+      render: keyword => this.renderTooltip(keyword),
+      getDelay: keyword => this.getPackageSettings(keyword.dataset.package).tooltipDelay
+    });
+    this.tooltip.start();
   }
 
   setupMessageListener() {
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    this.messageListener = (message, sender, sendResponse) => {
       try {
         switch (message.action) {
           case 'toggleTranslation':
@@ -96,38 +296,62 @@ class GameTranslator {
           case 'ping':
             sendResponse({ success: true });
             break;
+          case 'getGlossary':
+            // Every frame answers by sending its glossary to the side panel
+            this.glossaryRequested = true;
+            this.reportedGlossary = null;
+            this.sendGlossary(this.getKeywords());
+            sendResponse({ success: true });
+            break;
+          case 'showTerm':
+            sendResponse({ success: true, count: this.showTerm(message.key, message.index) });
+            break;
+          case 'lookupSelection':
+            this.lookUp(message.text)
+              .then(() => sendResponse({ success: true }))
+              .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+          case 'addToGlossary':
+            this.showAddTermForm(message.text)
+              .then(() => sendResponse({ success: true }))
+              .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
           default:
-            console.log('Unknown message action:', message.action);
+            this.logger.warn('Unknown message action', { action: message.action });
             sendResponse({ success: false, error: 'Unknown action' });
         }
       } catch (error) {
-        console.error('Error handling message:', error);
+        this.logger.error('Error handling message', error, { action: message.action });
         sendResponse({ success: false, error: error.message });
       }
-    });
+    };
+    chrome.runtime.onMessage.addListener(this.messageListener);
   }
 
   async updateSettings() {
     const settings = await chrome.storage.local.get([
       'targetLang',
       'translationEngine',
-      'gamePackage'
+      'displayMode'
     ]);
     
     this.targetLang = settings.targetLang || this.targetLang;
+    this.lookupServices = null;
     this.translationEngine = settings.translationEngine || this.translationEngine;
-    this.gamePackage = settings.gamePackage;
+    this.displayMode = settings.displayMode || this.displayMode;
+    this.machineTranslationError = null;
+    await this.loadPackages();
 
     if (this.isEnabled) {
-      this.translatePage();
+      this.retranslatePage();
     }
   }
 
   startTranslation() {
-    console.log('Starting translation with settings:', {
+    this.logger.debug('Starting translation', {
       targetLang: this.targetLang,
       translationEngine: this.translationEngine,
-      gamePackage: this.gamePackage
+      activePackages: this.packages.length
     });
     this.translatePage();
     this.setupObserver();
@@ -138,159 +362,810 @@ class GameTranslator {
       this.observer.disconnect();
       this.observer = null;
     }
+    this.scheduler.clear();
     this.revertTranslations();
   }
 
+  /**
+   * Watch the page for changes. Changes are queued on the scheduler and
+   * translated a slice at a time, so busy pages are not slowed down.
+   */
   setupObserver() {
-    this.observer = new MutationObserver((mutations) => {
-      mutations.forEach((mutation) => {
-        if (mutation.type === 'childList') {
-          this.translateNodes(mutation.addedNodes);
+    this.observer = new MutationObserver(mutations => this.queueMutations(mutations));
+
+    this.observer.observe(document.body, this.getObserverOptions());
+    this.shadowRoots.forEach(root => this.observer.observe(root, this.getObserverOptions()));
+    // Replaced text nodes are out of the page, but scripts still edit them
+    this.replacedNodes.forEach((replacements, original) => this.observeReplaced(original));
+  }
+
+  queueMutations(mutations) {
+    mutations.forEach(mutation => {
+      if (mutation.type === 'childList') {
+        mutation.addedNodes.forEach(node => this.scheduler.add(node, 'added'));
+        // Pages that rewrite a shadow root remove the stylesheet with the rest
+        if (this.shadowRoots.has(mutation.target)) {
+          this.scheduler.add(mutation.target, 'style');
         }
-      });
+      } else {
+        this.scheduler.add(mutation.target, mutation.type);
+      }
     });
+  }
 
-    this.observer.observe(document.body, {
-      childList: true,
-      subtree: true
-    });
+  /**
+   * Translate a node that changed, for each reason it was queued
+   */
+  processChange(node, reasons) {
+    if (reasons.has('style')) {
+      this.addShadowStyle(node);
+    }
+    if (reasons.has('characterData')) {
+      this.updateTextNode(node);
+    } else if (reasons.has('added') && node.isConnected) {
+      this.translateNodes([node]);
+    }
+    if (reasons.has('attributes') && node.isConnected) {
+      this.translateAttributes(node);
+    }
+  }
+
+  /**
+   * Change the page without reacting to it: changes the page made before are
+   * queued, and the ones made by the callback are dropped
+   */
+  withoutObserving(callback) {
+    if (!this.observer) {
+      callback();
+      return;
+    }
+    this.queueMutations(this.observer.takeRecords());
+    try {
+      callback();
+    } finally {
+      this.observer.takeRecords();
+      this.scheduleTermReport();
+    }
+  }
+
+  observeReplaced(node) {
+    this.observer?.observe(node, { characterData: true });
+  }
+
+  getObserverOptions() {
+    const options = { childList: true, subtree: true, characterData: true };
+    if (this.attributeMatchers.size) {
+      options.attributes = true;
+      options.attributeFilter = Array.from(this.attributeMatchers.keys());
+    }
+    return options;
+  }
+
+  /**
+   * Translate and observe an open shadow root, giving it the extension's styles
+   */
+  addShadowRoot(root) {
+    if (!this.shadowRoots.has(root)) {
+      this.shadowRoots.add(root);
+      this.tooltip.addRoot(root);
+      if (this.observer) {
+        this.observer.observe(root, this.getObserverOptions());
+      }
+    }
+
+    this.addShadowStyle(root);
+    this.translateElement(root);
+  }
+
+  addShadowStyle(root) {
+    if (root.querySelector(`link.${GameTranslator.SHADOW_STYLE_CLASS}`)) return;
+
+    const style = document.createElement('link');
+    style.rel = 'stylesheet';
+    style.className = GameTranslator.SHADOW_STYLE_CLASS;
+    style.href = chrome.runtime.getURL('src/styles.css');
+    root.prepend(style);
   }
 
   translatePage() {
-    if (!this.gamePackage) return;
+    this.matchers = this.getMatchers();
+    this.attributeMatchers = this.getAttributeMatchers();
+    if (!this.matchers.some(matcher => matcher.size) && !this.usesMachineTranslation()) {
+      this.logger.debug('No terms to translate into', { targetLang: this.targetLang });
+      return;
+    }
     this.translateNodes([document.body]);
+    this.scheduleTermReport();
+  }
+
+  /**
+   * Get the matchers of the active packages in priority order. Each package
+   * caches its own matcher, compiled with its caseSensitive and
+   * enablePartialMatch settings.
+   */
+  getMatchers() {
+    if (this.matchersKey &&
+        this.matchersKey.packages === this.packages &&
+        this.matchersKey.targetLang === this.targetLang) {
+      return this.matchers;
+    }
+
+    this.matchersKey = { packages: this.packages, targetLang: this.targetLang };
+    return this.packages
+      .filter(gamePackage => this.PackageFormat.isPackage(gamePackage))
+      .map(gamePackage => {
+        const translationService = new this.TranslationService();
+        translationService.initialize(gamePackage, this.targetLang);
+        return translationService.getMatcher();
+      });
+  }
+
+  /**
+   * Group the matchers by the attributes their packages translate, keeping
+   * the priority order
+   */
+  getAttributeMatchers() {
+    const attributeMatchers = new Map();
+    this.packages
+      .filter(gamePackage => this.PackageFormat.isPackage(gamePackage))
+      .forEach((gamePackage, index) => {
+        const settings = { ...this.TranslationService.DEFAULT_SETTINGS, ...gamePackage.settings };
+        const names = Array.isArray(settings.translateAttributes) ? settings.translateAttributes : [];
+        names
+          .filter(name => this.KeywordRenderer.isTranslatableAttribute(name))
+          .map(name => name.toLowerCase())
+          .forEach(name => {
+            if (!attributeMatchers.has(name)) attributeMatchers.set(name, []);
+            if (!attributeMatchers.get(name).includes(this.matchers[index])) {
+              attributeMatchers.get(name).push(this.matchers[index]);
+            }
+          });
+      });
+    return attributeMatchers;
+  }
+
+  /**
+   * Restore the original text and translate it again, so a language or
+   * package change never translates already-translated text.
+   */
+  retranslatePage() {
+    const observing = !!this.observer;
+    if (observing) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    this.scheduler.clear();
+
+    this.revertTranslations();
+    this.translatePage();
+
+    if (observing) {
+      this.setupObserver();
+    }
   }
 
   translateNodes(nodes) {
+    this.translateTextNodes(nodes.filter(node => node.nodeType === Node.TEXT_NODE));
     nodes.forEach(node => {
-      if (node.nodeType === Node.TEXT_NODE) {
-        this.translateTextNode(node);
-      } else if (node.nodeType === Node.ELEMENT_NODE) {
+      if (node.nodeType === Node.ELEMENT_NODE) {
         this.translateElement(node);
       }
     });
   }
 
+  /**
+   * Translate the text under an element or shadow root, including the open
+   * shadow roots of hosts inside it
+   */
   translateElement(element) {
-    if (element.classList.contains('game-translator-processed')) return;
-    
-    const walker = document.createTreeWalker(
-      element,
-      NodeFilter.SHOW_TEXT,
-      null,
-      false
-    );
+    if (element.classList?.contains('game-translator-processed')) return;
+    if (element.closest?.(GameTranslator.OWN_ELEMENTS)) return;
 
-    let node;
-    while (node = walker.nextNode()) {
-      this.translateTextNode(node);
-    }
+    const attributeNames = Array.from(this.attributeMatchers.keys());
+    const { textNodes, shadowRoots, elements } = this.DomTraversal.collect(element, {
+      skipElement: node => GameTranslator.SKIPPED_TAGS.has(node.tagName) ||
+        node.isContentEditable ||
+        node.matches(GameTranslator.OWN_ELEMENTS),
+      acceptText: node => Boolean(node.parentNode),
+      acceptElement: node => node.hasAttributes() && attributeNames.some(name => node.hasAttribute(name))
+    });
+    this.translateTextNodes(textNodes);
+    elements.forEach(node => this.translateAttributes(node));
+    shadowRoots.forEach(root => this.addShadowRoot(root));
+
+    element.classList?.add('game-translator-processed');
+  }
 
-    element.classList.add('game-translator-processed');
+  /**
+   * Replace the glossary terms in text nodes, then queue the text for machine
+   * translation a segment at a time, so the engine gets whole sentences
+   * rather than the pieces between inline tags
+   */
+  translateTextNodes(nodes) {
+    const textNodes = nodes.filter(node => this.isTranslatableText(node));
+    // Segments are read from the page before any of their nodes is replaced
+    const segments = this.usesMachineTranslation() ?
+      this.DomTraversal.getSegments(textNodes) :
+      textNodes.map(node => [node]);
+
+    segments.forEach(segment => {
+      const parts = segment.map(node => ({ node, text: node.nodeValue, matches: this.translateTextNode(node) }));
+      if (this.usesMachineTranslation()) {
+        this.queueMachineTranslation(parts);
+      }
+    });
   }
 
+  /**
+   * Tell whether a text node is page content: not inside our own elements,
+   * skipped elements or text being edited
+   */
+  isTranslatableText(node) {
+    const parent = node.parentElement;
+    return Boolean(node.parentNode) && !(parent &&
+      (parent.closest(GameTranslator.OWN_ELEMENTS) ||
+       GameTranslator.SKIPPED_TAGS.has(parent.tagName) ||
+       parent.isContentEditable));
+  }
+
+  /**
+   * Replace the glossary terms in a text node
+   * @returns {Object[]} - The matches, empty if the node was left as it is
+   */
   translateTextNode(node) {
-    if (!node.textContent.trim()) return;
-    if (!this.gamePackage || !this.gamePackage.conversionTable) {
-      console.log('No game package loaded or invalid package structure');
-      return;
+    const source = node.nodeValue;
+    if (!source.trim() || !this.matchers.length) return [];
+
+    const matches = this.findMatches(source, this.matchers);
+    const replacements = this.KeywordRenderer.replaceTextNode(node, matches);
+    if (replacements.length) {
+      this.replacedNodes.set(node, replacements);
+      this.observeReplaced(node);
     }
-    
-    // Skip if node is inside our tooltip or is already processed
-    if (node.parentElement && 
-        (node.parentElement.classList.contains('game-translator-tooltip') ||
-         node.parentElement.classList.contains('game-translator-keyword'))) {
+    return matches;
+  }
+
+  /**
+   * Translate a text node again after the page changed its text. A replaced
+   * node is rendered again in place of its replacements, and a machine
+   * translated one together with the rest of its segment.
+   */
+  updateTextNode(node) {
+    const nodes = this.machineSegments.get(node) || [node];
+    nodes.forEach(original => {
+      const replacements = this.replacedNodes.get(original);
+      this.machineSegments.delete(original);
+      if (replacements) {
+        this.replacedNodes.delete(original);
+        this.restoreTextNode(original, replacements);
+      }
+    });
+    this.translateTextNodes(nodes.filter(original => original.isConnected));
+  }
+
+  /**
+   * Put an original text node back where its replacements are. If the page
+   * has since removed all of them there is nothing left to restore.
+   */
+  restoreTextNode(original, replacements) {
+    const anchor = replacements.find(replacement => replacement.parentNode);
+    if (anchor) {
+      anchor.parentNode.insertBefore(original, anchor);
+    }
+    replacements.forEach(replacement => replacement.remove());
+  }
+
+  /**
+   * Find the terms in a text. When the same term is in several packages,
+   * the higher priority one wins.
+   */
+  findMatches(source, matchers) {
+    return this.TermMatcher.findAll(matchers, source).map(({ start, end, entry }) => ({
+      start,
+      end,
+      translation: this.TermMatcher.matchCase(source.slice(start, end), entry.term, entry.translation),
+      definition: entry.definition,
+      packageName: entry.packageName,
+      displayMode: this.getDisplayMode(entry.packageName)
+    }));
+  }
+
+  /**
+   * Translate the attributes of an element that packages list in
+   * `translateAttributes`, keeping the originals. Attributes cannot hold
+   * keyword spans, so definitions (and translations in highlight mode) are
+   * appended to a title, and linked through aria-describedby for the others.
+   */
+  translateAttributes(element) {
+    if (!this.attributeMatchers.size || element.closest(GameTranslator.OWN_ELEMENTS)) return;
+
+    const records = this.translatedAttributes.get(element) || new Map();
+    const descriptions = [];
+    this.attributeMatchers.forEach((matchers, name) => {
+      const value = element.getAttribute(name);
+      const record = records.get(name);
+      // A value the page set since then is the new original
+      const original = record && value === record.translated ? record.original : value;
+      records.delete(name);
+      if (original === null || !original.trim()) return;
+
+      const matches = this.findMatches(original, matchers);
+      const notes = Array.from(new Set(matches
+        .filter(match => match.definition || match.displayMode === 'highlight')
+        .map(match => this.describeMatch(match))));
+      let translated = this.KeywordRenderer.renderText(original, matches);
+      if (name === 'title' && notes.length) {
+        translated += `\n\n${notes.join('\n')}`;
+      } else {
+        descriptions.push(...notes);
+      }
+
+      if (translated !== original) {
+        records.set(name, { original, translated });
+      }
+      if (value !== translated) {
+        element.setAttribute(name, translated);
+      }
+    });
+
+    if (records.size) {
+      this.translatedAttributes.set(element, records);
+    } else {
+      this.translatedAttributes.delete(element);
+    }
+    this.setAttributeDescription(element, Array.from(new Set(descriptions)).join('\n'));
+  }
+
+  /**
+   * Describe a term for text that cannot show a tooltip
+   */
+  describeMatch({ translation, definition, packageName }) {
+    if (!definition) return translation;
+    // Formatted definitions are reduced to their text
+    return `${translation}: ${this.RichText.toText(definition, this.RichText.getContext(this.findPackage(packageName)))}`;
+  }
+
+  /**
+   * Link an element to a hidden description, replacing its previous one
+   */
+  setAttributeDescription(element, text) {
+    const current = this.attributeDescriptions.get(element);
+    if (current && current.description.textContent === text &&
+        element.getAttribute('aria-describedby') === current.translated) {
       return;
     }
-    
-    const conversionTable = this.gamePackage.conversionTable;
-    const definitionTable = this.gamePackage.definitionTable;
-    
-    let text = node.textContent;
-    let modified = false;
-    
-    // Create a map of all possible source languages
-    const sourceLanguages = Object.keys(conversionTable).filter(lang => lang !== this.targetLang);
-    
-    for (const sourceLang of sourceLanguages) {
-      const sourceWords = conversionTable[sourceLang];
-      const targetWords = conversionTable[this.targetLang];
-      
-      if (!sourceWords || !targetWords) continue;
-      
-      // Sort words by length (longest first) to handle overlapping terms correctly
-      const wordIndices = sourceWords.map((word, index) => ({word, index}))
-        .filter(({word}) => word && typeof word === 'string')
-        .sort((a, b) => b.word.length - a.word.length);
-      
-      for (const {word, index} of wordIndices) {
-        if (!text.includes(word)) continue;
-        
-        const translation = targetWords[index];
-        const definition = (definitionTable[this.targetLang] && definitionTable[this.targetLang][index]) ||
-                         (definitionTable[sourceLang] && definitionTable[sourceLang][index]);
-        
-        if (!translation) continue;
-        
-        // Use regex to preserve case and handle word boundaries
-        const regex = new RegExp(word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
-        text = text.replace(regex, (match) => {
-          modified = true;
-          const span = document.createElement('span');
-          span.textContent = translation;
-          span.classList.add('game-translator-keyword');
-          
-          if (definition) {
-            span.dataset.definition = definition;
-          }
-          
-          return span.outerHTML;
-        });
+    this.removeAttributeDescription(element);
+    if (!text || !element.isConnected) return;
+
+    const description = document.createElement('span');
+    description.className = 'game-translator-description';
+    description.id = `game-translator-description-${this.nextDescriptionId++}`;
+    description.hidden = true;
+    description.textContent = text;
+    // The id has to be in the same document or shadow root as the element
+    const root = element.getRootNode();
+    (root === document ? document.body : root).appendChild(description);
+
+    const original = element.getAttribute('aria-describedby');
+    const translated = original ? `${original} ${description.id}` : description.id;
+    element.setAttribute('aria-describedby', translated);
+    this.attributeDescriptions.set(element, { description, original, translated });
+  }
+
+  removeAttributeDescription(element) {
+    const current = this.attributeDescriptions.get(element);
+    if (!current) return;
+
+    if (element.getAttribute('aria-describedby') === current.translated) {
+      if (current.original === null) {
+        element.removeAttribute('aria-describedby');
+      } else {
+        element.setAttribute('aria-describedby', current.original);
       }
     }
-    
-    if (modified) {
-      const tempDiv = document.createElement('div');
-      tempDiv.innerHTML = text;
-      
-      // Add event listeners to all translated keywords
-      tempDiv.querySelectorAll('.game-translator-keyword').forEach(el => {
-        this.addTooltipListener(el);
+    current.description.remove();
+    this.attributeDescriptions.delete(element);
+  }
+
+  usesMachineTranslation() {
+    return this.translationEngine && this.translationEngine !== 'none' && !this.machineTranslationError;
+  }
+
+  /**
+   * Queue a segment of text nodes to be machine translated as one text around
+   * its glossary terms. Requests are batched per task.
+   * @param {Object[]} parts - `{ node, text, matches }` per text node, in order
+   */
+  queueMachineTranslation(parts) {
+    let text = '';
+    const terms = [];
+    parts.forEach(part => {
+      part.matches.forEach(match => terms.push({ ...match, start: match.start + text.length, end: match.end + text.length }));
+      text += part.text;
+    });
+
+    // Highlighting keeps the page text, so there is nothing to machine translate
+    const modes = terms.length ? terms.map(term => term.displayMode) : [this.displayMode];
+    if (!text.trim() || modes.every(mode => mode === 'highlight')) return;
+
+    this.machineQueue.push({
+      text,
+      terms,
+      parts: parts.map(({ node, text }) => ({ node, text, replacements: this.replacedNodes.get(node) }))
+    });
+    if (this.machineQueue.length === 1) {
+      setTimeout(() => this.flushMachineTranslations(), 0);
+    }
+  }
+
+  async flushMachineTranslations() {
+    const queue = this.machineQueue;
+    const run = this.translationRun;
+    this.machineQueue = [];
+    if (!queue.length) return;
+
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({
+        action: 'machineTranslate',
+        targetLang: this.LanguageResolver.toLanguageCode(this.targetLang, this.packages[0]),
+        // Cached translations are only reused for the same package versions
+        packageKey: this.packages
+          .map(gamePackage => `${this.PackageLibrary.getName(gamePackage)}@${this.PackageLibrary.getVersion(gamePackage)}`)
+          .join(','),
+        segments: queue.map(({ text, terms }) => ({ text, terms }))
+      });
+    } catch (error) {
+      response = { success: false, error: error.message };
+    }
+
+    if (!response || !response.success) {
+      this.machineTranslationError = response ? response.error : 'No response';
+      this.logger.warn('Machine translation unavailable, showing glossary terms only', {
+        error: this.machineTranslationError
+      });
+      return;
+    }
+    if (run !== this.translationRun) return;
+
+    const results = response.results || [];
+    this.withoutObserving(() => queue.forEach((item, index) => {
+      const result = results[index];
+      // Skip segments that were reverted, retranslated, edited or removed meanwhile
+      if (!result || !item.parts.every(part => this.isUnchanged(part))) return;
+
+      // The whole translation takes the place of the first node; the others are emptied
+      const originals = item.parts.map(part => part.node);
+      item.parts.forEach((part, position) => {
+        const current = part.replacements || [part.node];
+        const anchor = current.find(node => node.parentNode);
+        const replacement = position ? document.createTextNode('') : this.renderMachineTranslation(result);
+        anchor.parentNode.insertBefore(replacement, anchor);
+        current.forEach(node => node.remove());
+
+        if (!part.replacements) this.observeReplaced(part.node);
+        this.replacedNodes.set(part.node, [replacement]);
+        this.machineSegments.set(part.node, originals);
+      });
+    }));
+  }
+
+  /**
+   * Tell whether a queued text node is still shown as it was queued
+   */
+  isUnchanged({ node, text, replacements }) {
+    return node.nodeValue === text &&
+      this.replacedNodes.get(node) === replacements &&
+      (replacements || [node]).some(current => current.parentNode);
+  }
+
+  /**
+   * Build the element showing a machine translated segment with its glossary terms
+   */
+  renderMachineTranslation(result) {
+    const wrapper = document.createElement('span');
+    wrapper.className = 'game-translator-machine';
+    wrapper.title = 'Machine translated';
+    wrapper.append(...this.KeywordRenderer.render(result.text, result.terms.map(term => ({
+      ...term,
+      // Older cached results have no original; those terms are shown replaced
+      original: term.original || null,
+      displayMode: this.getDisplayMode(term.packageName)
+    }))));
+    return wrapper;
+  }
+
+  /**
+   * Build the tooltip of a keyword: the translation in highlight mode, then the definition
+   */
+  renderTooltip(keyword) {
+    const { translation, definition, package: packageName } = keyword.dataset;
+    if (!translation && !definition) return null;
+
+    const content = document.createDocumentFragment();
+    if (translation) {
+      const term = document.createElement('div');
+      term.className = 'game-translator-tooltip-term';
+      term.textContent = translation;
+      content.appendChild(term);
+    }
+    if (definition) {
+      content.appendChild(this.renderDefinition(definition, packageName));
+    }
+    return content;
+  }
+
+  /**
+   * Find an active package by the name keywords record
+   */
+  findPackage(packageName) {
+    return this.packages.find(gamePackage => gamePackage.metadata?.name === packageName) || null;
+  }
+
+  /**
+   * Get a package's settings with defaults filled in
+   */
+  getPackageSettings(packageName) {
+    return { ...this.TranslationService.DEFAULT_SETTINGS, ...this.findPackage(packageName)?.settings };
+  }
+
+  /**
+   * Get how a package's keywords are shown: the mode chosen for it in the
+   * popup, else the package's own setting, else the global mode
+   */
+  getDisplayMode(packageName) {
+    return this.packageDisplayModes.get(packageName) ||
+      this.findPackage(packageName)?.settings?.displayMode ||
+      this.displayMode;
+  }
+
+  /**
+   * Render a definition with the links and images its package allows
+   */
+  renderDefinition(definition, packageName) {
+    return this.RichText.render(definition, this.RichText.getContext(this.findPackage(packageName)));
+  }
+
+  /**
+   * Get a translation service for each active package, for lookups. Unlike
+   * translation, lookups search every active package whatever the site rules.
+   */
+  async getLookupServices() {
+    if (!this.lookupServices) {
+      const packages = await this.PackageLibrary.getActivePackages();
+      this.lookupServices = packages.filter(gamePackage => this.PackageFormat.isPackage(gamePackage)).map(gamePackage => {
+        const translationService = new this.TranslationService();
+        translationService.initialize(gamePackage, this.targetLang);
+        return translationService;
       });
-      
-      const fragment = document.createDocumentFragment();
-      while (tempDiv.firstChild) {
-        fragment.appendChild(tempDiv.firstChild);
-      }
-      
-      if (node.parentNode) {
-        node.parentNode.replaceChild(fragment, node);
-      }
     }
+    return this.lookupServices;
+  }
+
+  /**
+   * Get where the selection is: its rectangle in the viewport and the
+   * language of the element holding it
+   */
+  getSelectionContext() {
+    const selection = window.getSelection();
+    const range = selection.rangeCount ? selection.getRangeAt(0) : null;
+    let anchor = range?.getBoundingClientRect();
+    // Selections inside form fields have no rectangle of their own
+    if (!anchor || (!anchor.width && !anchor.height)) {
+      anchor = (document.activeElement || document.body).getBoundingClientRect();
+    }
+
+    const node = range?.startContainer;
+    const element = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+    const pageLang = element?.closest('[lang]')?.lang || document.documentElement.lang || null;
+    return { anchor, pageLang };
   }
 
-  addTooltipListener(element) {
-    element.addEventListener('mouseover', (e) => {
-      const definition = e.target.dataset.definition;
+  /**
+   * Show the glossary entries matching the selected text next to it
+   */
+  async lookUp(text) {
+    const query = String(text || '').trim();
+    const services = await this.getLookupServices();
+    const ranks = this.SearchIndex.MATCH_RANKS;
+    const results = services
+      .flatMap(service => service.search(query, { limit: GameTranslator.LOOKUP_RESULTS }).map(result => ({ service, result })))
+      .sort((a, b) => ranks[a.result.match] - ranks[b.result.match] || a.result.distance - b.result.distance)
+      .slice(0, GameTranslator.LOOKUP_RESULTS);
+
+    const content = document.createDocumentFragment();
+    const heading = document.createElement('div');
+    heading.className = 'game-translator-popover-heading';
+    heading.textContent = results.length ? `Glossary: ${query}` : `No glossary entry for ${query}`;
+    content.appendChild(heading);
+
+    results.forEach(({ service, result }) => {
+      const entry = document.createElement('div');
+      entry.className = 'game-translator-popover-entry';
+      const term = document.createElement('div');
+      term.className = 'game-translator-popover-term';
+      const translation = result.terms[service.targetLang];
+      if (translation && result.matched.lang !== service.targetLang) {
+        term.textContent = `${result.matched.text} → ${translation}`;
+      } else {
+        // Already in the target language, or not translated to it: list the other languages
+        const others = Object.entries(result.terms).filter(([lang]) => lang !== result.matched.lang);
+        term.textContent = [result.matched.text, ...others.map(([, text]) => text)].join(' · ');
+      }
+      entry.appendChild(term);
+
+      const definition = result.definitions[service.targetLang] || result.definitions[result.matched.lang] ||
+        Object.values(result.definitions)[0];
       if (definition) {
-        this.tooltipElement.textContent = definition;
-        this.tooltipElement.style.display = 'block';
-        this.tooltipElement.style.left = e.pageX + 10 + 'px';
-        this.tooltipElement.style.top = e.pageY + 10 + 'px';
+        entry.appendChild(this.RichText.render(definition, this.RichText.getContext(service.gamePackage)));
       }
+      if (services.length > 1) {
+        const packageName = document.createElement('div');
+        packageName.className = 'game-translator-popover-note';
+        packageName.textContent = this.PackageLibrary.getName(service.gamePackage);
+        entry.appendChild(packageName);
+      }
+      content.appendChild(entry);
+    });
+
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.textContent = 'Add to glossary';
+    const status = document.createElement('div');
+    status.className = 'game-translator-popover-note';
+    status.setAttribute('role', 'status');
+    addButton.addEventListener('click', () => {
+      this.showAddTermForm(query).catch(error => {
+        this.logger.warn('Could not open the add-term form', { error: error.message });
+        status.textContent = `Could not add to the glossary: ${error.message}`;
+      });
     });
+    content.append(addButton, status);
+
+    const { anchor } = this.getSelectionContext();
+    this.popover.show(content, anchor, 'Glossary lookup');
+  }
+
+  /**
+   * Show a form for adding the selected text to the user's glossary, with the
+   * language it seems to be in chosen
+   */
+  async showAddTermForm(text) {
+    const { anchor, pageLang } = this.getSelectionContext();
+    const services = await this.getLookupServices();
+    const packages = services.map(service => service.gamePackage);
+    const targetLang = this.LanguageResolver.toKey(this.targetLang, packages);
+    const detected = this.LanguageResolver.toKey(this.LanguageResolver.detect(String(text || ''), pageLang), packages);
+
+    const languages = new Set(services.flatMap(service => service.getAvailableLanguages()));
+    if (detected) languages.add(detected);
+    languages.delete(targetLang);
+    // Without a language to go by, English is the likeliest source
+    if (!languages.size) languages.add('english');
+
+    const form = document.createElement('form');
+    form.className = 'game-translator-popover-form';
+    const field = (labelText, control) => {
+      const label = document.createElement('label');
+      label.append(labelText, control);
+      form.appendChild(label);
+      return control;
+    };
+
+    const termInput = field('Term', document.createElement('input'));
+    termInput.value = String(text || '').trim();
+    termInput.required = true;
+    const sourceSelect = field('Language', document.createElement('select'));
+    languages.forEach(lang => sourceSelect.add(new Option(this.LanguageResolver.getDisplayName(lang), lang)));
+    sourceSelect.value = detected && languages.has(detected) ? detected : sourceSelect.options[0].value;
+    const translationInput = field(`Translation (${this.LanguageResolver.getDisplayName(targetLang)})`,
+      document.createElement('input'));
+    translationInput.required = true;
+    const definitionInput = field('Definition', document.createElement('textarea'));
+    definitionInput.rows = 3;
 
-    element.addEventListener('mouseout', () => {
-      this.tooltipElement.style.display = 'none';
+    const status = document.createElement('div');
+    status.className = 'game-translator-popover-note';
+    status.setAttribute('role', 'status');
+    const buttons = document.createElement('div');
+    buttons.className = 'game-translator-popover-buttons';
+    const saveButton = document.createElement('button');
+    saveButton.textContent = 'Save';
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => this.popover.hide());
+    buttons.append(saveButton, cancelButton);
+    form.append(status, buttons);
+
+    form.addEventListener('submit', async event => {
+      event.preventDefault();
+      saveButton.disabled = true;
+      status.textContent = 'Saving…';
+      try {
+        const response = await chrome.runtime.sendMessage({
+          action: 'addGlossaryTerm',
+          term: {
+            text: termInput.value,
+            sourceLang: sourceSelect.value,
+            translation: translationInput.value,
+            targetLang,
+            definition: definitionInput.value
+          }
+        });
+        if (!response || !response.success) {
+          throw new Error(response ? response.error : 'No response');
+        }
+        status.textContent = `Saved to ${response.name}`;
+        // Unless another lookup or form has replaced this one meanwhile
+        setTimeout(() => {
+          if (form.isConnected) this.popover.hide();
+        }, GameTranslator.SAVED_DELAY);
+      } catch (error) {
+        status.textContent = `Could not save: ${error.message}`;
+        saveButton.disabled = false;
+      }
     });
+
+    this.popover.show(form, anchor, 'Add to glossary');
+    // The translation is what is missing
+    translationInput.focus();
   }
 
   revertTranslations() {
-    document.querySelectorAll('.game-translator-processed').forEach(element => {
-      element.classList.remove('game-translator-processed');
+    this.translationRun++;
+    this.machineQueue = [];
+    this.machineSegments.clear();
+
+    this.replacedNodes.forEach((replacements, original) => this.restoreTextNode(original, replacements));
+    this.replacedNodes.clear();
+
+    // Attributes the page has changed since keep the page's value
+    this.translatedAttributes.forEach((records, element) => {
+      records.forEach(({ original, translated }, name) => {
+        if (element.getAttribute(name) === translated) {
+          element.setAttribute(name, original);
+        }
+      });
+    });
+    this.translatedAttributes.clear();
+    this.attributeDescriptions.forEach((description, element) => this.removeAttributeDescription(element));
+
+    // Roots whose host has left the page are found again if it comes back
+    this.shadowRoots.forEach(root => {
+      if (!root.host.isConnected) {
+        this.shadowRoots.delete(root);
+        this.tooltip.removeRoot(root);
+      }
+    });
+    [document, ...this.shadowRoots].forEach(root => {
+      root.querySelectorAll('.game-translator-processed').forEach(element => {
+        element.classList.remove('game-translator-processed');
+      });
     });
-    // Note: This is a simplified reversion. In a real implementation,
-    // we would need to store original text and restore it.
+    this.tooltip.hide();
+    this.scheduleTermReport();
+  }
+
+  /**
+   * Undo everything in this frame and stop listening. Each frame runs its own
+   * translator, so a frame going away does not affect the others.
+   */
+  destroy() {
+    this.stopTranslation();
+    this.tooltip.stop();
+    this.popover.hide();
+    this.shadowRoots.forEach(root => {
+      root.querySelectorAll(`link.${GameTranslator.SHADOW_STYLE_CLASS}`).forEach(style => style.remove());
+    });
+    this.shadowRoots.clear();
+    clearTimeout(this.reportTimer);
+    this.reportTimer = null;
+    this.reportTerms();
+
+    document.removeEventListener(this.DomTraversal.SHADOW_ROOT_EVENT, this.onShadowRoot, true);
+    chrome.storage.onChanged.removeListener(this.storageListener);
+    chrome.runtime.onMessage.removeListener(this.messageListener);
   }
 }
 
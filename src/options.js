@@ -0,0 +1,370 @@
+import PackageLibrary from './services/packageLibrary.js';
+import GlossaryTable from './utils/glossaryTable.js';
+import Validator from './utils/validator.js';
+import LanguageResolver from './utils/languageResolver.js';
+import GlossaryCsv from './utils/glossaryCsv.js';
+
+// Rows rendered at once; larger glossaries are narrowed down with the search
+const MAX_VISIBLE_ROWS = 200;
+// Time an exported file's object URL stays valid, in milliseconds
+const DOWNLOAD_URL_LIFETIME = 60000;
+
+document.addEventListener('DOMContentLoaded', async function() {
+  const packageSelect = document.getElementById('packageSelect');
+  const undoButton = document.getElementById('undo');
+  const saveButton = document.getElementById('save');
+  const exportButton = document.getElementById('export');
+  const editorStatus = document.getElementById('editorStatus');
+  const searchInput = document.getElementById('search');
+  const missingOnlyInput = document.getElementById('missingOnly');
+  const addRowButton = document.getElementById('addRow');
+  const languageInput = document.getElementById('languageInput');
+  const addLanguageButton = document.getElementById('addLanguage');
+  const validationErrors = document.getElementById('validationErrors');
+  const glossaryHead = document.getElementById('glossaryHead');
+  const glossaryBody = document.getElementById('glossaryBody');
+  const rowCount = document.getElementById('rowCount');
+  const exportCsvButton = document.getElementById('exportCsv');
+  const csvFileInput = document.getElementById('csvFile');
+  const csvEncodingSelect = document.getElementById('csvEncoding');
+  const csvNameInput = document.getElementById('csvName');
+  const csvImportButton = document.getElementById('csvImport');
+  const csvMapping = document.getElementById('csvMapping');
+  const csvReport = document.getElementById('csvReport');
+
+  let entryId = null;
+  let table = null;
+  let dirty = false;
+  // Parsed spreadsheet waiting to be imported
+  let sheet = null;
+
+  GlossaryCsv.ENCODINGS.forEach(encoding => csvEncodingSelect.add(new Option(encoding, encoding)));
+
+  // The popup can link straight to a package with ?id=
+  await loadLibrary(new URLSearchParams(location.search).get('id'));
+
+  packageSelect.addEventListener('change', async function() {
+    if (dirty && !confirm('Discard unsaved changes?')) {
+      packageSelect.value = entryId;
+      return;
+    }
+    await openPackage(this.value);
+  });
+
+  window.addEventListener('beforeunload', event => {
+    if (dirty) event.preventDefault();
+  });
+
+  undoButton.addEventListener('click', () => {
+    if (table.undo()) changed();
+  });
+
+  saveButton.addEventListener('click', async () => {
+    const gamePackage = table.toPackage();
+    const validation = Validator.validateGamePackage(gamePackage);
+    if (!validation.isValid) return;
+
+    try {
+      await PackageLibrary.update(entryId, gamePackage);
+      dirty = false;
+      saveButton.disabled = true;
+      editorStatus.textContent = 'Saved';
+    } catch (error) {
+      console.error('Error saving package:', error);
+      editorStatus.textContent = 'Error: ' + error.message;
+    }
+  });
+
+  exportButton.addEventListener('click', () => {
+    const gamePackage = table.toPackage();
+    download(JSON.stringify(gamePackage, null, 2), 'application/json', `${getFileName(gamePackage)}.json`);
+  });
+
+  exportCsvButton.addEventListener('click', () => {
+    const gamePackage = table.toPackage();
+    // The byte order mark makes spreadsheet programs read the file as UTF-8
+    download('\uFEFF' + GlossaryCsv.fromPackage(gamePackage), 'text/csv', `${getFileName(gamePackage)}.csv`);
+  });
+
+  csvFileInput.addEventListener('change', readSheet);
+  csvEncodingSelect.addEventListener('change', readSheet);
+
+  csvImportButton.addEventListener('click', async () => {
+    const mapping = Array.from(csvMapping.querySelectorAll('[data-column]'), cell => {
+      const field = cell.querySelector('select').value;
+      const lang = cell.querySelector('input').value.trim().toLowerCase();
+      return field && lang ? { lang, field } : null;
+    });
+    const name = csvNameInput.value.trim() || csvFileInput.files[0].name.replace(/\.\w+$/, '');
+    const { gamePackage, errors } = GlossaryCsv.toPackage(sheet.rows, mapping, { name, version: '1.0' });
+    const validation = Validator.validateGamePackage(gamePackage);
+    const [firstLang] = gamePackage.metadata.languages;
+
+    const report = errors.map(error => `Line ${error.line}: ${error.message}`);
+    if (!firstLang) {
+      renderReport(['Not imported: no column is mapped to a term']);
+      return;
+    }
+    if (!validation.isValid) {
+      renderReport(['Not imported:', ...validation.errors, ...report]);
+      return;
+    }
+    if (dirty && !confirm('Discard unsaved changes?')) return;
+
+    try {
+      const entry = await PackageLibrary.add(gamePackage);
+      renderReport([`Imported ${gamePackage.conversionTable[firstLang].length} rows into ${name}`, ...report]);
+      await loadLibrary(entry.id);
+    } catch (error) {
+      console.error('Error importing spreadsheet:', error);
+      renderReport(['Error: ' + error.message]);
+    }
+  });
+
+  searchInput.addEventListener('input', renderRows);
+  missingOnlyInput.addEventListener('change', renderRows);
+
+  addRowButton.addEventListener('click', () => {
+    // Clear the filters so the new row is visible
+    searchInput.value = '';
+    missingOnlyInput.checked = false;
+    const index = table.addRow();
+    changed();
+    glossaryBody.querySelector(`tr[data-index="${index}"] input`)?.focus();
+  });
+
+  addLanguageButton.addEventListener('click', () => {
+    try {
+      table.addLanguage(languageInput.value);
+      languageInput.value = '';
+      changed();
+    } catch (error) {
+      editorStatus.textContent = error.message;
+    }
+  });
+
+  // Fill the package dropdown and open a package
+  async function loadLibrary(selectedId) {
+    const library = await PackageLibrary.getAll();
+    packageSelect.replaceChildren();
+
+    const isEmpty = !library.length;
+    [packageSelect, exportButton, exportCsvButton, addRowButton, addLanguageButton].forEach(control => {
+      control.disabled = isEmpty;
+    });
+    if (isEmpty) {
+      packageSelect.add(new Option('No packages installed', ''));
+      return;
+    }
+
+    library.forEach(entry => {
+      const version = PackageLibrary.getVersion(entry.gamePackage);
+      packageSelect.add(new Option(PackageLibrary.getName(entry.gamePackage) + (version ? ` v${version}` : ''), entry.id));
+    });
+    packageSelect.value = library.some(entry => entry.id === selectedId) ? selectedId : library[0].id;
+    await openPackage(packageSelect.value);
+  }
+
+  async function openPackage(id) {
+    const entry = await PackageLibrary.get(id);
+    entryId = id;
+    table = new GlossaryTable(entry.gamePackage);
+    dirty = false;
+    editorStatus.textContent = '';
+    render();
+  }
+
+  // Re-render after a change to the table structure
+  function changed() {
+    dirty = true;
+    editorStatus.textContent = 'Unsaved changes';
+    render();
+  }
+
+  function render() {
+    renderHeader();
+    renderRows();
+    validate();
+  }
+
+  function renderHeader() {
+    const row = document.createElement('tr');
+    row.appendChild(createCell('th', '#'));
+
+    table.languages.forEach(lang => {
+      const header = createCell('th', LanguageResolver.getDisplayName(lang));
+      header.title = lang;
+      header.append(' ', createIconButton('✕', `Remove ${lang}`, () => {
+        if (confirm(`Remove the ${lang} column and all its terms?`)) {
+          table.removeLanguage(lang);
+          changed();
+        }
+      }));
+      row.append(header, createCell('th', 'Definition'));
+    });
+
+    row.appendChild(createCell('th', ''));
+    glossaryHead.replaceChildren(row);
+  }
+
+  function renderRows() {
+    if (!table) return;
+
+    const indices = table.filter(searchInput.value, { missingOnly: missingOnlyInput.checked });
+    const visible = indices.slice(0, MAX_VISIBLE_ROWS);
+
+    glossaryBody.replaceChildren(...visible.map(createRow));
+    rowCount.textContent = indices.length > visible.length ?
+      `Showing ${visible.length} of ${indices.length} matching rows; refine the search to see the rest` :
+      `${indices.length} of ${table.rows.length} rows`;
+  }
+
+  function createRow(index) {
+    const row = document.createElement('tr');
+    row.dataset.index = index;
+
+    const number = createCell('td', String(index + 1));
+    number.className = 'row-index';
+    row.appendChild(number);
+
+    table.languages.forEach(lang => {
+      const term = document.createElement('input');
+      term.type = 'text';
+      term.value = table.rows[index].terms[lang];
+      term.classList.toggle('missing', !term.value);
+      term.addEventListener('input', () => {
+        table.setCell(index, lang, 'terms', term.value);
+        term.classList.toggle('missing', !term.value);
+        edited();
+      });
+
+      const definition = document.createElement('textarea');
+      definition.value = table.rows[index].definitions[lang];
+      definition.addEventListener('input', () => {
+        table.setCell(index, lang, 'definitions', definition.value);
+        edited();
+      });
+
+      const termCell = document.createElement('td');
+      termCell.appendChild(term);
+      const definitionCell = document.createElement('td');
+      definitionCell.appendChild(definition);
+      row.append(termCell, definitionCell);
+    });
+
+    const actions = document.createElement('td');
+    actions.className = 'row-actions';
+    const up = createIconButton('▲', 'Move up', () => {
+      table.moveRow(index, -1);
+      changed();
+    });
+    up.disabled = index === 0;
+    const down = createIconButton('▼', 'Move down', () => {
+      table.moveRow(index, 1);
+      changed();
+    });
+    down.disabled = index === table.rows.length - 1;
+    const remove = createIconButton('✕', 'Delete row', () => {
+      table.removeRow(index);
+      changed();
+    });
+    actions.append(up, down, remove);
+    row.appendChild(actions);
+
+    return row;
+  }
+
+  // Text edits keep the inputs in place so typing is not interrupted
+  function edited() {
+    dirty = true;
+    editorStatus.textContent = 'Unsaved changes';
+    validate();
+  }
+
+  function validate() {
+    const { isValid, errors } = Validator.validateGamePackage(table.toPackage());
+    validationErrors.replaceChildren(...errors.map(error => createCell('li', error)));
+    saveButton.disabled = !dirty || !isValid;
+    undoButton.disabled = !table.canUndo;
+  }
+
+  // Decode and parse the chosen spreadsheet, then show its column mapping
+  async function readSheet() {
+    const file = csvFileInput.files[0];
+    sheet = null;
+    csvImportButton.disabled = true;
+    csvMapping.replaceChildren();
+    renderReport([]);
+    if (!file) return;
+
+    const text = GlossaryCsv.decode(await file.arrayBuffer(), csvEncodingSelect.value);
+    const delimiter = /\.tsv$/i.test(file.name) ? '\t' : GlossaryCsv.detectDelimiter(text);
+    sheet = GlossaryCsv.parse(text, { delimiter });
+
+    const [header, firstRow] = sheet.rows;
+    if (!header) {
+      renderReport(['The file has no rows']);
+      return;
+    }
+
+    const headerRow = document.createElement('tr');
+    const mappingRow = document.createElement('tr');
+    const previewRow = document.createElement('tr');
+    GlossaryCsv.guessMapping(header.cells).forEach((target, column) => {
+      headerRow.appendChild(createCell('th', header.cells[column]));
+
+      const cell = document.createElement('td');
+      cell.dataset.column = column;
+      const field = document.createElement('select');
+      field.add(new Option('Ignore', ''));
+      field.add(new Option('Term', 'term'));
+      field.add(new Option('Definition', 'definition'));
+      field.value = target?.field || '';
+      const lang = document.createElement('input');
+      lang.type = 'text';
+      lang.placeholder = 'Language';
+      lang.value = target?.lang || '';
+      cell.append(field, lang);
+      mappingRow.appendChild(cell);
+
+      previewRow.appendChild(createCell('td', firstRow?.cells[column] || ''));
+    });
+    csvMapping.replaceChildren(headerRow, mappingRow, previewRow);
+
+    // An unclosed quote swallows the rest of the file, so nothing is imported
+    csvImportButton.disabled = sheet.errors.length > 0;
+    renderReport(sheet.errors.map(error => `Line ${error.line}: ${error.message}`));
+  }
+
+  function renderReport(lines) {
+    csvReport.replaceChildren(...lines.map(line => createCell('li', line)));
+  }
+
+  function download(content, type, fileName) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([content], { type }));
+    link.download = fileName;
+    link.click();
+    // The download may not have read the file yet when click() returns
+    setTimeout(() => URL.revokeObjectURL(link.href), DOWNLOAD_URL_LIFETIME);
+  }
+
+  function getFileName(gamePackage) {
+    return PackageLibrary.getName(gamePackage).replace(/[^\w.-]+/g, '_');
+  }
+
+  function createCell(tag, text) {
+    const cell = document.createElement(tag);
+    cell.textContent = text;
+    return cell;
+  }
+
+  function createIconButton(text, title, action) {
+    const button = document.createElement('button');
+    button.className = 'icon-btn';
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener('click', action);
+    return button;
+  }
+});
@@ -1,76 +1,219 @@
+import TranslationService from './services/translationService.js';
+import PackageLibrary from './services/packageLibrary.js';
+import LanguageResolver from './utils/languageResolver.js';
+import SiteRules from './utils/siteRules.js';
+import PackageFormat from './utils/packageFormat.js';
+import Validator from './utils/validator.js';
+import PackageDiff from './utils/packageDiff.js';
+import RichText from './utils/richText.js';
+import SearchIndex from './utils/searchIndex.js';
+
+// Issues of each kind listed in the upload report
+const MAX_REPORTED_ISSUES = 50;
+
+// Entries listed for a dictionary search
+const MAX_DICTIONARY_RESULTS = 50;
+// Pause in typing before the dictionary is searched, in milliseconds
+const DICTIONARY_DELAY = 150;
+
+// Settings each machine translation engine takes
+const ENGINE_FIELDS = {
+  google: ['apiKey'],
+  deepl: ['apiKey', 'endpoint'],
+  custom: ['endpoint', 'apiKey']
+};
+
 document.addEventListener('DOMContentLoaded', async function() {
   const fileInput = document.getElementById('fileInput');
   const uploadBtn = document.getElementById('uploadBtn');
   const packageStatus = document.getElementById('packageStatus');
+  const packageReport = document.getElementById('packageReport');
+  const packageDiff = document.getElementById('packageDiff');
+  const diffSummary = document.getElementById('diffSummary');
+  const diffDetails = document.getElementById('diffDetails');
+  const applyUpdateButton = document.getElementById('applyUpdate');
+  const cancelUpdateButton = document.getElementById('cancelUpdate');
   const toggleButton = document.getElementById('toggleTranslation');
+  const rememberSiteCheckbox = document.getElementById('rememberSite');
+  const tabStatus = document.getElementById('tabStatus');
+  const showGlossaryButton = document.getElementById('showGlossary');
   const targetLangSelect = document.getElementById('targetLang');
   const translationEngineSelect = document.getElementById('translationEngine');
+  const displayModeSelect = document.getElementById('displayMode');
+  const engineConfig = document.getElementById('engineConfig');
+  const engineApiKeyInput = document.getElementById('engineApiKey');
+  const engineEndpointInput = document.getElementById('engineEndpoint');
+  const saveEngineButton = document.getElementById('saveEngine');
+  const engineStatus = document.getElementById('engineStatus');
+  const memoryStats = document.getElementById('memoryStats');
+  const clearMemoryButton = document.getElementById('clearMemory');
+  const packageList = document.getElementById('packageList');
+  const subscriptionInput = document.getElementById('subscriptionInput');
+  const subscribeButton = document.getElementById('subscribe');
+  const subscriptionList = document.getElementById('subscriptionList');
+  const checkSubscriptionsButton = document.getElementById('checkSubscriptions');
+  const subscriptionStatus = document.getElementById('subscriptionStatus');
+  const siteStatus = document.getElementById('siteStatus');
+  const allowSiteButton = document.getElementById('allowSite');
+  const denySiteButton = document.getElementById('denySite');
+  const siteRuleList = document.getElementById('siteRuleList');
+  const siteRuleInput = document.getElementById('siteRuleInput');
+  const siteRuleType = document.getElementById('siteRuleType');
+  const addSiteRuleButton = document.getElementById('addSiteRule');
+  const dictionarySearch = document.getElementById('dictionarySearch');
+  const dictionaryStatus = document.getElementById('dictionaryStatus');
+  const dictionaryResults = document.getElementById('dictionaryResults');
+
+  // Uploaded package waiting for the user to accept its diff
+  let pendingUpdate = null;
+
+  // Translation services of the active packages, made for the first lookup
+  // after the library or target language changes
+  let dictionaryServices = null;
+  let dictionaryTimer = null;
+
+  // URL of the tab the popup was opened on, if it is a web page
+  const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const currentUrl = activeTab && /^(https?|file):/.test(activeTab.url || '') ? activeTab.url : null;
+
+  // Translation is switched on and off for this tab only
+  let tabState = { enabled: false, remembered: false, count: 0 };
 
   // Load initial settings
-  const settings = await chrome.storage.local.get(['isEnabled', 'targetLang', 'translationEngine', 'gamePackage']);
-  if (settings.targetLang) targetLangSelect.value = settings.targetLang;
+  const settings = await chrome.storage.local.get(['targetLang', 'translationEngine', 'displayMode']);
+  await refreshLibrary();
   if (settings.translationEngine) translationEngineSelect.value = settings.translationEngine;
-  toggleButton.textContent = settings.isEnabled ? 'Disable Translation' : 'Enable Translation';
+  if (settings.displayMode) displayModeSelect.value = settings.displayMode;
+  await renderEngineConfig();
+  renderMemoryStats();
+  await loadTabState();
 
   // Handle upload button click
   uploadBtn.addEventListener('click', function() {
-    console.log('Upload button clicked');
     fileInput.click();
   });
 
-  // Load saved settings
-  chrome.storage.local.get(['isEnabled', 'targetLang', 'translationEngine'], function(result) {
-    toggleButton.textContent = result.isEnabled ? 'Disable Translation' : 'Enable Translation';
-    if (result.targetLang) targetLangSelect.value = result.targetLang;
-    if (result.translationEngine) translationEngineSelect.value = result.translationEngine;
+  // Handle translation toggle; the background tells the tab's frames
+  toggleButton.addEventListener('click', function() {
+    updateTabState(!tabState.enabled);
   });
 
-  // Handle translation toggle
-  toggleButton.addEventListener('click', function() {
-    chrome.storage.local.get('isEnabled', function(result) {
-      const newState = !result.isEnabled;
-      chrome.storage.local.set({ isEnabled: newState });
-      toggleButton.textContent = newState ? 'Disable Translation' : 'Enable Translation';
-      
-      // Notify content script with error handling
-      chrome.tabs.query({active: true, currentWindow: true}, function(tabs) {
-        if (tabs[0]) {
-          chrome.tabs.sendMessage(tabs[0].id, {
-            action: 'toggleTranslation',
-            state: newState
-          }).catch(error => {
-            console.log('Content script not loaded in this tab (this is normal)');
-          });
-        }
-      });
-    });
+  // Remember the tab's state for new pages on this site, or forget it
+  rememberSiteCheckbox.addEventListener('change', function() {
+    updateTabState(tabState.enabled);
+  });
+
+  // The side panel must be opened while handling the click
+  showGlossaryButton.hidden = !chrome.sidePanel || !activeTab;
+  showGlossaryButton.addEventListener('click', async function() {
+    try {
+      await chrome.sidePanel.open({ windowId: activeTab.windowId });
+      window.close();
+    } catch (error) {
+      tabStatus.textContent = `Could not open the glossary: ${error.message}`;
+    }
   });
 
   // Handle language selection
   targetLangSelect.addEventListener('change', function() {
     chrome.storage.local.set({ targetLang: this.value });
     notifyContentScript();
+    dictionaryServices = null;
+    renderDictionary();
+  });
+
+  // Look terms up in every language of the active packages. The search
+  // indexes are built when the box is focused, before the first key press.
+  dictionarySearch.addEventListener('focus', async () => {
+    (await getDictionaryServices()).forEach(service => service.getSearchIndex());
+  });
+  dictionarySearch.addEventListener('input', () => {
+    clearTimeout(dictionaryTimer);
+    dictionaryTimer = setTimeout(renderDictionary, DICTIONARY_DELAY);
   });
 
   // Handle translation engine selection
-  translationEngineSelect.addEventListener('change', function() {
-    chrome.storage.local.set({ translationEngine: this.value });
+  translationEngineSelect.addEventListener('change', async function() {
+    await chrome.storage.local.set({ translationEngine: this.value });
+    await renderEngineConfig();
+    notifyContentScript();
+  });
+
+  // Open pages re-render their keywords when the mode changes
+  displayModeSelect.addEventListener('change', function() {
+    chrome.storage.local.set({ displayMode: this.value });
+  });
+
+  // Save the API key and endpoint of the selected engine
+  saveEngineButton.addEventListener('click', async function() {
+    const engine = translationEngineSelect.value;
+    const { engineSettings } = await chrome.storage.local.get('engineSettings');
+    const endpoint = engineEndpointInput.value.trim();
+
+    if (endpoint && !/^https?:\/\//.test(endpoint)) {
+      engineStatus.textContent = 'Endpoint must be an http(s) URL';
+      return;
+    }
+
+    await chrome.storage.local.set({
+      engineSettings: {
+        ...engineSettings,
+        [engine]: { apiKey: engineApiKeyInput.value.trim(), endpoint }
+      }
+    });
+    engineStatus.textContent = 'Engine settings saved';
     notifyContentScript();
   });
 
+  // Forget cached machine translations
+  clearMemoryButton.addEventListener('click', async function() {
+    const response = await chrome.runtime.sendMessage({ action: 'clearMemory' });
+    if (!response?.success) {
+      memoryStats.textContent = `Could not clear cache: ${response?.error || 'no response'}`;
+      return;
+    }
+    renderMemoryStats();
+  });
+
+  // Show how much the translation memory holds
+  async function renderMemoryStats() {
+    const response = await chrome.runtime.sendMessage({ action: 'getMemoryStats' });
+    if (!response?.success) {
+      memoryStats.textContent = 'Translation cache unavailable';
+      return;
+    }
+
+    const { entries, bytes } = response.stats;
+    memoryStats.textContent = `Cache: ${entries} segments, ${(bytes / 1024).toFixed(1)} KB`;
+  }
+
+  // Show the settings fields the selected engine uses
+  async function renderEngineConfig() {
+    const engine = translationEngineSelect.value;
+    const { engineSettings } = await chrome.storage.local.get('engineSettings');
+    const config = engineSettings?.[engine] || {};
+    const fields = ENGINE_FIELDS[engine] || [];
+
+    engineConfig.hidden = !fields.length;
+    engineApiKeyInput.hidden = !fields.includes('apiKey');
+    engineEndpointInput.hidden = !fields.includes('endpoint');
+    engineApiKeyInput.value = config.apiKey || '';
+    engineEndpointInput.value = config.endpoint || '';
+    engineStatus.textContent = '';
+  }
+
   // Handle game package upload
   fileInput.addEventListener('change', async function(e) {
-    console.log('File input change event triggered');
     const file = e.target.files[0];
     if (!file) {
-      console.log('No file selected');
       packageStatus.textContent = 'No file selected';
       return;
     }
 
-    console.log('File selected:', file.name);
     packageStatus.textContent = 'Loading package...';
-    
+    packageReport.replaceChildren();
+    hidePackageDiff();
+
     try {
       const text = await new Promise((resolve, reject) => {
         const reader = new FileReader();
@@ -79,27 +222,37 @@ document.addEventListener('DOMContentLoaded', async function() {
         reader.readAsText(file);
       });
 
-      console.log('File content loaded, parsing JSON...');
-      const package = JSON.parse(text);
-      
-      // Validate package structure
-      if (!package.conversionTable || !package.definitionTable) {
-        throw new Error('Invalid package structure');
+      const parsed = Validator.parseJson(text);
+      if (parsed.error) {
+        const { message, line, column } = parsed.error;
+        packageStatus.textContent = line ?
+          `Invalid JSON at line ${line}, column ${column}: ${message}` :
+          `Invalid JSON: ${message}`;
+        return;
       }
-      
-      console.log('Package structure valid, saving to storage...');
-      await new Promise((resolve, reject) => {
-        chrome.storage.local.set({ gamePackage: package }, () => {
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-          } else {
-            resolve();
-          }
-        });
-      });
 
-      console.log('Package saved successfully');
-      packageStatus.textContent = 'Game package loaded successfully!';
+      const report = Validator.getPackageReport(parsed.value);
+      renderPackageReport(report);
+      if (!report.isValid) {
+        packageStatus.textContent = `Package not installed: ${report.errors.length} error(s)`;
+        return;
+      }
+
+      // A package with a stored name is an update: show what changes first
+      const existing = await PackageLibrary.findByName(PackageLibrary.getName(parsed.value));
+      if (existing) {
+        pendingUpdate = parsed.value;
+        renderPackageDiff(PackageDiff.diff(existing.gamePackage, parsed.value));
+        packageStatus.textContent = `Review the update to ${PackageLibrary.getName(parsed.value)}`;
+        return;
+      }
+
+      await PackageLibrary.add(parsed.value);
+      packageStatus.textContent = report.warnings.length ?
+        `Game package loaded with ${report.warnings.length} warning(s)` :
+        'Game package loaded successfully!';
+
+      await refreshLibrary();
       notifyContentScript();
     } catch (error) {
       console.error('Error processing game package:', error);
@@ -110,17 +263,468 @@ document.addEventListener('DOMContentLoaded', async function() {
     }
   });
 
+  applyUpdateButton.addEventListener('click', () => {
+    const gamePackage = pendingUpdate;
+    hidePackageDiff();
+    updateLibrary(async () => {
+      await PackageLibrary.add(gamePackage);
+      packageStatus.textContent = `Updated ${PackageLibrary.getName(gamePackage)}`;
+    });
+  });
+
+  cancelUpdateButton.addEventListener('click', () => {
+    hidePackageDiff();
+    packageStatus.textContent = 'Update cancelled';
+  });
+
+  // Show what an update changes, warning about downgrades
+  function renderPackageDiff(diff) {
+    const details = [];
+    Object.entries(diff.languages).forEach(([lang, changes]) => {
+      changes.added.forEach(term => details.push(`${lang}: + ${term}`));
+      changes.removed.forEach(term => details.push(`${lang}: − ${term}`));
+      changes.changed.forEach(({ from, to }) => details.push(`${lang}: ${from} → ${to}`));
+    });
+    diff.definitions.forEach(({ lang, term }) => details.push(`${lang}: definition of ${term} changed`));
+
+    const versions = `v${diff.fromVersion ?? '?'} → v${diff.toVersion ?? '?'}`;
+    const direction = {
+      upgrade: 'newer version',
+      downgrade: 'Warning: this is an older version than the one installed',
+      same: 'same version number',
+      unknown: 'version not comparable'
+    }[diff.direction];
+    diffSummary.textContent = `${versions} (${direction}). ${PackageDiff.summarize(diff)}`;
+    diffSummary.className = diff.direction === 'downgrade' ? 'report-error' : '';
+
+    diffDetails.replaceChildren();
+    details.slice(0, MAX_REPORTED_ISSUES).forEach(line => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      diffDetails.appendChild(item);
+    });
+    appendOmitted(diffDetails, details.length - MAX_REPORTED_ISSUES, ['change', 'changes']);
+    packageDiff.hidden = false;
+  }
+
+  function hidePackageDiff() {
+    pendingUpdate = null;
+    packageDiff.hidden = true;
+  }
+
+  // List the errors and warnings found in an uploaded package
+  function renderPackageReport({ errors, warnings }) {
+    packageReport.replaceChildren();
+    [
+      [errors, 'report-error', ['error', 'errors']],
+      [warnings, 'report-warning', ['warning', 'warnings']]
+    ].forEach(([issues, className, nouns]) => {
+      issues.slice(0, MAX_REPORTED_ISSUES).forEach(issue => {
+        const item = document.createElement('li');
+        item.className = className;
+        item.textContent = Validator.formatIssue(issue);
+        packageReport.appendChild(item);
+      });
+      appendOmitted(packageReport, issues.length - MAX_REPORTED_ISSUES, nouns, className);
+    });
+  }
+
+  // Say how many items a list left out, e.g. "12 more errors not shown"
+  function appendOmitted(list, count, [singular, plural], className = '') {
+    if (count <= 0) return;
+    const item = document.createElement('li');
+    item.className = className;
+    item.textContent = `${count} more ${count === 1 ? singular : plural} not shown`;
+    list.appendChild(item);
+  }
+
+  // Re-render everything that depends on the package library
+  async function refreshLibrary() {
+    const library = await PackageLibrary.getAll();
+    const { targetLang, siteRules, packageSubscriptions } =
+      await chrome.storage.local.get(['targetLang', 'siteRules', 'packageSubscriptions']);
+    const rules = siteRules || SiteRules.DEFAULT_RULES;
+    renderPackageList(library, rules);
+    renderSubscriptions(packageSubscriptions || []);
+    renderSiteRules(library, rules);
+    renderLanguageOptions(PackageLibrary.getActive(library), targetLang);
+    dictionaryServices = null;
+    renderDictionary();
+  }
+
+  // List stored packages with enable, priority and delete controls
+  function renderPackageList(library, rules) {
+    packageList.replaceChildren();
+
+    if (!library.length) {
+      const empty = document.createElement('li');
+      empty.className = 'status';
+      empty.textContent = 'No packages installed';
+      packageList.appendChild(empty);
+      return;
+    }
+
+    library.forEach((entry, index) => {
+      const item = document.createElement('li');
+      item.className = 'package-item';
+
+      const enabled = document.createElement('input');
+      enabled.type = 'checkbox';
+      enabled.checked = entry.enabled;
+      enabled.title = 'Use this package';
+      enabled.addEventListener('change', () => updateLibrary(() => PackageLibrary.setEnabled(entry.id, enabled.checked)));
+
+      const label = document.createElement('span');
+      label.className = 'package-name';
+      const version = PackageLibrary.getVersion(entry.gamePackage);
+      label.textContent = PackageLibrary.getName(entry.gamePackage) + (version ? ` v${version}` : '');
+      if (currentUrl) {
+        const result = SiteRules.evaluate(entry.gamePackage, currentUrl, rules);
+        label.title = `This site: ${SiteRules.describe(result)}`;
+        label.classList.toggle('inactive', !result.active);
+      }
+
+      const edit = document.createElement('button');
+      edit.className = 'icon-btn';
+      edit.textContent = '✎';
+      edit.title = 'Edit glossary';
+      edit.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL(`src/options.html?id=${encodeURIComponent(entry.id)}`) });
+      });
+
+      const displayMode = document.createElement('select');
+      displayMode.title = 'How this package\'s terms are shown';
+      displayMode.append(new Option('Default', ''), ...Array.from(displayModeSelect.options, option =>
+        new Option(option.value[0].toUpperCase() + option.value.slice(1), option.value)));
+      displayMode.value = entry.displayMode || '';
+      displayMode.addEventListener('change', () => updateLibrary(() => PackageLibrary.setDisplayMode(entry.id, displayMode.value)));
+
+      const up = createIconButton('▲', 'Higher priority', () => PackageLibrary.move(entry.id, -1));
+      up.disabled = index === 0;
+      const down = createIconButton('▼', 'Lower priority', () => PackageLibrary.move(entry.id, 1));
+      down.disabled = index === library.length - 1;
+      const remove = createIconButton('✕', 'Delete package', () => PackageLibrary.remove(entry.id));
+
+      item.append(enabled, label, displayMode, edit, up, down);
+      if (entry.history?.length) {
+        const previousVersion = entry.history[0].version;
+        item.appendChild(createIconButton('↶', `Roll back to ${previousVersion ? `v${previousVersion}` : 'the previous version'}`,
+          () => PackageLibrary.rollback(entry.id)));
+      }
+      item.appendChild(remove);
+      packageList.appendChild(item);
+    });
+  }
+
+  function createIconButton(text, title, action) {
+    const button = document.createElement('button');
+    button.className = 'icon-btn';
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener('click', () => updateLibrary(action));
+    return button;
+  }
+
+  async function updateLibrary(action) {
+    try {
+      await action();
+      await refreshLibrary();
+      notifyContentScript();
+    } catch (error) {
+      console.error('Error updating package library:', error);
+      packageStatus.textContent = 'Error: ' + error.message;
+    }
+  }
+
+  // List subscribed URLs with the result of their last check
+  function renderSubscriptions(subscriptions) {
+    subscriptionList.replaceChildren();
+    checkSubscriptionsButton.hidden = !subscriptions.length;
+
+    subscriptions.forEach(subscription => {
+      const item = document.createElement('li');
+      item.className = 'package-item';
+
+      const label = document.createElement('span');
+      label.className = 'package-name';
+      label.textContent = subscription.packageName || subscription.url;
+      const checked = subscription.lastChecked ? new Date(subscription.lastChecked).toLocaleString() : 'never';
+      label.title = `${subscription.url}\nLast checked: ${checked}` +
+        (subscription.lastError ? `\nLast error: ${subscription.lastError}` : '');
+      label.classList.toggle('inactive', Boolean(subscription.lastError));
+
+      item.append(label, createIconButton('✕', 'Unsubscribe (keeps the package)', () => sendSubscriptionMessage({
+        action: 'unsubscribePackage',
+        url: subscription.url
+      })));
+      subscriptionList.appendChild(item);
+    });
+  }
+
+  // Subscription requests run in the background worker so they finish if the popup closes
+  async function sendSubscriptionMessage(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response from the background worker');
+    }
+    return response;
+  }
+
+  subscribeButton.addEventListener('click', () => {
+    const url = subscriptionInput.value.trim();
+    if (!url) return;
+
+    subscriptionStatus.textContent = 'Downloading package...';
+    updateLibrary(async () => {
+      try {
+        const { subscription } = await sendSubscriptionMessage({ action: 'subscribePackage', url });
+        subscriptionInput.value = '';
+        subscriptionStatus.textContent = `Subscribed to ${subscription.packageName}`;
+      } catch (error) {
+        subscriptionStatus.textContent = 'Error: ' + error.message;
+      }
+    });
+  });
+
+  checkSubscriptionsButton.addEventListener('click', () => {
+    subscriptionStatus.textContent = 'Checking for updates...';
+    updateLibrary(async () => {
+      const { results } = await sendSubscriptionMessage({ action: 'checkSubscriptions' });
+      const updated = results.filter(result => result.status === 'updated').length;
+      const failed = results.filter(result => result.status === 'error').length;
+      subscriptionStatus.textContent = `${updated} updated, ${failed} failed, ${results.length - updated - failed} up to date`;
+    });
+  });
+
+  // Show which rule applies to the current tab and list the user's site rules
+  function renderSiteRules(library, rules) {
+    if (currentUrl) {
+      const enabled = library.filter(entry => entry.enabled);
+      const results = enabled.map(entry => SiteRules.evaluate(entry.gamePackage, currentUrl, rules));
+      const active = results.filter(result => result.active).length;
+      const siteRule = results.find(result => result.source === 'deny' || result.source === 'allow');
+
+      siteStatus.textContent = `${new URL(currentUrl).hostname || currentUrl}: ` +
+        `${active} of ${enabled.length} enabled packages active` +
+        (siteRule ? ` (${SiteRules.describe(siteRule)})` : '');
+    } else {
+      siteStatus.textContent = 'Packages cannot run on this page';
+    }
+    allowSiteButton.disabled = denySiteButton.disabled = !currentUrl;
+
+    siteRuleList.replaceChildren();
+    ['allow', 'deny'].forEach(type => {
+      rules[type].forEach(pattern => {
+        const item = document.createElement('li');
+        item.className = 'package-item';
+
+        const label = document.createElement('span');
+        label.className = 'package-name';
+        label.textContent = `${type === 'allow' ? 'Allow' : 'Block'}: ${pattern}`;
+        label.title = pattern;
+
+        item.append(label, createIconButton('✕', 'Delete rule', () => removeSiteRule(type, pattern)));
+        siteRuleList.appendChild(item);
+      });
+    });
+  }
+
+  async function getSiteRules() {
+    const { siteRules } = await chrome.storage.local.get('siteRules');
+    return {
+      allow: [...(siteRules?.allow || [])],
+      deny: [...(siteRules?.deny || [])]
+    };
+  }
+
+  // Add a rule, dropping the same pattern from the opposite list
+  async function addSiteRule(type, input) {
+    const pattern = SiteRules.toPattern(input);
+    if (!SiteRules.isValidPattern(pattern)) {
+      throw new Error(`Invalid site pattern: ${input}`);
+    }
+
+    const rules = await getSiteRules();
+    const other = type === 'allow' ? 'deny' : 'allow';
+    rules[other] = rules[other].filter(item => item !== pattern);
+    if (!rules[type].includes(pattern)) rules[type].push(pattern);
+    await chrome.storage.local.set({ siteRules: rules });
+  }
+
+  async function removeSiteRule(type, pattern) {
+    const rules = await getSiteRules();
+    rules[type] = rules[type].filter(item => item !== pattern);
+    await chrome.storage.local.set({ siteRules: rules });
+  }
+
+  allowSiteButton.addEventListener('click', () => {
+    updateLibrary(() => addSiteRule('allow', new URL(currentUrl).host));
+  });
+
+  denySiteButton.addEventListener('click', () => {
+    updateLibrary(() => addSiteRule('deny', new URL(currentUrl).host));
+  });
+
+  addSiteRuleButton.addEventListener('click', () => {
+    if (!siteRuleInput.value.trim()) return;
+    updateLibrary(async () => {
+      await addSiteRule(siteRuleType.value, siteRuleInput.value);
+      siteRuleInput.value = '';
+    });
+  });
+
+  // List the entries matching the dictionary search, best matches first
+  async function renderDictionary() {
+    const query = dictionarySearch.value;
+    if (!query.trim()) {
+      dictionaryStatus.textContent = '';
+      dictionaryResults.replaceChildren();
+      return;
+    }
+
+    const services = await getDictionaryServices();
+    // A newer search has started meanwhile
+    if (query !== dictionarySearch.value) return;
+    const ranks = SearchIndex.MATCH_RANKS;
+    // Sorting is stable, so equal matches keep package priority order
+    const results = services
+      .flatMap(service => service.search(query, { limit: MAX_DICTIONARY_RESULTS }).map(result => ({ service, result })))
+      .sort((a, b) => ranks[a.result.match] - ranks[b.result.match] || a.result.distance - b.result.distance)
+      .slice(0, MAX_DICTIONARY_RESULTS);
+
+    dictionaryStatus.textContent = results.length ?
+      `${results.length}${results.length === MAX_DICTIONARY_RESULTS ? '+' : ''} ${results.length === 1 ? 'entry' : 'entries'}` :
+      'No matching terms';
+    dictionaryResults.replaceChildren(...results.map(({ service, result }) =>
+      createDictionaryEntry(service, result, services.length > 1)));
+  }
+
+  async function getDictionaryServices() {
+    if (!dictionaryServices) {
+      const packages = await PackageLibrary.getActivePackages();
+      dictionaryServices = packages.filter(gamePackage => PackageFormat.isPackage(gamePackage)).map(gamePackage => {
+        const translationService = new TranslationService();
+        translationService.initialize(gamePackage, targetLangSelect.value);
+        return translationService;
+      });
+    }
+    return dictionaryServices;
+  }
+
+  // Show an entry's term in every language, target language first, with its definitions
+  function createDictionaryEntry(translationService, result, showPackage) {
+    const item = document.createElement('li');
+    item.className = 'dictionary-entry';
+    const context = RichText.getContext(translationService.gamePackage);
+    const languages = translationService.getAvailableLanguages()
+      .sort((a, b) => (b === translationService.targetLang) - (a === translationService.targetLang));
+
+    languages.filter(lang => result.terms[lang]).forEach(lang => {
+      const term = document.createElement('div');
+      term.className = lang === result.matched.lang ? 'dictionary-term matched' : 'dictionary-term';
+      const label = document.createElement('span');
+      label.className = 'dictionary-lang';
+      label.textContent = `${LanguageResolver.getDisplayName(lang)}: `;
+      term.append(label, result.terms[lang]);
+      const aliases = result.aliases[lang] || [];
+      if (aliases.length) {
+        term.append(` (also ${aliases.join(', ')})`);
+      }
+      item.appendChild(term);
+
+      if (result.definitions[lang]) {
+        const definition = document.createElement('div');
+        definition.className = 'dictionary-definition';
+        definition.appendChild(RichText.render(result.definitions[lang], context));
+        item.appendChild(definition);
+      }
+    });
+
+    if (showPackage) {
+      const packageName = document.createElement('div');
+      packageName.className = 'status';
+      packageName.textContent = PackageLibrary.getName(translationService.gamePackage);
+      item.appendChild(packageName);
+    }
+    return item;
+  }
+
+  // Fill the language dropdown with the languages of the active packages
+  function renderLanguageOptions(packages, targetLang) {
+    targetLangSelect.replaceChildren();
+
+    const languages = new Set();
+    let selected = null;
+    packages.filter(gamePackage => PackageFormat.isPackage(gamePackage)).forEach(gamePackage => {
+      const translationService = new TranslationService();
+      translationService.initialize(gamePackage, targetLang);
+      translationService.getAvailableLanguages().forEach(lang => languages.add(lang));
+      // Keep the saved choice selected even when it was stored as an ISO code
+      selected = selected || translationService.targetLang;
+    });
+
+    if (!languages.size) {
+      const option = new Option('Upload a game package first', '');
+      option.disabled = true;
+      targetLangSelect.add(option);
+      targetLangSelect.value = '';
+      return;
+    }
+
+    languages.forEach(lang => {
+      targetLangSelect.add(new Option(LanguageResolver.getDisplayName(lang), lang));
+    });
+
+    if (selected) {
+      targetLangSelect.value = selected;
+    }
+  }
+
+  async function loadTabState() {
+    if (!activeTab) return;
+    const response = await chrome.runtime.sendMessage({ action: 'getTabState', tabId: activeTab.id, url: activeTab.url });
+    if (response && response.success) {
+      tabState = response;
+    }
+    renderTabState();
+  }
+
+  async function updateTabState(enabled) {
+    if (!activeTab) return;
+    const response = await chrome.runtime.sendMessage({
+      action: 'setTabState',
+      tabId: activeTab.id,
+      url: activeTab.url,
+      enabled,
+      remember: currentUrl && /^https?:/.test(currentUrl) ? rememberSiteCheckbox.checked : undefined
+    });
+    if (response && response.success) {
+      tabState = response;
+    } else {
+      tabStatus.textContent = `Could not switch translation: ${response ? response.error : 'no response'}`;
+      return;
+    }
+    renderTabState();
+  }
+
+  function renderTabState() {
+    toggleButton.textContent = tabState.enabled ? 'Disable Translation' : 'Enable Translation';
+    toggleButton.disabled = !activeTab;
+    rememberSiteCheckbox.checked = tabState.remembered;
+    rememberSiteCheckbox.disabled = !currentUrl || !/^https?:/.test(currentUrl);
+    tabStatus.textContent = tabState.enabled ?
+      `On in this tab, ${tabState.count} ${tabState.count === 1 ? 'term' : 'terms'} translated` :
+      'Off in this tab';
+  }
+
   async function notifyContentScript() {
     try {
       const tabs = await chrome.tabs.query({active: true, currentWindow: true});
-      if (!tabs[0]) {
-        console.log('No active tab found');
-        return;
-      }
-      
+      if (!tabs[0]) return;
+
       chrome.tabs.sendMessage(tabs[0].id, { action: 'updateSettings' })
-        .catch(error => {
-          console.log('Content script not loaded in this tab (this is normal)');
+        .catch(() => {
+          // Pages the extension cannot run in have no content script
         });
     } catch (error) {
       console.error('Error in notifyContentScript:', error);
@@ -1,4 +1,8 @@
 import Logger from '../utils/logger.js';
+import KeywordRenderer from './keywordRenderer.js';
+import TermMatcher from '../utils/termMatcher.js';
+import RichText from '../utils/richText.js';
+import TooltipController from './tooltipController.js';
 
 const logger = new Logger('DOMService');
 
@@ -10,7 +14,7 @@ class DOMService {
     this.processedNodes = new WeakSet();
     this.observer = null;
     this.translationService = null;
-    this.tooltipContainer = null;
+    this.tooltip = null;
   }
 
   /**
@@ -24,24 +28,17 @@ class DOMService {
   }
 
   /**
-   * Set up the tooltip container
+   * Set up the tooltip for translated terms
    */
   setupTooltip() {
-    this.tooltipContainer = document.createElement('div');
-    this.tooltipContainer.className = 'game-translator-tooltip';
-    this.tooltipContainer.style.cssText = `
-      position: fixed;
-      display: none;
-      background: rgba(0, 0, 0, 0.8);
-      color: white;
-      padding: 8px;
-      border-radius: 4px;
-      font-size: 14px;
-      max-width: 300px;
-      z-index: 10000;
-      pointer-events: none;
-    `;
-    document.body.appendChild(this.tooltipContainer);
+    this.tooltip = new TooltipController({
+      selector: '.translated-term',
+      render: term => (term.dataset.definition ?
+        RichText.render(term.dataset.definition, RichText.getContext(this.translationService.gamePackage)) :
+        null),
+      getDelay: () => this.translationService.settings.tooltipDelay
+    });
+    this.tooltip.start();
   }
 
   /**
@@ -104,21 +101,8 @@ class DOMService {
    */
   translateTextNode(textNode) {
     try {
-      const originalText = textNode.nodeValue;
-      const { translatedText, translations } = this.translationService.translateText(
-        originalText,
-        this.translationService.targetLang
-      );
-
-      if (translatedText !== originalText) {
-        const span = document.createElement('span');
-        span.innerHTML = this.highlightTranslations(translatedText, translations);
-        
-        const parent = textNode.parentNode;
-        parent.replaceChild(span, textNode);
-
-        this.addTooltipListeners(span, translations);
-      }
+      const matches = this.translationService.findTranslations(textNode.nodeValue);
+      KeywordRenderer.replaceTextNode(textNode, matches, { className: 'translated-term' });
     } catch (error) {
       logger.error('Error translating text node', error);
     }
@@ -128,54 +112,21 @@ class DOMService {
    * Highlight translated terms in the text
    * @param {string} text - The translated text
    * @param {Map} translations - Map of translations to definitions
-   * @returns {string} - HTML with highlighted translations
+   * @returns {DocumentFragment} - The text with highlighted translations
    */
   highlightTranslations(text, translations) {
-    let result = text;
-    translations.forEach((definition, term) => {
-      const regex = new RegExp(term, 'g');
-      result = result.replace(regex, `<span class="translated-term" data-definition="${definition}">${term}</span>`);
-    });
-    return result;
-  }
-
-  /**
-   * Add tooltip event listeners to translated terms
-   * @param {Element} container - The container element
-   * @param {Map} translations - Map of translations to definitions
-   */
-  addTooltipListeners(container, translations) {
-    const terms = container.getElementsByClassName('translated-term');
-    Array.from(terms).forEach(term => {
-      term.addEventListener('mouseenter', (e) => {
-        const definition = e.target.dataset.definition;
-        if (!definition) return;
-
-        this.tooltipContainer.textContent = definition;
-        this.tooltipContainer.style.display = 'block';
-        
-        const rect = e.target.getBoundingClientRect();
-        const tooltipRect = this.tooltipContainer.getBoundingClientRect();
-        
-        let left = rect.left;
-        let top = rect.bottom + 5;
-
-        // Adjust position if tooltip would go off screen
-        if (left + tooltipRect.width > window.innerWidth) {
-          left = window.innerWidth - tooltipRect.width - 5;
-        }
-        if (top + tooltipRect.height > window.innerHeight) {
-          top = rect.top - tooltipRect.height - 5;
-        }
-
-        this.tooltipContainer.style.left = `${left}px`;
-        this.tooltipContainer.style.top = `${top}px`;
-      });
-
-      term.addEventListener('mouseleave', () => {
-        this.tooltipContainer.style.display = 'none';
-      });
-    });
+    // Terms are matched literally, never compiled into a RegExp
+    const matcher = new TermMatcher(Array.from(translations, ([term, definition]) => ({ term, definition })));
+    const matches = matcher.findMatches(text).map(({ start, end, entry }) => ({
+      start,
+      end,
+      translation: entry.term,
+      definition: entry.definition
+    }));
+
+    const fragment = document.createDocumentFragment();
+    fragment.append(...KeywordRenderer.render(text, matches, { className: 'translated-term' }));
+    return fragment;
   }
 
   /**
@@ -185,8 +136,8 @@ class DOMService {
     if (this.observer) {
       this.observer.disconnect();
     }
-    if (this.tooltipContainer) {
-      this.tooltipContainer.remove();
+    if (this.tooltip) {
+      this.tooltip.stop();
     }
     this.processedNodes = new WeakSet();
   }
@@ -0,0 +1,27 @@
+import TranslationEngine from './translationEngine.js';
+
+/**
+ * Any endpoint speaking the LibreTranslate API: POST `{ q, source, target,
+ * format, api_key }`, answered with `{ translatedText }`
+ */
+class CustomEngine extends TranslationEngine {
+  isConfigured() {
+    return Boolean(this.config.endpoint);
+  }
+
+  async translate(segments, { targetLang, sourceLang }) {
+    const body = {
+      q: segments,
+      source: sourceLang || 'auto',
+      target: targetLang,
+      format: 'text'
+    };
+    if (this.config.apiKey) body.api_key = this.config.apiKey;
+
+    const result = await this.postJson(this.config.endpoint, body);
+    const translated = result.translatedText;
+    return Array.isArray(translated) ? translated : [translated];
+  }
+}
+
+export default CustomEngine;
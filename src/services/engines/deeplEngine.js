@@ -0,0 +1,33 @@
+import TranslationEngine from './translationEngine.js';
+
+const FREE_ENDPOINT = 'https://api-free.deepl.com/v2/translate';
+const PRO_ENDPOINT = 'https://api.deepl.com/v2/translate';
+
+// DeepL wants a regional variant for these target languages
+const TARGET_VARIANTS = { en: 'EN-US', pt: 'PT-PT' };
+
+/**
+ * DeepL API. Free-plan keys (ending in `:fx`) use the free endpoint.
+ */
+class DeepLEngine extends TranslationEngine {
+  isConfigured() {
+    return Boolean(this.config.apiKey);
+  }
+
+  async translate(segments, { targetLang, sourceLang }) {
+    const endpoint = this.config.endpoint ||
+      (this.config.apiKey.endsWith(':fx') ? FREE_ENDPOINT : PRO_ENDPOINT);
+    const body = {
+      text: segments,
+      target_lang: TARGET_VARIANTS[targetLang.toLowerCase()] || targetLang.toUpperCase()
+    };
+    if (sourceLang) body.source_lang = sourceLang.split('-')[0].toUpperCase();
+
+    const result = await this.postJson(endpoint, body, {
+      Authorization: `DeepL-Auth-Key ${this.config.apiKey}`
+    });
+    return result.translations.map(translation => translation.text);
+  }
+}
+
+export default DeepLEngine;
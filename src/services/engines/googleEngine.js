@@ -0,0 +1,23 @@
+import TranslationEngine from './translationEngine.js';
+
+const ENDPOINT = 'https://translation.googleapis.com/language/translate/v2';
+
+/**
+ * Google Cloud Translation (v2 REST API, API key authentication)
+ */
+class GoogleEngine extends TranslationEngine {
+  isConfigured() {
+    return Boolean(this.config.apiKey);
+  }
+
+  async translate(segments, { targetLang, sourceLang }) {
+    const url = `${this.config.endpoint || ENDPOINT}?key=${encodeURIComponent(this.config.apiKey)}`;
+    const body = { q: segments, target: targetLang, format: 'text' };
+    if (sourceLang) body.source = sourceLang;
+
+    const result = await this.postJson(url, body);
+    return result.data.translations.map(translation => translation.translatedText);
+  }
+}
+
+export default GoogleEngine;
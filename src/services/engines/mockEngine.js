@@ -0,0 +1,19 @@
+import TranslationEngine from './translationEngine.js';
+
+/**
+ * Offline engine for development. It "translates" by tagging each segment
+ * with the target language, keeping placeholders intact, so the whole
+ * machine translation path can be exercised without network access or keys.
+ */
+class MockEngine extends TranslationEngine {
+  async translate(segments, { targetLang }) {
+    const latency = Number(this.config.latency) || 0;
+    if (latency) {
+      await new Promise(resolve => setTimeout(resolve, latency));
+    }
+
+    return segments.map(segment => `[${targetLang}] ${segment}`);
+  }
+}
+
+export default MockEngine;
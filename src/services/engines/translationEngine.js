@@ -0,0 +1,58 @@
+/**
+ * Base class for machine translation engines.
+ *
+ * Engines translate plain-text segments in one batch. Glossary terms have
+ * already been swapped for placeholders by the caller, which engines must
+ * pass through unchanged.
+ */
+class TranslationEngine {
+  /**
+   * @param {Object} config - Engine settings from the popup (API key, endpoint, ...)
+   */
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  /**
+   * Check whether the engine has the settings it needs
+   * @returns {boolean} - Whether translate can be called
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Translate a batch of segments
+   * @param {string[]} segments - Plain-text segments
+   * @param {Object} languages
+   * @param {string} languages.targetLang - ISO code of the target language
+   * @param {string} [languages.sourceLang] - ISO code of the source language, detected if omitted
+   * @returns {Promise<string[]>} - Translations in segment order
+   */
+  async translate(segments, languages) {
+    throw new Error(`${this.constructor.name} does not implement translate`);
+  }
+
+  /**
+   * POST JSON and return the parsed response, throwing on HTTP errors
+   * @param {string} url - The endpoint
+   * @param {Object} body - The request body
+   * @param {Object} [headers] - Extra request headers
+   * @returns {Promise<Object>} - The response body
+   */
+  async postJson(url, body, headers = {}) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`${this.constructor.name} request failed: ${response.status} ${detail}`.trim());
+    }
+    return response.json();
+  }
+}
+
+export default TranslationEngine;
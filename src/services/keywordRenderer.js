@@ -0,0 +1,200 @@
+/**
+ * Builds the DOM for translated text.
+ *
+ * Text is split into Text nodes and keyword spans with DOM APIs only: page
+ * text and package content are always assigned as text or attribute values,
+ * never parsed as HTML, so markup in either cannot reach the page.
+ *
+ * Keywords are shown in one of the DISPLAY_MODES:
+ * - `replace`: the translation instead of the original
+ * - `bilingual`: the original followed by the translation, e.g. `剣 (Sword)`
+ * - `ruby`: the original with the translation above it, in a `<ruby>` element
+ * - `highlight`: the original, with the translation in the tooltip
+ */
+class KeywordRenderer {
+  static DISPLAY_MODES = ['replace', 'bilingual', 'ruby', 'highlight'];
+  static DEFAULT_DISPLAY_MODE = 'replace';
+  // Attributes holding code, addresses, references or form data, which
+  // translated text must never be written into
+  static UNSAFE_ATTRIBUTES = new Set(['href', 'src', 'srcset', 'srcdoc', 'action', 'formaction', 'style',
+    'id', 'class', 'name', 'value', 'for', 'aria-describedby', 'aria-labelledby', 'xlink:href']);
+
+  /**
+   * Tell whether an attribute may be translated
+   * @param {string} name - The attribute name
+   * @returns {boolean} - False for event handlers and UNSAFE_ATTRIBUTES
+   */
+  static isTranslatableAttribute(name) {
+    if (typeof name !== 'string' || !/^[a-z][a-z0-9:_.-]*$/i.test(name)) return false;
+    const key = name.toLowerCase();
+    return !key.startsWith('on') && !key.startsWith('data-') && !KeywordRenderer.UNSAFE_ATTRIBUTES.has(key);
+  }
+
+  /**
+   * Create the element for one translated keyword
+   * @param {Document} doc - The document to create the element in
+   * @param {Object} keyword
+   * @param {string} keyword.translation - The translated term
+   * @param {string} [keyword.original] - The matched text; without it the
+   *   keyword is shown in `replace` mode
+   * @param {string} [keyword.displayMode='replace'] - One of DISPLAY_MODES
+   * @param {string} [keyword.definition] - Definition for the tooltip
+   * @param {string} [keyword.packageName] - Package the term comes from
+   * @param {string} className - Class name of keyword elements
+   * @returns {HTMLElement} - A span, or a ruby element in `ruby` mode
+   */
+  static createKeyword(doc, { translation, original, displayMode, definition, packageName }, className) {
+    const mode = original && KeywordRenderer.DISPLAY_MODES.includes(displayMode) ?
+      displayMode :
+      KeywordRenderer.DEFAULT_DISPLAY_MODE;
+    const keyword = doc.createElement(mode === 'ruby' ? 'ruby' : 'span');
+    keyword.className = className;
+
+    if (mode === 'bilingual') {
+      const translationSpan = doc.createElement('span');
+      translationSpan.className = `${className}-translation`;
+      translationSpan.textContent = ` (${translation})`;
+      keyword.append(String(original), translationSpan);
+    } else if (mode === 'ruby') {
+      // <rp> keeps the translation in parentheses where ruby is not rendered or text is copied
+      const annotation = doc.createElement('rt');
+      annotation.textContent = String(translation);
+      const [open, close] = ['(', ')'].map(text => {
+        const parenthesis = doc.createElement('rp');
+        parenthesis.textContent = text;
+        return parenthesis;
+      });
+      keyword.append(String(original), open, annotation, close);
+    } else if (mode === 'highlight') {
+      keyword.textContent = String(original);
+      keyword.dataset.translation = String(translation);
+    } else {
+      keyword.textContent = String(translation);
+    }
+
+    if (original) {
+      keyword.dataset.original = String(original);
+    }
+    if (packageName) {
+      keyword.dataset.package = String(packageName);
+    }
+    if (definition) {
+      keyword.dataset.definition = String(definition);
+    }
+    if (definition || mode === 'highlight') {
+      // Lets keyboard users reach the tooltip
+      keyword.tabIndex = 0;
+    }
+
+    return keyword;
+  }
+
+  /**
+   * Read back the term a keyword element shows
+   * @param {HTMLElement} keyword - An element made by createKeyword
+   * @param {string} [className='game-translator-keyword'] - Class name it was made with
+   * @returns {Object} - { original, translation, definition, packageName }; original
+   *   is null when the keyword was made without it
+   */
+  static readKeyword(keyword, className = 'game-translator-keyword') {
+    const { original = null, definition = null, package: packageName = null } = keyword.dataset;
+    let translation = keyword.dataset.translation;
+    if (translation === undefined) {
+      if (keyword.tagName === 'RUBY') {
+        translation = keyword.querySelector('rt')?.textContent || '';
+      } else if (keyword.querySelector(`.${className}-translation`)) {
+        // Written as ` (translation)`
+        translation = keyword.querySelector(`.${className}-translation`).textContent.slice(2, -1);
+      } else {
+        translation = keyword.textContent;
+      }
+    }
+    return { original, translation, definition, packageName };
+  }
+
+  /**
+   * Split text into Text nodes and keyword spans
+   * @param {string} text - The original text
+   * @param {Object[]} matches - Non-overlapping `{ start, end, translation, definition }` in text order;
+   *   any other createKeyword fields are passed on, and `original` defaults to the matched text
+   * @param {Object} [options]
+   * @param {string} [options.className='game-translator-keyword'] - Class name of keyword spans
+   * @param {Document} [options.doc=document] - The document to create nodes in
+   * @returns {Node[]} - The nodes, in order
+   */
+  static render(text, matches, { className = 'game-translator-keyword', doc = document } = {}) {
+    const nodes = [];
+    let cursor = 0;
+
+    matches.forEach(match => {
+      if (match.start < cursor || match.end <= match.start) return;
+
+      if (match.start > cursor) {
+        nodes.push(doc.createTextNode(text.slice(cursor, match.start)));
+      }
+      nodes.push(KeywordRenderer.createKeyword(doc, { original: text.slice(match.start, match.end), ...match }, className));
+      cursor = match.end;
+    });
+
+    if (cursor < text.length) {
+      nodes.push(doc.createTextNode(text.slice(cursor)));
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Translate text that cannot hold elements, such as an attribute value.
+   * The display modes become plain text: `bilingual`, and `ruby` like its
+   * fallback, as `剣 (Sword)` with the original first, and `highlight` keeps
+   * the original.
+   * @param {string} text - The original text
+   * @param {Object[]} matches - Matches as for `render`
+   * @returns {string} - The translated text
+   */
+  static renderText(text, matches) {
+    let result = '';
+    let cursor = 0;
+
+    matches.forEach(match => {
+      if (match.start < cursor || match.end <= match.start) return;
+
+      const original = match.original || text.slice(match.start, match.end);
+      const translation = String(match.translation);
+      const mode = KeywordRenderer.DISPLAY_MODES.includes(match.displayMode) ?
+        match.displayMode :
+        KeywordRenderer.DEFAULT_DISPLAY_MODE;
+      result += text.slice(cursor, match.start);
+      if (mode === 'bilingual' || mode === 'ruby') {
+        result += `${original} (${translation})`;
+      } else if (mode === 'highlight') {
+        result += original;
+      } else {
+        result += translation;
+      }
+      cursor = match.end;
+    });
+
+    return result + text.slice(cursor);
+  }
+
+  /**
+   * Replace a text node with its rendered translation
+   * @param {Text} textNode - The text node to replace
+   * @param {Object[]} matches - Matches as for `render`
+   * @param {Object} [options] - Options as for `render`
+   * @returns {Node[]} - The inserted nodes, empty if nothing was replaced
+   */
+  static replaceTextNode(textNode, matches, options = {}) {
+    if (!matches.length || !textNode.parentNode) return [];
+
+    const nodes = KeywordRenderer.render(textNode.nodeValue, matches, {
+      doc: textNode.ownerDocument,
+      ...options
+    });
+    textNode.replaceWith(...nodes);
+    return nodes;
+  }
+}
+
+export default KeywordRenderer;
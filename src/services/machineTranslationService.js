@@ -0,0 +1,113 @@
+import Logger from '../utils/logger.js';
+import TermProtector from '../utils/termProtector.js';
+import MockEngine from './engines/mockEngine.js';
+import GoogleEngine from './engines/googleEngine.js';
+import DeepLEngine from './engines/deeplEngine.js';
+import CustomEngine from './engines/customEngine.js';
+
+const logger = new Logger('MachineTranslationService');
+
+/**
+ * Machine translation for whole sentences, run in the background worker.
+ * The engine is chosen with the `translationEngine` setting and configured
+ * from `engineSettings[engine]`; `none` turns machine translation off.
+ */
+class MachineTranslationService {
+  static ENGINES = {
+    mock: MockEngine,
+    google: GoogleEngine,
+    deepl: DeepLEngine,
+    custom: CustomEngine
+  };
+
+  // Segments sent to an engine per request
+  static BATCH_SIZE = 50;
+
+  /**
+   * Create the engine selected in the settings
+   * @returns {Promise<Object|null>} - { id, engine }, or null when off
+   */
+  static async getEngine() {
+    const { translationEngine, engineSettings } = await chrome.storage.local.get([
+      'translationEngine',
+      'engineSettings'
+    ]);
+
+    const Engine = MachineTranslationService.ENGINES[translationEngine];
+    if (!Engine) return null;
+
+    const engine = new Engine(engineSettings?.[translationEngine] || {});
+    if (!engine.isConfigured()) {
+      throw new Error(`Translation engine "${translationEngine}" is missing its API key or endpoint`);
+    }
+    return { id: translationEngine, engine };
+  }
+
+  /**
+   * Translate text segments, keeping glossary terms out of the engine's hands.
+   * Segments found in the translation memory are not sent again.
+   * @param {Object[]} segments - `{ text, terms }` where terms are the glossary
+   *   matches in text (`{ start, end, translation, definition }`)
+   * @param {string} targetLang - ISO code of the target language
+   * @param {Object} [options]
+   * @param {string} [options.packageKey] - Names and versions of the packages the terms come from
+   * @param {TranslationMemory} [options.memory] - Cache of earlier results
+   * @returns {Promise<Object[]>} - `{ text, terms }` per segment with term
+   *   offsets in the translated text, or null where the engine mangled a placeholder
+   */
+  static async translateSegments(segments, targetLang, { packageKey = '', memory = null } = {}) {
+    const selected = await MachineTranslationService.getEngine();
+    if (!selected) {
+      throw new Error('Machine translation is turned off');
+    }
+
+    const scope = { packageKey, targetLang, engine: selected.id };
+    const results = memory ?
+      await memory.lookup(scope, segments.map(segment => segment.text)).catch(error => {
+        logger.error('Translation memory lookup failed', error);
+        return [];
+      }) :
+      [];
+
+    const missing = segments
+      .map((segment, index) => ({ segment, index }))
+      .filter(({ index }) => results[index] === undefined);
+    logger.debug('Translation memory lookup', { hits: segments.length - missing.length, misses: missing.length });
+
+    for (let i = 0; i < missing.length; i += MachineTranslationService.BATCH_SIZE) {
+      const batch = missing.slice(i, i + MachineTranslationService.BATCH_SIZE).map(({ segment, index }) => ({
+        index,
+        source: segment.text,
+        ...TermProtector.protect(segment.text, segment.terms || [])
+      }));
+
+      const start = performance.now();
+      const translated = await selected.engine.translate(batch.map(item => item.text), { targetLang });
+      logger.metric('Machine translation batch', performance.now() - start, {
+        engine: selected.id,
+        segments: batch.length
+      });
+
+      const stored = [];
+      batch.forEach((item, position) => {
+        const restored = typeof translated[position] === 'string' ?
+          TermProtector.restore(translated[position], item.placeholders) :
+          null;
+        if (restored) {
+          stored.push({ source: item.source, result: restored });
+        } else {
+          logger.warn('Engine output lost glossary placeholders', { segment: item.text });
+        }
+        results[item.index] = restored;
+      });
+
+      if (memory) {
+        await memory.store(scope, stored).catch(error => logger.error('Translation memory store failed', error));
+      }
+    }
+
+    return segments.map((segment, index) => results[index] || null);
+  }
+}
+
+export default MachineTranslationService;
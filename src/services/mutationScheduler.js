@@ -0,0 +1,125 @@
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('MutationScheduler');
+
+/**
+ * Queues nodes that changed and processes them a slice at a time.
+ *
+ * Each node is queued once with the set of reasons it was queued for, so a
+ * node added and then edited before the next slice is processed once. Slices
+ * run in `requestIdleCallback` where the browser has one, else in timers of
+ * FRAME_BUDGET milliseconds, so busy pages keep responding while a large
+ * change is worked through.
+ */
+class MutationScheduler {
+  // Longest slice when the browser does not say how long it is idle, in milliseconds
+  static FRAME_BUDGET = 8;
+  // Longest wait for an idle period before a slice runs anyway
+  static IDLE_TIMEOUT = 200;
+
+  /**
+   * @param {Object} options
+   * @param {Function} options.process - Called with (node, reasons) for each queued node
+   * @param {Window} [options.view=window] - The window to schedule in
+   */
+  constructor({ process, view = window }) {
+    this.process = process;
+    this.view = view;
+    // Node -> Set of reasons, in the order the nodes were first queued
+    this.queue = new Map();
+    this.handle = null;
+  }
+
+  /**
+   * Number of nodes waiting
+   * @returns {number}
+   */
+  get size() {
+    return this.queue.size;
+  }
+
+  /**
+   * Queue a node
+   * @param {Node} node - The node that changed
+   * @param {string} reason - What changed, passed on to `process`
+   */
+  add(node, reason) {
+    const reasons = this.queue.get(node);
+    if (reasons) {
+      reasons.add(reason);
+    } else {
+      this.queue.set(node, new Set([reason]));
+    }
+    this.schedule();
+  }
+
+  schedule() {
+    if (this.handle !== null || !this.queue.size) return;
+
+    if (this.view.requestIdleCallback) {
+      this.handle = { idle: this.view.requestIdleCallback(deadline => this.runSlice(deadline), {
+        timeout: MutationScheduler.IDLE_TIMEOUT
+      }) };
+    } else {
+      this.handle = { timer: this.view.setTimeout(() => this.runSlice(null), 0) };
+    }
+  }
+
+  /**
+   * Process queued nodes until the slice's time is used up
+   * @param {IdleDeadline|null} deadline - The idle period, if any
+   */
+  runSlice(deadline) {
+    this.handle = null;
+    const start = performance.now();
+    // An idle callback forced by its timeout has no idle time left, but must still make progress
+    const idle = deadline && !deadline.didTimeout;
+    const budget = idle ? deadline.timeRemaining() : MutationScheduler.FRAME_BUDGET;
+    const hasTime = idle ?
+      () => deadline.timeRemaining() > 0 :
+      () => performance.now() - start < MutationScheduler.FRAME_BUDGET;
+
+    let processed = 0;
+    // Nodes queued while processing are taken in the same slice if there is time
+    for (const [node, reasons] of this.queue) {
+      this.queue.delete(node);
+      try {
+        this.process(node, reasons);
+      } catch (error) {
+        logger.error('Failed to process a change', error);
+      }
+      processed++;
+      if (!hasTime()) break;
+    }
+
+    // Only slices that ran over their time are worth reporting; pages change all the time
+    const duration = performance.now() - start;
+    const details = { nodes: processed, pending: this.queue.size, budget };
+    if (duration > budget) {
+      logger.metric('Process mutations over budget', duration, details);
+    } else {
+      logger.debug('Processed mutations', { duration, ...details });
+    }
+    this.schedule();
+  }
+
+  /**
+   * Drop everything that is queued
+   */
+  clear() {
+    this.cancel();
+    this.queue.clear();
+  }
+
+  cancel() {
+    if (!this.handle) return;
+    if (this.handle.idle !== undefined) {
+      this.view.cancelIdleCallback(this.handle.idle);
+    } else {
+      this.view.clearTimeout(this.handle.timer);
+    }
+    this.handle = null;
+  }
+}
+
+export default MutationScheduler;
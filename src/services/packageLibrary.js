@@ -0,0 +1,362 @@
+import Logger from '../utils/logger.js';
+import PackageFormat from '../utils/packageFormat.js';
+
+const logger = new Logger('PackageLibrary');
+
+const STORAGE_KEY = 'packageLibrary';
+const HISTORY_KEY_PREFIX = 'packageHistory:';
+// Held by every change to the library, in all of the extension's pages and
+// its worker, so read-modify-write cycles do not overwrite each other
+const LOCK_NAME = 'packageLibrary';
+// Changes waiting in this context where the Web Locks API is missing
+let pendingChanges = Promise.resolve();
+
+/**
+ * Stores the installed game packages in chrome.storage.local.
+ *
+ * The library is kept under a single key as an array in priority order:
+ * when several enabled packages share a source term, the earlier one wins.
+ * Each entry is `{ id, enabled, addedAt, gamePackage, history, displayMode }`.
+ * Packages are stored in the entry-based format 2, whatever format they were
+ * added in. `displayMode` is the user's choice of how the package's keywords
+ * are shown, or null to follow the package settings and the global mode.
+ * `history` lists the versions an upload replaced, newest first, as
+ * `{ version, replacedAt }`. The replaced packages themselves are stored
+ * under a key of their own per entry (see getHistoryKey), so the library
+ * stays small and saving it does not rewrite old copies.
+ */
+class PackageLibrary {
+  static STORAGE_KEY = STORAGE_KEY;
+  // Replaced versions kept per package for rollback
+  static MAX_HISTORY = 3;
+
+  /**
+   * Get every stored package entry in priority order
+   * @returns {Promise<Object[]>} - The library entries
+   */
+  static async getAll() {
+    const { [STORAGE_KEY]: library } = await chrome.storage.local.get(STORAGE_KEY);
+    return Array.isArray(library) ? library : [];
+  }
+
+  /**
+   * Get the packages of all enabled entries in priority order
+   * @returns {Promise<Object[]>} - The enabled game packages
+   */
+  static async getActivePackages() {
+    return PackageLibrary.getActive(await PackageLibrary.getAll());
+  }
+
+  /**
+   * Pick the enabled packages out of a library array
+   * @param {Object[]} library - Library entries, e.g. from a storage change
+   * @returns {Object[]} - The enabled game packages
+   */
+  static getActive(library) {
+    return (Array.isArray(library) ? library : [])
+      .filter(entry => entry.enabled && entry.gamePackage)
+      .map(entry => entry.gamePackage);
+  }
+
+  /**
+   * Get a package's display name
+   * @param {Object} gamePackage - The game package
+   * @returns {string} - `metadata.name`, or a placeholder for unnamed packages
+   */
+  static getName(gamePackage) {
+    return gamePackage?.metadata?.name || gamePackage?.name || 'Untitled package';
+  }
+
+  /**
+   * Get a package's version
+   * @param {Object} gamePackage - The game package
+   * @returns {string|null} - `metadata.version`, if declared
+   */
+  static getVersion(gamePackage) {
+    return gamePackage?.metadata?.version || gamePackage?.version || null;
+  }
+
+  /**
+   * Get the version an edited package is saved under: `1.0` becomes
+   * `1.0+edit.1`, then `1.0+edit.2`. Build metadata does not change the
+   * version's order, so a published `1.0.1` still counts as newer.
+   * @param {string|null} version - The stored version
+   * @returns {string} - The next version
+   */
+  static getEditedVersion(version) {
+    const [release, build = ''] = String(version ?? '0').split('+');
+    const edit = /^edit\.(\d+)$/.exec(build);
+    return `${release}+edit.${edit ? Number(edit[1]) + 1 : 1}`;
+  }
+
+  /**
+   * Run a change to the library once no other change is running. Changes
+   * must not call each other, or they wait for themselves.
+   * @param {Function} change - Reads, changes and saves the library; may be async
+   * @returns {Promise<*>} - What the change returns
+   */
+  static withLock(change) {
+    if (globalThis.navigator?.locks) {
+      return navigator.locks.request(LOCK_NAME, () => change());
+    }
+    const result = pendingChanges.then(() => change());
+    pendingChanges = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Get the storage key of an entry's replaced packages
+   * @param {string} id - The entry id
+   * @returns {string} - e.g. `packageHistory:<id>`
+   */
+  static getHistoryKey(id) {
+    return `${HISTORY_KEY_PREFIX}${id}`;
+  }
+
+  /**
+   * Get the packages an entry's uploads replaced
+   * @param {string} id - The entry id
+   * @returns {Promise<Object[]>} - `{ gamePackage, replacedAt }`, newest first
+   */
+  static async getHistory(id) {
+    const key = PackageLibrary.getHistoryKey(id);
+    const { [key]: history } = await chrome.storage.local.get(key);
+    return Array.isArray(history) ? history : [];
+  }
+
+  /**
+   * Get one library entry
+   * @param {string} id - The entry id
+   * @returns {Promise<Object|null>} - The entry, or null if it does not exist
+   */
+  static async get(id) {
+    const library = await PackageLibrary.getAll();
+    return library.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Find the entry holding a package of the given name
+   * @param {string} name - The package name
+   * @returns {Promise<Object|null>} - The entry, or null if there is none
+   */
+  static async findByName(name) {
+    const library = await PackageLibrary.getAll();
+    return library.find(entry => PackageLibrary.getName(entry.gamePackage) === name) || null;
+  }
+
+  /**
+   * Add a package to the library. A package with the same name as a stored
+   * one replaces it, keeping its priority and enabled state; the replaced
+   * version goes into the entry's history.
+   * @param {Object} rawPackage - The game package to add, in either format
+   * @returns {Promise<Object>} - The stored entry
+   */
+  static async add(rawPackage) {
+    return PackageLibrary.withLock(async () => {
+      const gamePackage = PackageFormat.load(rawPackage);
+      const library = await PackageLibrary.getAll();
+      const name = PackageLibrary.getName(gamePackage);
+      const existing = library.find(entry => PackageLibrary.getName(entry.gamePackage) === name);
+
+      if (existing) {
+        const history = [
+          { gamePackage: existing.gamePackage, replacedAt: Date.now() },
+          ...await PackageLibrary.getHistory(existing.id)
+        ].slice(0, PackageLibrary.MAX_HISTORY);
+        existing.gamePackage = gamePackage;
+        await PackageLibrary.save(library, { [existing.id]: history });
+        logger.info('Package replaced', { id: existing.id, name });
+        return existing;
+      }
+
+      const entry = {
+        id: crypto.randomUUID(),
+        enabled: true,
+        addedAt: Date.now(),
+        gamePackage,
+        history: [],
+        displayMode: null
+      };
+      library.push(entry);
+      await PackageLibrary.save(library);
+      logger.info('Package added', { id: entry.id, name });
+      return entry;
+    });
+  }
+
+  /**
+   * Replace the package of an existing entry, e.g. after editing it. The
+   * package gets a new version (see getEditedVersion), because machine
+   * translations are cached per package version.
+   * @param {string} id - The entry id
+   * @param {Object} rawPackage - The new game package, in either format
+   * @returns {Promise<Object>} - The updated entry
+   */
+  static async update(id, rawPackage) {
+    return PackageLibrary.withLock(async () => {
+      const loaded = PackageFormat.load(rawPackage);
+      const library = await PackageLibrary.getAll();
+      const entry = library.find(item => item.id === id);
+      if (!entry) throw new Error(`Package not found: ${id}`);
+
+      const version = PackageLibrary.getEditedVersion(PackageLibrary.getVersion(entry.gamePackage));
+      const gamePackage = { ...loaded, metadata: { ...loaded.metadata, version } };
+      entry.gamePackage = gamePackage;
+      await PackageLibrary.save(library);
+      logger.info('Package updated', { id, name: PackageLibrary.getName(gamePackage), version });
+      return entry;
+    });
+  }
+
+  /**
+   * Restore the version a package had before its last update. The current
+   * version is discarded.
+   * @param {string} id - The entry id
+   * @returns {Promise<Object>} - The updated entry
+   */
+  static async rollback(id) {
+    return PackageLibrary.withLock(async () => {
+      const library = await PackageLibrary.getAll();
+      const entry = library.find(item => item.id === id);
+      if (!entry) throw new Error(`Package not found: ${id}`);
+      const history = await PackageLibrary.getHistory(id);
+      if (!history.length) throw new Error('No earlier version to roll back to');
+
+      const [previous, ...older] = history;
+      entry.gamePackage = previous.gamePackage;
+      await PackageLibrary.save(library, { [id]: older });
+      logger.info('Package rolled back', { id, version: PackageLibrary.getVersion(entry.gamePackage) });
+      return entry;
+    });
+  }
+
+  /**
+   * Remove a package from the library
+   * @param {string} id - The entry id
+   */
+  static async remove(id) {
+    return PackageLibrary.withLock(async () => {
+      const library = await PackageLibrary.getAll();
+      await PackageLibrary.save(library.filter(entry => entry.id !== id));
+      await chrome.storage.local.remove(PackageLibrary.getHistoryKey(id));
+    });
+  }
+
+  /**
+   * Enable or disable a package
+   * @param {string} id - The entry id
+   * @param {boolean} enabled - Whether the package should be used
+   */
+  static async setEnabled(id, enabled) {
+    return PackageLibrary.withLock(async () => {
+      const library = await PackageLibrary.getAll();
+      const entry = library.find(item => item.id === id);
+      if (!entry) throw new Error(`Package not found: ${id}`);
+
+      entry.enabled = enabled;
+      await PackageLibrary.save(library);
+    });
+  }
+
+  /**
+   * Choose how a package's keywords are shown
+   * @param {string} id - The entry id
+   * @param {string|null} displayMode - A KeywordRenderer display mode, or null for the default
+   */
+  static async setDisplayMode(id, displayMode) {
+    return PackageLibrary.withLock(async () => {
+      const library = await PackageLibrary.getAll();
+      const entry = library.find(item => item.id === id);
+      if (!entry) throw new Error(`Package not found: ${id}`);
+
+      entry.displayMode = displayMode || null;
+      await PackageLibrary.save(library);
+    });
+  }
+
+  /**
+   * Move a package up or down in the priority order
+   * @param {string} id - The entry id
+   * @param {number} offset - Positions to move, negative for higher priority
+   */
+  static async move(id, offset) {
+    return PackageLibrary.withLock(async () => {
+      const library = await PackageLibrary.getAll();
+      const from = library.findIndex(entry => entry.id === id);
+      if (from === -1) throw new Error(`Package not found: ${id}`);
+
+      const to = Math.max(0, Math.min(library.length - 1, from + offset));
+      const [entry] = library.splice(from, 1);
+      library.splice(to, 0, entry);
+      await PackageLibrary.save(library);
+    });
+  }
+
+  /**
+   * Move a package stored under the pre-library `gamePackage` key into the library
+   */
+  static async migrateLegacyPackage() {
+    const { gamePackage } = await chrome.storage.local.get('gamePackage');
+    if (gamePackage) {
+      await PackageLibrary.add(gamePackage);
+      logger.info('Migrated legacy game package');
+    }
+    await chrome.storage.local.remove('gamePackage');
+  }
+
+  /**
+   * Convert stored packages of the older parallel-array format to entries
+   */
+  static async migrateFormats() {
+    return PackageLibrary.withLock(async () => {
+      const library = await PackageLibrary.getAll();
+      const outdated = library.filter(entry => PackageFormat.getFormatVersion(entry.gamePackage) < PackageFormat.CURRENT_VERSION);
+      if (!outdated.length) return;
+
+      outdated.forEach(entry => {
+        entry.gamePackage = PackageFormat.load(entry.gamePackage);
+      });
+      await PackageLibrary.save(library);
+      logger.info('Migrated packages to the entry format', { count: outdated.length });
+    });
+  }
+
+  /**
+   * Move replaced packages kept inside library entries to their own keys
+   */
+  static async migrateHistory() {
+    return PackageLibrary.withLock(async () => {
+      const library = await PackageLibrary.getAll();
+      const histories = Object.fromEntries(library
+        .filter(entry => entry.history?.some(item => item.gamePackage))
+        .map(entry => [entry.id, entry.history]));
+      if (!Object.keys(histories).length) return;
+
+      await PackageLibrary.save(library, histories);
+      logger.info('Moved package history out of the library', { count: Object.keys(histories).length });
+    });
+  }
+
+  /**
+   * Persist the library, and the history of the given entries with it.
+   * Each entry's `history` summary is rewritten from its history.
+   * @param {Object[]} library - Library entries in priority order
+   * @param {Object} [histories] - Replaced packages by entry id, as from getHistory
+   */
+  static async save(library, histories = {}) {
+    const items = { [STORAGE_KEY]: library };
+    Object.entries(histories).forEach(([id, history]) => {
+      const entry = library.find(item => item.id === id);
+      if (entry) {
+        entry.history = history.map(({ gamePackage, replacedAt }) => ({
+          version: PackageLibrary.getVersion(gamePackage),
+          replacedAt
+        }));
+      }
+      items[PackageLibrary.getHistoryKey(id)] = history;
+    });
+    await chrome.storage.local.set(items);
+  }
+}
+
+export default PackageLibrary;
@@ -0,0 +1,222 @@
+import Logger from '../utils/logger.js';
+import Validator from '../utils/validator.js';
+import PackageDiff from '../utils/packageDiff.js';
+import PackageLibrary from './packageLibrary.js';
+
+const logger = new Logger('PackageSubscriptions');
+
+const STORAGE_KEY = 'packageSubscriptions';
+
+/**
+ * Keeps packages up to date from a URL.
+ *
+ * Subscriptions are stored as an array of
+ * `{ url, packageName, etag, lastModified, lastChecked, lastUpdated, lastError }`.
+ * The background worker checks them on a `chrome.alarms` schedule with
+ * conditional requests, so an unchanged file costs a 304 response. New
+ * versions are validated like an upload and compared with the installed one
+ * by PackageDiff. Older versions are refused; others are added to the
+ * library, where the replaced version stays available for rollback, and the
+ * user is notified of what changed.
+ */
+class PackageSubscriptions {
+  static STORAGE_KEY = STORAGE_KEY;
+  static ALARM_NAME = 'packageSubscriptions';
+  static CHECK_INTERVAL_MINUTES = 360;
+
+  /**
+   * Get every subscription
+   * @returns {Promise<Object[]>} - The subscriptions
+   */
+  static async getAll() {
+    const { [STORAGE_KEY]: subscriptions } = await chrome.storage.local.get(STORAGE_KEY);
+    return Array.isArray(subscriptions) ? subscriptions : [];
+  }
+
+  /**
+   * Schedule the periodic update check, keeping an existing schedule
+   */
+  static async scheduleChecks() {
+    const alarm = await chrome.alarms.get(PackageSubscriptions.ALARM_NAME);
+    if (!alarm) {
+      await chrome.alarms.create(PackageSubscriptions.ALARM_NAME, {
+        delayInMinutes: 1,
+        periodInMinutes: PackageSubscriptions.CHECK_INTERVAL_MINUTES
+      });
+    }
+  }
+
+  /**
+   * Subscribe to a package URL and install the package it serves
+   * @param {string} url - The http(s) URL of the package JSON
+   * @returns {Promise<Object>} - The subscription after its first check
+   */
+  static async subscribe(url) {
+    const parsed = new URL(url);
+    if (!/^https?:$/.test(parsed.protocol)) {
+      throw new Error('Subscriptions need an http(s) URL');
+    }
+
+    const subscriptions = await PackageSubscriptions.getAll();
+    if (subscriptions.some(subscription => subscription.url === parsed.href)) {
+      throw new Error('Already subscribed to this URL');
+    }
+
+    const subscription = {
+      url: parsed.href,
+      packageName: null,
+      etag: null,
+      lastModified: null,
+      lastChecked: null,
+      lastUpdated: null,
+      lastError: null
+    };
+    const result = await PackageSubscriptions.check(subscription);
+    if (result.status === 'error') {
+      throw new Error(result.error);
+    }
+
+    await PackageSubscriptions.save([...subscriptions, subscription]);
+    return subscription;
+  }
+
+  /**
+   * Stop following a URL. The installed package stays in the library.
+   * @param {string} url - The subscribed URL
+   */
+  static async unsubscribe(url) {
+    const subscriptions = await PackageSubscriptions.getAll();
+    await PackageSubscriptions.save(subscriptions.filter(subscription => subscription.url !== url));
+  }
+
+  /**
+   * Check every subscription for updates
+   * @returns {Promise<Object[]>} - Results of `check`, in subscription order
+   */
+  static async checkAll() {
+    const subscriptions = await PackageSubscriptions.getAll();
+    const results = [];
+
+    // One at a time: each update rewrites the package library
+    for (const subscription of subscriptions) {
+      results.push(await PackageSubscriptions.check(subscription));
+    }
+
+    // Subscriptions may have changed while the requests were running
+    const current = await PackageSubscriptions.getAll();
+    await PackageSubscriptions.save(current.map(item =>
+      subscriptions.find(subscription => subscription.url === item.url) || item
+    ));
+    return results;
+  }
+
+  /**
+   * Fetch a subscription's URL and install the package if it changed. The
+   * subscription object is updated in place; the caller saves it.
+   * @param {Object} subscription - The subscription
+   * @returns {Promise<Object>} - { url, status, version?, error? } where status is
+   *   'updated', 'unchanged', 'not-modified' or 'error'
+   */
+  static async check(subscription) {
+    const { url } = subscription;
+    subscription.lastChecked = Date.now();
+
+    const fail = error => {
+      subscription.lastError = error;
+      logger.warn('Subscription check failed', { url, error });
+      return { url, status: 'error', error };
+    };
+
+    const headers = {};
+    if (subscription.etag) headers['If-None-Match'] = subscription.etag;
+    if (subscription.lastModified) headers['If-Modified-Since'] = subscription.lastModified;
+
+    let response;
+    try {
+      response = await fetch(url, { headers, cache: 'no-cache', credentials: 'omit' });
+    } catch (error) {
+      return fail(`Network error: ${error.message}`);
+    }
+
+    if (response.status === 304) {
+      subscription.lastError = null;
+      return { url, status: 'not-modified' };
+    }
+    if (!response.ok) {
+      return fail(`HTTP ${response.status}`);
+    }
+
+    const parsed = Validator.parseJson(await response.text());
+    if (parsed.error) {
+      const { message, line, column } = parsed.error;
+      return fail(line ? `Invalid JSON at line ${line}, column ${column}: ${message}` : `Invalid JSON: ${message}`);
+    }
+
+    const report = Validator.getPackageReport(parsed.value);
+    if (!report.isValid) {
+      return fail(`Invalid package: ${report.errors.map(Validator.formatIssue).join('; ')}`);
+    }
+
+    const name = PackageLibrary.getName(parsed.value);
+    const version = PackageLibrary.getVersion(parsed.value);
+    const existing = await PackageLibrary.findByName(name);
+    const diff = existing ? PackageDiff.diff(existing.gamePackage, parsed.value) : null;
+    if (diff?.direction === 'downgrade') {
+      return fail(`Refused to replace v${diff.fromVersion} with the older v${diff.toVersion}`);
+    }
+
+    // Remember the validators only for content that was accepted
+    const accept = () => {
+      subscription.etag = response.headers.get('ETag');
+      subscription.lastModified = response.headers.get('Last-Modified');
+      subscription.lastError = null;
+      subscription.packageName = name;
+    };
+
+    if (diff && !diff.hasChanges && (diff.direction === 'same' || diff.fromVersion === diff.toVersion)) {
+      accept();
+      return { url, status: 'unchanged', version };
+    }
+
+    // A failed write, e.g. with storage full, is retried on the next check
+    try {
+      await PackageLibrary.add(parsed.value);
+    } catch (error) {
+      return fail(`Could not save the package: ${error.message}`);
+    }
+    accept();
+    subscription.lastUpdated = Date.now();
+    logger.info('Subscribed package updated', { url, name, version });
+
+    if (diff) {
+      PackageSubscriptions.notify(name, diff);
+    }
+    return { url, status: 'updated', version };
+  }
+
+  /**
+   * Tell the user a subscribed package was updated and what changed
+   * @param {string} name - The package name
+   * @param {Object} diff - The update, from PackageDiff.diff
+   */
+  static notify(name, diff) {
+    const versions = diff.toVersion ? ` to v${diff.toVersion}` : '';
+    chrome.notifications.create(`packageUpdate:${name}`, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('src/icons/icon128.png'),
+      title: 'Game package updated',
+      message: `${name} was updated${versions}. ${PackageDiff.summarize(diff)} ` +
+        'The previous version can be restored from the popup.'
+    });
+  }
+
+  /**
+   * Persist the subscriptions
+   * @param {Object[]} subscriptions - The subscriptions
+   */
+  static async save(subscriptions) {
+    await chrome.storage.local.set({ [STORAGE_KEY]: subscriptions });
+  }
+}
+
+export default PackageSubscriptions;
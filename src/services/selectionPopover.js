@@ -0,0 +1,119 @@
+/**
+ * A small panel shown under the page selection, for glossary lookups and for
+ * adding a term.
+ *
+ * The panel is built in a closed shadow root, so page styles and scripts do
+ * not reach it, and links the extension's stylesheet there. It is placed in
+ * page coordinates and scrolls with the page. Escape or a click outside
+ * closes it, and focus returns to where it was.
+ */
+class SelectionPopover {
+  // Distance kept from the selection and the viewport edges, in pixels
+  static OFFSET = 6;
+
+  /**
+   * @param {Object} options
+   * @param {string} options.styleUrl - URL of the stylesheet to link in the shadow root
+   * @param {string} [options.className='game-translator-popover'] - Class of the host element
+   * @param {Document} [options.doc=document] - The document to show the panel in
+   */
+  constructor({ styleUrl, className = 'game-translator-popover', doc = document }) {
+    this.styleUrl = styleUrl;
+    this.className = className;
+    this.doc = doc;
+    this.host = null;
+    this.panel = null;
+    this.returnFocus = null;
+
+    this.onKeyDown = event => {
+      if (event.key === 'Escape') {
+        event.stopPropagation();
+        this.hide();
+      }
+    };
+    this.onPointerDown = event => {
+      if (!event.composedPath().includes(this.host)) this.hide();
+    };
+  }
+
+  /**
+   * Whether the panel is shown
+   * @returns {boolean}
+   */
+  get isOpen() {
+    return Boolean(this.host?.isConnected);
+  }
+
+  /**
+   * Show content in the panel, replacing what it showed before
+   * @param {Node} content - The content
+   * @param {DOMRect} anchor - Viewport rectangle to show the panel under
+   * @param {string} label - Accessible name of the panel
+   */
+  show(content, anchor, label) {
+    if (!this.isOpen) this.create();
+
+    this.panel.setAttribute('aria-label', label);
+    this.panel.replaceChildren(content);
+    this.position(anchor);
+    // Focus the first field, or the panel itself so Escape reaches it
+    const field = this.panel.querySelector('input, select, textarea, button');
+    (field || this.panel).focus();
+  }
+
+  create() {
+    this.returnFocus = this.doc.activeElement;
+    this.host = this.doc.createElement('div');
+    this.host.className = this.className;
+    const root = this.host.attachShadow({ mode: 'closed' });
+
+    const style = this.doc.createElement('link');
+    style.rel = 'stylesheet';
+    style.href = this.styleUrl;
+    this.panel = this.doc.createElement('div');
+    this.panel.className = `${this.className}-panel`;
+    this.panel.setAttribute('role', 'dialog');
+    this.panel.tabIndex = -1;
+    root.append(style, this.panel);
+
+    root.addEventListener('keydown', this.onKeyDown);
+    this.doc.addEventListener('mousedown', this.onPointerDown, true);
+    (this.doc.body || this.doc.documentElement).appendChild(this.host);
+  }
+
+  /**
+   * Place the panel under the anchor, or above it when only that fits, within
+   * the viewport horizontally
+   * @param {DOMRect} anchor - Viewport rectangle of the selection
+   */
+  position(anchor) {
+    const view = this.doc.defaultView;
+    const offset = SelectionPopover.OFFSET;
+    const { width, height } = this.panel.getBoundingClientRect();
+    const left = Math.max(offset, Math.min(anchor.left, view.innerWidth - width - offset));
+    const below = anchor.bottom + offset;
+    const above = anchor.top - height - offset;
+    const top = below + height > view.innerHeight - offset && above >= offset ? above : below;
+
+    this.host.style.left = `${Math.round(left + view.scrollX)}px`;
+    this.host.style.top = `${Math.round(top + view.scrollY)}px`;
+  }
+
+  /**
+   * Close the panel
+   */
+  hide() {
+    if (!this.host) return;
+
+    this.doc.removeEventListener('mousedown', this.onPointerDown, true);
+    // Focus inside the shadow root is reported on its host
+    const focusInside = this.doc.activeElement === this.host;
+    this.host.remove();
+    this.host = null;
+    this.panel = null;
+    if (focusInside && this.returnFocus?.isConnected) this.returnFocus.focus();
+    this.returnFocus = null;
+  }
+}
+
+export default SelectionPopover;
@@ -0,0 +1,394 @@
+import DomTraversal from '../utils/domTraversal.js';
+
+// Tooltip ids must be unique when several controllers share a page
+let nextId = 0;
+
+/**
+ * Shows definition tooltips for keyword elements.
+ *
+ * Listens on the document for every keyword matching `selector`, so keywords
+ * added later need no listeners of their own:
+ * - hovering shows the tooltip after the package's delay; moving on to the
+ *   tooltip keeps it open
+ * - focusing a keyword with Tab shows it straight away
+ * - clicking a keyword, or Enter / Space while focused, pins the tooltip so
+ *   its text can be selected; clicking elsewhere unpins it
+ * - Escape dismisses it
+ *
+ * The tooltip is placed below the keyword, or above it when there is no room,
+ * within the viewport, and follows the keyword when the page scrolls. Fading
+ * is done by CSS on the `visibleClass`.
+ *
+ * Pointer moves between nodes of one shadow tree are not reported to the
+ * document, so shadow roots holding keywords are added with `addRoot`.
+ * `aria-describedby` cannot point out of a shadow root either, so a keyword
+ * there is described by a hidden copy of the tooltip text in its own root.
+ */
+class TooltipController {
+  static DEFAULT_DELAY = 500;
+  // Time to move the pointer from a keyword onto its tooltip
+  static HIDE_DELAY = 200;
+  // Distance kept from the keyword and the viewport edges, in pixels
+  static OFFSET = 6;
+
+  /**
+   * @param {Object} options
+   * @param {string} options.selector - Selector of keyword elements
+   * @param {Function} options.render - Returns the tooltip content for a
+   *   keyword as a Node, or null for no tooltip
+   * @param {Function} [options.getDelay] - Returns the hover delay for a keyword, in milliseconds
+   * @param {string} [options.className='game-translator-tooltip'] - Class of the tooltip element
+   * @param {Document} [options.doc=document] - The document to show tooltips in
+   */
+  constructor({ selector, render, getDelay = () => TooltipController.DEFAULT_DELAY,
+    className = 'game-translator-tooltip', doc = document }) {
+    this.selector = selector;
+    this.render = render;
+    this.getDelay = getDelay;
+    this.className = className;
+    this.doc = doc;
+    this.element = null;
+    // Keyword the tooltip is showing for, and the one it is waiting to show for
+    this.keyword = null;
+    this.pending = null;
+    this.visible = false;
+    this.pinned = false;
+    this.showTimer = null;
+    this.hideTimer = null;
+    this.frame = null;
+    // The document and shadow roots listened on
+    this.roots = new Set();
+    // Hidden description element of each shadow root a keyword was shown in
+    this.descriptions = new Map();
+    this.nextDescriptionId = 0;
+    // Events crossing a shadow boundary reach both its root and the document
+    this.handledEvents = new WeakSet();
+
+    // Bound once so the same functions can be removed in stop()
+    const handle = method => event => {
+      if (this.handledEvents.has(event)) return;
+      this.handledEvents.add(event);
+      method.call(this, event);
+    };
+    this.handlers = {
+      mouseover: handle(this.onMouseOver),
+      mouseout: handle(this.onMouseOut),
+      focusin: handle(this.onFocusIn),
+      focusout: handle(this.onFocusOut),
+      click: handle(this.onClick),
+      keydown: handle(this.onKeyDown)
+    };
+    this.onViewportChange = () => this.schedulePosition();
+  }
+
+  /**
+   * The tooltip element's class while it is shown
+   * @returns {string}
+   */
+  get visibleClass() {
+    return `${this.className}-visible`;
+  }
+
+  /**
+   * The tooltip element's class while it is pinned
+   * @returns {string}
+   */
+  get pinnedClass() {
+    return `${this.className}-pinned`;
+  }
+
+  /**
+   * Create the tooltip element and start listening
+   */
+  start() {
+    if (this.element) return;
+
+    this.element = this.doc.createElement('div');
+    this.element.className = this.className;
+    this.element.id = `${this.className}-${nextId++}`;
+    this.element.setAttribute('role', 'tooltip');
+    this.doc.body.appendChild(this.element);
+
+    this.addRoot(this.doc);
+    const view = this.doc.defaultView;
+    view.addEventListener('scroll', this.onViewportChange, { capture: true, passive: true });
+    view.addEventListener('resize', this.onViewportChange, { passive: true });
+  }
+
+  /**
+   * Stop listening and remove the tooltip element
+   */
+  stop() {
+    if (!this.element) return;
+
+    this.hide();
+    this.roots.forEach(root => this.removeRoot(root));
+    this.descriptions.forEach(description => description.remove());
+    this.descriptions.clear();
+    const view = this.doc.defaultView;
+    view.removeEventListener('scroll', this.onViewportChange, { capture: true });
+    view.removeEventListener('resize', this.onViewportChange);
+    this.element.remove();
+    this.element = null;
+  }
+
+  /**
+   * Listen for keyword events in a document or shadow root
+   * @param {Document|ShadowRoot} root - The root
+   */
+  addRoot(root) {
+    if (this.roots.has(root)) return;
+    this.roots.add(root);
+    // Capture, so pages that stop propagation do not break tooltips
+    Object.entries(this.handlers).forEach(([type, handler]) => root.addEventListener(type, handler, true));
+  }
+
+  /**
+   * Stop listening in a document or shadow root
+   * @param {Document|ShadowRoot} root - The root
+   */
+  removeRoot(root) {
+    if (!this.roots.delete(root)) return;
+    Object.entries(this.handlers).forEach(([type, handler]) => root.removeEventListener(type, handler, true));
+    this.descriptions.get(root)?.remove();
+    this.descriptions.delete(root);
+  }
+
+  /**
+   * Get the id a keyword's `aria-describedby` refers to: the tooltip's in
+   * the document, or a hidden element holding the tooltip text in a shadow root
+   * @param {Element} keyword - The keyword, with the tooltip filled in
+   * @returns {string} - The element id
+   */
+  describe(keyword) {
+    const root = keyword.getRootNode();
+    if (root === this.doc) return this.element.id;
+
+    let description = this.descriptions.get(root);
+    if (!description) {
+      description = this.doc.createElement('span');
+      description.className = `${this.className}-description`;
+      description.id = `${this.element.id}-description-${this.nextDescriptionId++}`;
+      description.hidden = true;
+      this.descriptions.set(root, description);
+    }
+    if (!description.isConnected) root.appendChild(description);
+    description.textContent = this.element.textContent;
+    return description.id;
+  }
+
+  /**
+   * Find the keyword an event happened on, also inside shadow roots
+   * @param {Event} event - The event
+   * @returns {Element|null} - The keyword element
+   */
+  findKeyword(event) {
+    return DomTraversal.getTarget(event)?.closest?.(this.selector) || null;
+  }
+
+  /**
+   * Check whether a node is inside the tooltip
+   * @param {Node|null} node - The node
+   * @returns {boolean}
+   */
+  contains(node) {
+    return Boolean(node && this.element?.contains(node));
+  }
+
+  onMouseOver(event) {
+    if (this.contains(event.target)) {
+      this.cancelHide();
+      return;
+    }
+
+    const keyword = this.findKeyword(event);
+    if (!keyword || this.pinned) return;
+    if (keyword === this.keyword || keyword === this.pending) {
+      this.cancelHide();
+      return;
+    }
+
+    // Moving between keywords switches the tooltip without waiting again
+    this.scheduleShow(keyword, this.visible ? 0 : this.getDelay(keyword));
+  }
+
+  onMouseOut(event) {
+    if (this.pinned) return;
+
+    const from = this.contains(event.target) ? this.element : this.findKeyword(event);
+    if (!from || ![this.element, this.keyword, this.pending].includes(from)) return;
+    if (from.contains(event.relatedTarget)) return;
+
+    this.cancelShow();
+    if (this.visible) this.scheduleHide();
+  }
+
+  onFocusIn(event) {
+    const keyword = this.findKeyword(event);
+    if (keyword && !this.pinned) this.show(keyword);
+  }
+
+  onFocusOut(event) {
+    const keyword = this.findKeyword(event);
+    if (this.pinned || keyword !== this.keyword) return;
+    if (this.contains(event.relatedTarget)) return;
+    this.hide();
+  }
+
+  onClick(event) {
+    if (this.contains(event.target)) return;
+
+    const keyword = this.findKeyword(event);
+    if (keyword) {
+      this.togglePin(keyword);
+    } else if (this.pinned) {
+      this.hide();
+    }
+  }
+
+  onKeyDown(event) {
+    if (event.key === 'Escape' && (this.visible || this.pending)) {
+      const { keyword } = this;
+      const focusInside = this.contains(this.doc.activeElement);
+      this.hide();
+      // Leave focus on the keyword rather than lose it with the tooltip
+      if (focusInside) keyword?.focus();
+      return;
+    }
+
+    if (event.key === 'Enter' || event.key === ' ') {
+      const keyword = this.findKeyword(event);
+      // Focus inside a shadow root is reported on its host by the document
+      if (keyword && keyword === keyword.getRootNode().activeElement) {
+        // Keywords inside links or buttons should not activate them
+        event.preventDefault();
+        this.togglePin(keyword);
+      }
+    }
+  }
+
+  /**
+   * Pin the tooltip of a keyword, or unpin it if it is already pinned
+   * @param {Element} keyword - The keyword
+   */
+  togglePin(keyword) {
+    if (this.pinned && this.keyword === keyword) {
+      this.hide();
+      return;
+    }
+
+    this.pinned = false;
+    this.show(keyword);
+    if (this.visible) {
+      this.pinned = true;
+      this.element.classList.add(this.pinnedClass);
+    }
+  }
+
+  scheduleShow(keyword, delay) {
+    this.cancelShow();
+    this.cancelHide();
+    if (delay > 0) {
+      this.pending = keyword;
+      this.showTimer = setTimeout(() => this.show(keyword), delay);
+    } else {
+      this.show(keyword);
+    }
+  }
+
+  scheduleHide() {
+    this.cancelHide();
+    this.hideTimer = setTimeout(() => this.hide(), TooltipController.HIDE_DELAY);
+  }
+
+  cancelShow() {
+    clearTimeout(this.showTimer);
+    this.showTimer = null;
+    this.pending = null;
+  }
+
+  cancelHide() {
+    clearTimeout(this.hideTimer);
+    this.hideTimer = null;
+  }
+
+  /**
+   * Show the tooltip for a keyword now
+   * @param {Element} keyword - The keyword
+   */
+  show(keyword) {
+    if (!this.element) return;
+    this.cancelShow();
+    this.cancelHide();
+
+    const content = keyword.isConnected ? this.render(keyword) : null;
+    if (!content) {
+      this.hide();
+      return;
+    }
+
+    if (this.keyword && this.keyword !== keyword) {
+      this.keyword.removeAttribute('aria-describedby');
+    }
+    this.keyword = keyword;
+    this.element.replaceChildren(content);
+    keyword.setAttribute('aria-describedby', this.describe(keyword));
+    this.element.classList.remove(this.pinnedClass);
+    this.element.classList.add(this.visibleClass);
+    this.visible = true;
+    this.position();
+  }
+
+  /**
+   * Hide and unpin the tooltip
+   */
+  hide() {
+    this.cancelShow();
+    this.cancelHide();
+    this.keyword?.removeAttribute('aria-describedby');
+    this.keyword = null;
+    this.visible = false;
+    this.pinned = false;
+    this.element?.classList.remove(this.visibleClass, this.pinnedClass);
+  }
+
+  schedulePosition() {
+    if (!this.visible || this.frame !== null) return;
+    this.frame = this.doc.defaultView.requestAnimationFrame(() => {
+      this.frame = null;
+      this.position();
+    });
+  }
+
+  /**
+   * Place the tooltip next to its keyword, inside the viewport horizontally.
+   * It goes below the keyword unless only the space above fits it.
+   */
+  position() {
+    if (!this.visible) return;
+    if (!this.keyword.isConnected) {
+      this.hide();
+      return;
+    }
+
+    const view = this.doc.defaultView;
+    const offset = TooltipController.OFFSET;
+    const anchor = this.keyword.getBoundingClientRect();
+    // An unpinned tooltip goes away once its keyword has scrolled out of view
+    if (!this.pinned && (anchor.bottom < 0 || anchor.top > view.innerHeight)) {
+      this.hide();
+      return;
+    }
+
+    const { width, height } = this.element.getBoundingClientRect();
+    const left = Math.max(offset, Math.min(anchor.left, view.innerWidth - width - offset));
+    const below = anchor.bottom + offset;
+    const above = anchor.top - height - offset;
+    const top = below + height > view.innerHeight - offset && above >= offset ? above : below;
+
+    this.element.style.left = `${Math.round(left)}px`;
+    this.element.style.top = `${Math.round(top)}px`;
+  }
+}
+
+export default TooltipController;
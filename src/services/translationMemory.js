@@ -0,0 +1,298 @@
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('TranslationMemory');
+
+const DB_NAME = 'gameTranslatorMemory';
+const DB_VERSION = 2;
+const STORE = 'segments';
+// Running totals of the segments store, so the limits are checked without a scan
+const META_STORE = 'meta';
+const TOTALS_KEY = 'totals';
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<*>} - The request result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for an IndexedDB transaction to commit
+ * @param {IDBTransaction} transaction - The transaction
+ * @returns {Promise<void>}
+ */
+function complete(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Persistent cache of translated segments, kept in IndexedDB by the
+ * background worker.
+ *
+ * Records are keyed by the packages they were translated with (name and
+ * version), the target language, the engine and a SHA-256 hash of the source
+ * segment, so a package update or a language change never serves stale
+ * output. The number and size of the records are kept up to date in a meta
+ * record as they are written, and the least recently used records are
+ * evicted once the memory exceeds MAX_ENTRIES or MAX_BYTES.
+ */
+class TranslationMemory {
+  static MAX_ENTRIES = 20000;
+  static MAX_BYTES = 20 * 1024 * 1024;
+
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database, creating the stores on first use
+   * @returns {Promise<IDBDatabase>} - The database
+   */
+  open() {
+    if (!this.dbPromise) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = event => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          db.createObjectStore(STORE, { keyPath: 'key' }).createIndex('lastUsed', 'lastUsed');
+        }
+        if (event.oldVersion < 2) {
+          db.createObjectStore(META_STORE);
+        }
+      };
+      this.dbPromise = promisify(request)
+        .then(async db => {
+          // Memories from before the totals were kept are counted once
+          if (!(await TranslationMemory.readTotals(db))) {
+            await TranslationMemory.recount(db);
+          }
+          return db;
+        })
+        .catch(error => {
+          this.dbPromise = null;
+          throw error;
+        });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Tell whether totals are over the limits
+   * @param {Object} totals - { entries, bytes }
+   * @returns {boolean}
+   */
+  static isOverLimit({ entries, bytes }) {
+    return entries > TranslationMemory.MAX_ENTRIES || bytes > TranslationMemory.MAX_BYTES;
+  }
+
+  /**
+   * Read the running totals
+   * @param {IDBDatabase} db - The database
+   * @returns {Promise<Object|undefined>} - { entries, bytes }, undefined if never counted
+   */
+  static readTotals(db) {
+    return promisify(db.transaction(META_STORE, 'readonly').objectStore(META_STORE).get(TOTALS_KEY));
+  }
+
+  /**
+   * Count the stored records and their size with a full scan, and save the totals
+   * @param {IDBDatabase} db - The database
+   * @returns {Promise<Object>} - { entries, bytes }
+   */
+  static async recount(db) {
+    const transaction = db.transaction([STORE, META_STORE], 'readwrite');
+    const totals = { entries: 0, bytes: 0 };
+
+    const request = transaction.objectStore(STORE).openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        transaction.objectStore(META_STORE).put(totals, TOTALS_KEY);
+        return;
+      }
+
+      totals.entries++;
+      totals.bytes += cursor.value.size || 0;
+      cursor.continue();
+    };
+    await complete(transaction);
+
+    logger.info('Translation memory counted', totals);
+    return totals;
+  }
+
+  /**
+   * Hash a source segment
+   * @param {string} text - The segment
+   * @returns {Promise<string>} - Hex SHA-256 digest
+   */
+  static async hash(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Build the record key for a segment
+   * @param {Object} scope - { packageKey, targetLang, engine }
+   * @param {string} text - The source segment
+   * @returns {Promise<string>} - The key
+   */
+  static async createKey({ packageKey, targetLang, engine }, text) {
+    return `${packageKey}|${targetLang}|${engine}|${await TranslationMemory.hash(text)}`;
+  }
+
+  /**
+   * Look up segments
+   * @param {Object} scope - { packageKey, targetLang, engine }
+   * @param {string[]} texts - Source segments
+   * @returns {Promise<Array>} - The stored result per segment, undefined on a miss
+   */
+  async lookup(scope, texts) {
+    const db = await this.open();
+    const keys = await Promise.all(texts.map(text => TranslationMemory.createKey(scope, text)));
+    const transaction = db.transaction(STORE, 'readwrite');
+    const store = transaction.objectStore(STORE);
+    const results = new Array(texts.length);
+    const now = Date.now();
+
+    // Requests are chained in callbacks: awaiting would let the transaction commit
+    keys.forEach((key, index) => {
+      const request = store.get(key);
+      request.onsuccess = () => {
+        const record = request.result;
+        // Guard against hash collisions by comparing the stored source
+        if (!record || record.source !== texts[index]) return;
+
+        record.lastUsed = now;
+        store.put(record);
+        results[index] = record.result;
+      };
+    });
+
+    await complete(transaction);
+    return results;
+  }
+
+  /**
+   * Store translated segments and evict old ones if over the limits
+   * @param {Object} scope - { packageKey, targetLang, engine }
+   * @param {Object[]} segments - `{ source, result }` pairs
+   */
+  async store(scope, segments) {
+    if (!segments.length) return;
+
+    const db = await this.open();
+    const now = Date.now();
+    const records = await Promise.all(segments.map(async ({ source, result }) => ({
+      key: await TranslationMemory.createKey(scope, source),
+      source,
+      result,
+      packageKey: scope.packageKey,
+      targetLang: scope.targetLang,
+      engine: scope.engine,
+      size: (source.length + JSON.stringify(result).length) * 2,
+      lastUsed: now
+    })));
+
+    const transaction = db.transaction([STORE, META_STORE], 'readwrite');
+    const store = transaction.objectStore(STORE);
+    const meta = transaction.objectStore(META_STORE);
+    let totals = null;
+
+    // One record at a time, so a replaced record's size is known before it is overwritten
+    const put = index => {
+      if (index === records.length) {
+        meta.put(totals, TOTALS_KEY);
+        return;
+      }
+      const record = records[index];
+      const request = store.get(record.key);
+      request.onsuccess = () => {
+        const previous = request.result;
+        totals.entries += previous ? 0 : 1;
+        totals.bytes += record.size - (previous?.size || 0);
+        store.put(record);
+        put(index + 1);
+      };
+    };
+    const totalsRequest = meta.get(TOTALS_KEY);
+    totalsRequest.onsuccess = () => {
+      totals = totalsRequest.result || { entries: 0, bytes: 0 };
+      put(0);
+    };
+    await complete(transaction);
+
+    if (TranslationMemory.isOverLimit(totals)) {
+      await this.evict();
+    }
+  }
+
+  /**
+   * Drop the least recently used records until the memory fits its limits
+   * @returns {Promise<number>} - Number of records removed
+   */
+  async evict() {
+    const db = await this.open();
+    const transaction = db.transaction([STORE, META_STORE], 'readwrite');
+    const meta = transaction.objectStore(META_STORE);
+    let removed = 0;
+
+    const totalsRequest = meta.get(TOTALS_KEY);
+    totalsRequest.onsuccess = () => {
+      const totals = totalsRequest.result;
+      if (!totals || !TranslationMemory.isOverLimit(totals)) return;
+
+      // Oldest lastUsed first
+      const request = transaction.objectStore(STORE).index('lastUsed').openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || !TranslationMemory.isOverLimit(totals)) {
+          meta.put(totals, TOTALS_KEY);
+          return;
+        }
+
+        totals.entries--;
+        totals.bytes -= cursor.value.size || 0;
+        removed++;
+        cursor.delete();
+        cursor.continue();
+      };
+    };
+    await complete(transaction);
+
+    logger.info('Evicted translation memory records', { removed });
+    return removed;
+  }
+
+  /**
+   * Get the number of stored records and their approximate size
+   * @returns {Promise<Object>} - { entries, bytes }
+   */
+  async getStats() {
+    const totals = await TranslationMemory.readTotals(await this.open());
+    return { entries: totals?.entries || 0, bytes: totals?.bytes || 0 };
+  }
+
+  /**
+   * Remove every record
+   */
+  async clear() {
+    const db = await this.open();
+    const transaction = db.transaction([STORE, META_STORE], 'readwrite');
+    transaction.objectStore(STORE).clear();
+    transaction.objectStore(META_STORE).put({ entries: 0, bytes: 0 }, TOTALS_KEY);
+    await complete(transaction);
+    logger.info('Translation memory cleared');
+  }
+}
+
+export default TranslationMemory;
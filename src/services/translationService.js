@@ -1,33 +1,57 @@
 import Logger from '../utils/logger.js';
+import LanguageResolver from '../utils/languageResolver.js';
+import TermMatcher from '../utils/termMatcher.js';
+import PackageFormat from '../utils/packageFormat.js';
+import SearchIndex from '../utils/searchIndex.js';
 
 const logger = new Logger('TranslationService');
 
+// Compiled matchers per package object, keyed by target and source language
+const matcherCache = new WeakMap();
+// Search indexes per package object
+const searchIndexCache = new WeakMap();
+
 /**
  * Service for handling translations and definitions
  */
 class TranslationService {
+  /**
+   * Settings used where a package does not specify them
+   */
+  static DEFAULT_SETTINGS = {
+    caseSensitive: true,
+    enablePartialMatch: false,
+    tooltipDelay: 500,
+    // Attributes translated like page text; they can only hold plain text
+    translateAttributes: ['title', 'alt', 'placeholder', 'aria-label']
+  };
+
   constructor() {
-    this.conversionTable = null;
-    this.definitionTable = null;
+    this.entries = null;
+    this.languages = null;
     this.settings = null;
     this.targetLang = null;
+    this.gamePackage = null;
   }
 
   /**
    * Initialize the service with a game package
-   * @param {Object} package - The game package containing translations and definitions
-   * @param {string} targetLang - The target language
+   * @param {Object} gamePackage - The game package, in either package format
+   * @param {string} targetLang - The target language, as a package key or language code
    */
-  initialize(package, targetLang) {
+  initialize(gamePackage, targetLang) {
     try {
-      this.conversionTable = package.conversionTable;
-      this.definitionTable = package.definitionTable;
-      this.settings = package.settings;
-      this.targetLang = targetLang;
+      const normalized = PackageFormat.load(gamePackage);
+      this.gamePackage = gamePackage;
+      this.entries = normalized.entries;
+      // Languages with at least one term
+      this.languages = new Set(this.entries.flatMap(entry => Object.keys(entry.terms)));
+      this.settings = { ...TranslationService.DEFAULT_SETTINGS, ...gamePackage.settings };
+      this.targetLang = this.resolveLanguage(targetLang);
 
       logger.info('Translation service initialized', {
-        languages: Object.keys(this.conversionTable),
-        targetLang
+        languages: Array.from(this.languages),
+        targetLang: this.targetLang
       });
     } catch (error) {
       logger.error('Failed to initialize translation service', error);
@@ -36,35 +60,108 @@ class TranslationService {
   }
 
   /**
-   * Find the best matching term in the source text
+   * Get the compiled matcher for the package and target language, building
+   * it on first use
+   * @param {string} [sourceLang] - Restrict to one source language
+   * @returns {TermMatcher} - The matcher; entries are those of getTermEntries
+   */
+  getMatcher(sourceLang) {
+    if (!matcherCache.has(this.gamePackage)) {
+      matcherCache.set(this.gamePackage, new Map());
+    }
+    const matchers = matcherCache.get(this.gamePackage);
+    const key = `${this.targetLang}|${sourceLang || '*'}`;
+
+    if (!matchers.has(key)) {
+      const start = performance.now();
+      const entries = this.getTermEntries()
+        .filter(entry => !sourceLang || entry.sourceLang === sourceLang);
+      const matcher = new TermMatcher(entries, {
+        caseSensitive: this.settings.caseSensitive,
+        wholeWord: !this.settings.enablePartialMatch
+      });
+      matchers.set(key, matcher);
+      logger.metric('Compile term matcher', performance.now() - start, {
+        terms: matcher.size,
+        targetLang: this.targetLang,
+        sourceLang: sourceLang || null
+      });
+    }
+
+    return matchers.get(key);
+  }
+
+  /**
+   * Get the search index over the terms and aliases of every language of the
+   * package, building it on first use. It does not depend on the target language.
+   * @returns {SearchIndex} - The index; records are { text, lang, index }
+   */
+  getSearchIndex() {
+    if (!searchIndexCache.has(this.gamePackage)) {
+      const start = performance.now();
+      const records = this.entries.flatMap((entry, index) =>
+        Object.entries(entry.terms).flatMap(([lang, term]) =>
+          [term, ...(entry.aliases[lang] || [])].map(text => ({ text, lang, index }))
+        )
+      );
+      const searchIndex = new SearchIndex(records);
+      searchIndexCache.set(this.gamePackage, searchIndex);
+      logger.metric('Build search index', performance.now() - start, { terms: searchIndex.size });
+    }
+
+    return searchIndexCache.get(this.gamePackage);
+  }
+
+  /**
+   * Look up entries by a term in any language, allowing prefixes, substrings
+   * and typos (see SearchIndex)
+   * @param {string} query - What the user typed
+   * @param {Object} [options]
+   * @param {number} [options.limit=50] - Most entries to return
+   * @returns {Object[]} - { index, terms, definitions, aliases, category, tags,
+   *   matched: { text, lang }, match, distance } per entry, best match first
+   */
+  search(query, { limit = 50 } = {}) {
+    const results = [];
+    const seen = new Set();
+
+    for (const { record, match, distance } of this.getSearchIndex().search(query)) {
+      if (results.length >= limit) break;
+      if (seen.has(record.index)) continue;
+      seen.add(record.index);
+
+      results.push({
+        ...this.entries[record.index],
+        index: record.index,
+        matched: { text: record.text, lang: record.lang },
+        match,
+        distance
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Find the leftmost-longest matching term in the source text
    * @param {string} text - The text to search in
    * @param {string} sourceLang - The source language
-   * @returns {Object} - { term, index, position }
+   * @returns {Object} - { term, index, position, length }
    */
   findBestMatch(text, sourceLang) {
     try {
-      const sourceTerms = this.conversionTable[sourceLang];
-      if (!sourceTerms) {
+      const lang = this.resolveLanguage(sourceLang);
+      if (!this.languages.has(lang)) {
         throw new Error(`Language not found: ${sourceLang}`);
       }
 
-      let bestMatch = null;
-      let bestIndex = -1;
-      let bestPosition = -1;
-
-      sourceTerms.forEach((term, index) => {
-        const position = this.settings.caseSensitive ?
-          text.indexOf(term) :
-          text.toLowerCase().indexOf(term.toLowerCase());
-
-        if (position !== -1 && (!bestMatch || term.length > bestMatch.length)) {
-          bestMatch = term;
-          bestIndex = index;
-          bestPosition = position;
-        }
-      });
-
-      return bestMatch ? { term: bestMatch, index: bestIndex, position: bestPosition } : null;
+      const match = this.getMatcher(lang).findFirst(text);
+      return match ? {
+        term: match.entry.term,
+        index: match.entry.index,
+        position: match.start,
+        length: match.end - match.start
+      } : null;
     } catch (error) {
       logger.error('Error finding best match', error, { text, sourceLang });
       return null;
@@ -82,12 +179,10 @@ class TranslationService {
       const match = this.findBestMatch(term, sourceLang);
       if (!match) return null;
 
-      const targetTerms = this.conversionTable[this.targetLang];
-      const targetDefinitions = this.definitionTable?.[this.targetLang];
-
+      const entry = this.entries[match.index];
       return {
-        translation: targetTerms[match.index],
-        definition: targetDefinitions?.[match.index] || null
+        translation: entry.terms[this.targetLang],
+        definition: entry.definitions[this.targetLang] || null
       };
     } catch (error) {
       logger.error('Error getting translation', error, { term, sourceLang });
@@ -95,32 +190,91 @@ class TranslationService {
     }
   }
 
+  /**
+   * Get the definition for a term, preferring the target language
+   * @param {number} index - The entry index
+   * @param {string} sourceLang - The language to fall back to
+   * @returns {string|null} - The definition, if any
+   */
+  getDefinition(index, sourceLang) {
+    const definitions = this.entries?.[index]?.definitions;
+    return definitions?.[this.targetLang] || definitions?.[sourceLang] || null;
+  }
+
+  /**
+   * List every source-language term and alias of the package with its translation
+   * @returns {Object[]} - { term, sourceLang, index, translation, definition, category, tags, packageName }
+   */
+  getTermEntries() {
+    const termEntries = [];
+    if (!this.languages?.has(this.targetLang)) return termEntries;
+    // Tells the tooltip which package's wiki and assets a definition refers to
+    const packageName = this.gamePackage.metadata?.name || null;
+
+    this.entries.forEach((entry, index) => {
+      const translation = entry.terms[this.targetLang];
+      if (!translation) return;
+
+      Object.entries(entry.terms).forEach(([sourceLang, term]) => {
+        if (sourceLang === this.targetLang) return;
+
+        const definition = this.getDefinition(index, sourceLang);
+        [term, ...(entry.aliases[sourceLang] || [])].forEach(text => {
+          termEntries.push({
+            term: text,
+            sourceLang,
+            index,
+            translation,
+            definition,
+            category: entry.category,
+            tags: entry.tags,
+            packageName
+          });
+        });
+      });
+    });
+
+    return termEntries;
+  }
+
+  /**
+   * Find the terms to translate in a block of text
+   * @param {string} text - The text to search
+   * @param {string} [sourceLang] - The source language, all but the target if omitted
+   * @returns {Object[]} - { start, end, term, translation, definition, packageName } in text order,
+   *   with the translation cased like the matched text
+   */
+  findTranslations(text, sourceLang) {
+    const lang = sourceLang ? this.resolveLanguage(sourceLang) : null;
+
+    return this.getMatcher(lang).findMatches(text).map(({ start, end, entry }) => ({
+      start,
+      end,
+      term: entry.term,
+      translation: TermMatcher.matchCase(text.slice(start, end), entry.term, entry.translation),
+      definition: entry.definition,
+      packageName: entry.packageName
+    }));
+  }
+
   /**
    * Translate a block of text
    * @param {string} text - The text to translate
-   * @param {string} sourceLang - The source language
+   * @param {string} [sourceLang] - The source language, all but the target if omitted
    * @returns {Object} - { translatedText, translations }
    */
   translateText(text, sourceLang) {
     try {
-      let translatedText = text;
       const translations = new Map();
-      let lastMatch = null;
-
-      while (true) {
-        const match = this.findBestMatch(translatedText, sourceLang);
-        if (!match || (lastMatch && match.position === lastMatch.position)) break;
-
-        const translation = this.getTranslation(match.term, sourceLang);
-        if (!translation) break;
+      let translatedText = '';
+      let cursor = 0;
 
-        translatedText = translatedText.slice(0, match.position) +
-                        translation.translation +
-                        translatedText.slice(match.position + match.term.length);
-
-        translations.set(translation.translation, translation.definition);
-        lastMatch = match;
-      }
+      this.findTranslations(text, sourceLang).forEach(({ start, end, translation, definition }) => {
+        translatedText += text.slice(cursor, start) + translation;
+        translations.set(translation, definition);
+        cursor = end;
+      });
+      translatedText += text.slice(cursor);
 
       return { translatedText, translations };
     } catch (error) {
@@ -131,10 +285,20 @@ class TranslationService {
 
   /**
    * Get available languages
-   * @returns {string[]} - List of available languages
+   * @returns {string[]} - List of available languages, in `metadata.languages` order
    */
   getAvailableLanguages() {
-    return Object.keys(this.conversionTable || {});
+    return Array.from(LanguageResolver.getPackageLanguages(this.gamePackage).keys())
+      .filter(lang => this.languages?.has(lang));
+  }
+
+  /**
+   * Resolve a language code to the matching key of the loaded package
+   * @param {string} lang - A package key, ISO code or BCP-47 tag
+   * @returns {string|null} - The package language key, or null if not found
+   */
+  resolveLanguage(lang) {
+    return LanguageResolver.resolve(lang, this.gamePackage);
   }
 
   /**
@@ -143,7 +307,7 @@ class TranslationService {
    * @returns {boolean} - Whether the language is supported
    */
   isLanguageSupported(lang) {
-    return Boolean(this.conversionTable?.[lang]);
+    return Boolean(this.languages?.has(this.resolveLanguage(lang)));
   }
 }
 
@@ -0,0 +1,103 @@
+import Logger from '../utils/logger.js';
+import Validator from '../utils/validator.js';
+import PackageLibrary from './packageLibrary.js';
+
+const logger = new Logger('UserGlossary');
+
+/**
+ * The user's own glossary, a package in the library that terms picked on
+ * pages are saved to.
+ *
+ * It is created on first use at the top of the library, so its translations
+ * win over those of other packages, and can then be edited, reordered,
+ * disabled or exported like any other package. It is found by its name, and
+ * saving a term enables it again. Like any edit, a saved term gives the
+ * package a new version.
+ */
+class UserGlossary {
+  static NAME = 'My Glossary';
+
+  /**
+   * Create the empty package
+   * @returns {Object} - A format 2 game package
+   */
+  static create() {
+    return {
+      formatVersion: 2,
+      metadata: {
+        name: UserGlossary.NAME,
+        version: '1',
+        description: 'Terms added from pages',
+        languages: []
+      },
+      entries: []
+    };
+  }
+
+  /**
+   * Add a term, or replace the translation and definition of a term already
+   * in the glossary
+   * @param {Object} term
+   * @param {string} term.text - The term as found on the page
+   * @param {string} term.sourceLang - Language key of the term
+   * @param {string} term.translation - The translation
+   * @param {string} term.targetLang - Language key of the translation
+   * @param {string} [term.definition] - Definition in the target language
+   * @returns {Promise<Object>} - The library entry of the glossary
+   */
+  static async addTerm({ text, sourceLang, translation, targetLang, definition }) {
+    const clean = value => (typeof value === 'string' ? value.trim() : '');
+    [text, sourceLang, translation, targetLang, definition] =
+      [text, sourceLang, translation, targetLang, definition].map(clean);
+    if (!text) throw new Error('The term is empty');
+    if (!translation) throw new Error('The translation is empty');
+    if (!sourceLang || !targetLang) throw new Error('Both languages are needed');
+    if (sourceLang === targetLang) throw new Error('The term and its translation must be in different languages');
+
+    const existing = await PackageLibrary.findByName(UserGlossary.NAME);
+    const gamePackage = structuredClone(existing?.gamePackage || UserGlossary.create());
+
+    const declared = gamePackage.metadata.languages.map(lang => (typeof lang === 'string' ? lang : lang.key));
+    [sourceLang, targetLang].forEach(lang => {
+      if (!declared.includes(lang)) gamePackage.metadata.languages.push(lang);
+    });
+
+    // Terms differing only in case are the same term
+    const entry = gamePackage.entries.find(item => item.terms[sourceLang]?.toLowerCase() === text.toLowerCase());
+    if (entry) {
+      entry.terms[targetLang] = translation;
+      entry.definitions = { ...entry.definitions };
+      if (definition) {
+        entry.definitions[targetLang] = definition;
+      } else {
+        delete entry.definitions[targetLang];
+      }
+    } else {
+      gamePackage.entries.push({
+        terms: { [sourceLang]: text, [targetLang]: translation },
+        definitions: definition ? { [targetLang]: definition } : {}
+      });
+    }
+
+    const report = Validator.getPackageReport(gamePackage);
+    if (!report.isValid) {
+      throw new Error(`Invalid term: ${report.errors.map(Validator.formatIssue).join('; ')}`);
+    }
+
+    if (existing) {
+      await PackageLibrary.update(existing.id, gamePackage);
+      // A term saved from a page is meant to be used there
+      if (!existing.enabled) await PackageLibrary.setEnabled(existing.id, true);
+      logger.info('Term saved', { text, sourceLang, targetLang, replaced: Boolean(entry) });
+      return PackageLibrary.get(existing.id);
+    }
+
+    const added = await PackageLibrary.add(gamePackage);
+    // To the top of the list
+    await PackageLibrary.move(added.id, -Infinity);
+    logger.info('Glossary created', { text, sourceLang, targetLang });
+    return PackageLibrary.get(added.id);
+  }
+}
+
+export default UserGlossary;
@@ -0,0 +1,18 @@
+// Runs in the page's own JavaScript world (see manifest.json), where page
+// scripts attach their shadow roots. Each open root is announced with an event
+// on its host so the content script can translate and observe it; the event
+// name must match DomTraversal.SHADOW_ROOT_EVENT.
+(function() {
+  const attachShadow = Element.prototype.attachShadow;
+  if (!attachShadow || attachShadow.gameTranslatorHook) return;
+
+  function hookedAttachShadow(...args) {
+    const root = attachShadow.apply(this, args);
+    if (root.mode === 'open') {
+      this.dispatchEvent(new CustomEvent('game-translator-shadow-root', { bubbles: true, composed: true }));
+    }
+    return root;
+  }
+  hookedAttachShadow.gameTranslatorHook = true;
+  Element.prototype.attachShadow = hookedAttachShadow;
+})();
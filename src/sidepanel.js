@@ -0,0 +1,192 @@
+import PackageLibrary from './services/packageLibrary.js';
+import RichText from './utils/richText.js';
+import PageGlossary from './utils/pageGlossary.js';
+
+// Time an exported file's object URL stays valid, in milliseconds
+const DOWNLOAD_URL_LIFETIME = 60000;
+
+document.addEventListener('DOMContentLoaded', async function() {
+  const pageTitle = document.getElementById('pageTitle');
+  const exportMarkdownButton = document.getElementById('exportMarkdown');
+  const exportCsvButton = document.getElementById('exportCsv');
+  const glossaryStatus = document.getElementById('glossaryStatus');
+  const termList = document.getElementById('termList');
+
+  // The panel follows the active tab of its own window
+  const { id: windowId } = await chrome.windows.getCurrent();
+  let activeTab = null;
+  // Frame id -> entries each frame of the tab last sent
+  let frames = new Map();
+  let entries = [];
+  // Term key -> how many times the term has been shown, to step through its occurrences
+  let shown = new Map();
+  let packages = await PackageLibrary.getActivePackages();
+
+  chrome.runtime.onMessage.addListener((message, sender) => {
+    if (!activeTab || sender.tab?.id !== activeTab.id) return;
+
+    if (message.action === 'pageGlossary') {
+      frames.set(sender.frameId, message.entries);
+      render();
+    } else if (message.action === 'reportTermCount' && !frames.has(sender.frameId)) {
+      // A frame that loaded after the panel asked has terms to list
+      requestGlossary({ frameId: sender.frameId });
+    }
+  });
+
+  chrome.tabs.onActivated.addListener(info => {
+    if (info.windowId === windowId) loadTab();
+  });
+
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (!activeTab || tabId !== activeTab.id) return;
+    activeTab = tab;
+    if (changeInfo.status === 'loading') {
+      // The new page's frames send their terms once they have translated them
+      frames = new Map();
+      shown = new Map();
+      render();
+    } else if (changeInfo.title) {
+      renderTitle();
+    }
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[PackageLibrary.STORAGE_KEY]) {
+      packages = PackageLibrary.getActive(changes[PackageLibrary.STORAGE_KEY].newValue);
+      render();
+    }
+  });
+
+  exportMarkdownButton.addEventListener('click', () => {
+    const markdown = PageGlossary.toMarkdown(entries, { title: activeTab.title, getContext });
+    download(markdown, 'text/markdown', `${getFileName()}.md`);
+  });
+
+  exportCsvButton.addEventListener('click', () => {
+    // The byte order mark makes spreadsheet programs read the file as UTF-8
+    download('\uFEFF' + PageGlossary.toCsv(entries, { getContext }), 'text/csv', `${getFileName()}.csv`);
+  });
+
+  await loadTab();
+
+  async function loadTab() {
+    [activeTab] = await chrome.tabs.query({ active: true, windowId });
+    frames = new Map();
+    shown = new Map();
+    render();
+    renderTitle();
+    if (activeTab) await requestGlossary();
+  }
+
+  /**
+   * Ask the tab's frames to send their glossaries, all of them unless a frame is given
+   */
+  async function requestGlossary(options = {}) {
+    try {
+      await chrome.tabs.sendMessage(activeTab.id, { action: 'getGlossary' }, options);
+    } catch (error) {
+      // Pages the extension cannot run in have no terms
+    }
+  }
+
+  function render() {
+    entries = PageGlossary.merge(frames);
+    exportMarkdownButton.disabled = !entries.length;
+    exportCsvButton.disabled = !entries.length;
+
+    const total = entries.reduce((sum, entry) => sum + entry.count, 0);
+    glossaryStatus.textContent = entries.length ?
+      `${entries.length} ${entries.length === 1 ? 'term' : 'terms'}, ${total} ${total === 1 ? 'occurrence' : 'occurrences'}` :
+      'No terms translated on this page';
+
+    termList.replaceChildren(...entries.map(createItem));
+  }
+
+  function renderTitle() {
+    pageTitle.textContent = activeTab ? activeTab.title || activeTab.url : '';
+  }
+
+  function createItem(entry) {
+    const item = document.createElement('li');
+    item.className = 'term-item';
+
+    const showButton = document.createElement('button');
+    showButton.className = 'term-show';
+    showButton.title = 'Show the next occurrence on the page';
+    showButton.addEventListener('click', () => showNext(entry));
+
+    const name = document.createElement('span');
+    name.className = 'term-name';
+    const translation = document.createElement('span');
+    translation.className = 'term-translation';
+    translation.textContent = entry.translation;
+    if (entry.original && entry.original !== entry.translation) {
+      name.append(`${entry.original} → `);
+    }
+    name.appendChild(translation);
+
+    const count = document.createElement('span');
+    count.className = 'term-count';
+    count.textContent = `×${entry.count}`;
+    showButton.append(name, count);
+    item.appendChild(showButton);
+
+    if (entry.definition) {
+      const definition = document.createElement('div');
+      definition.className = 'term-definition';
+      definition.appendChild(RichText.render(entry.definition, getContext(entry.packageName)));
+      item.appendChild(definition);
+    }
+    if (entry.packageName) {
+      const packageName = document.createElement('div');
+      packageName.className = 'term-package';
+      packageName.textContent = entry.packageName;
+      item.appendChild(packageName);
+    }
+    return item;
+  }
+
+  /**
+   * Scroll the page to a term's next occurrence, going through its frames in turn
+   */
+  async function showNext(entry) {
+    const index = (shown.get(entry.key) || 0) % entry.count;
+    shown.set(entry.key, index + 1);
+
+    let skipped = 0;
+    const frame = entry.frames.find(({ count }) => {
+      if (index < skipped + count) return true;
+      skipped += count;
+      return false;
+    });
+    try {
+      await chrome.tabs.sendMessage(activeTab.id, {
+        action: 'showTerm',
+        key: entry.key,
+        index: index - skipped
+      }, { frameId: frame.frameId });
+      glossaryStatus.textContent = `Showing ${entry.original || entry.translation}, ${index + 1} of ${entry.count}`;
+    } catch (error) {
+      glossaryStatus.textContent = `Could not show the term: ${error.message}`;
+    }
+  }
+
+  function getContext(packageName) {
+    return RichText.getContext(packages.find(gamePackage => gamePackage.metadata?.name === packageName));
+  }
+
+  function getFileName() {
+    const title = activeTab.title || new URL(activeTab.url).hostname || 'page';
+    return `${title.replace(/[^\w.-]+/g, '_')}-glossary`;
+  }
+
+  function download(content, type, fileName) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([content], { type }));
+    link.download = fileName;
+    link.click();
+    // The download may not have read the file yet when click() returns
+    setTimeout(() => URL.revokeObjectURL(link.href), DOWNLOAD_URL_LIFETIME);
+  }
+});
@@ -0,0 +1,130 @@
+/**
+ * Walks page content across open shadow roots.
+ *
+ * A TreeWalker stops at shadow hosts, so text inside web components is
+ * collected separately: `collect` returns the shadow roots it passed, and the
+ * caller walks and observes each of them in turn. Shadow roots attached later
+ * are announced by `shadowHook.js`, which runs in the page's main world and
+ * dispatches SHADOW_ROOT_EVENT on the host.
+ */
+class DomTraversal {
+  static SHADOW_ROOT_EVENT = 'game-translator-shadow-root';
+  // Inline formatting a sentence runs through; any other element ends it
+  static INLINE_TAGS = new Set(['B', 'STRONG', 'I', 'EM', 'U', 'S', 'SMALL', 'SPAN', 'MARK', 'SUB', 'SUP',
+    'ABBR', 'CITE', 'DFN', 'Q', 'TIME', 'DATA', 'FONT', 'BDI', 'BDO', 'DEL', 'INS', 'VAR']);
+
+  /**
+   * Collect the text nodes under a node and the shadow roots of hosts under it
+   * @param {Node} root - An element, document or shadow root
+   * @param {Object} [options]
+   * @param {Function} [options.skipElement] - Returns true for elements whose
+   *   subtree, shadow roots included, is left out
+   * @param {Function} [options.acceptText] - Returns false for text nodes to leave out
+   * @param {Function} [options.acceptElement] - Returns true for elements to
+   *   collect, the root and skipped elements included
+   * @returns {Object} - { textNodes, shadowRoots, elements }, the roots
+   *   including the root's own when it is a host
+   */
+  static collect(root, { skipElement = () => false, acceptText = () => true, acceptElement = () => false } = {}) {
+    const textNodes = [];
+    const shadowRoots = root.shadowRoot ? [root.shadowRoot] : [];
+    const elements = root.nodeType === Node.ELEMENT_NODE && acceptElement(root) ? [root] : [];
+    const doc = root.ownerDocument || root;
+
+    const walker = doc.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+      acceptNode: node => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          if (acceptElement(node)) elements.push(node);
+          if (skipElement(node)) return NodeFilter.FILTER_REJECT;
+          if (node.shadowRoot) shadowRoots.push(node.shadowRoot);
+          return NodeFilter.FILTER_SKIP;
+        }
+        return acceptText(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+      }
+    });
+
+    // Collect first: replacing the walker's current node would end the walk
+    let node;
+    while ((node = walker.nextNode())) {
+      textNodes.push(node);
+    }
+    return { textNodes, shadowRoots, elements };
+  }
+
+  /**
+   * Group text nodes into the segments of text they belong to: runs of
+   * neighbouring nodes in the same block, joined only by inline formatting
+   * such as <b> or <span>. Blocks, links, line breaks and other elements end
+   * a segment.
+   * @param {Text[]} textNodes - Text nodes in document order
+   * @returns {Text[][]} - The segments, in order
+   */
+  static getSegments(textNodes) {
+    const segments = [];
+    textNodes.forEach((node, index) => {
+      if (index && DomTraversal.continuesSegment(textNodes[index - 1], node)) {
+        segments[segments.length - 1].push(node);
+      } else {
+        segments.push([node]);
+      }
+    });
+    return segments;
+  }
+
+  /**
+   * Get the block a text node is part of: its nearest ancestor that is not
+   * inline formatting
+   * @param {Text} node - The text node
+   * @returns {Node|null} - An element, shadow root or document
+   */
+  static getSegmentRoot(node) {
+    let parent = node.parentNode;
+    while (parent?.nodeType === Node.ELEMENT_NODE && DomTraversal.INLINE_TAGS.has(parent.tagName)) {
+      parent = parent.parentNode;
+    }
+    return parent;
+  }
+
+  /**
+   * Tell whether a text node continues the text of the one before it
+   * @param {Text} previous - The text node before it
+   * @param {Text} node - The text node
+   * @returns {boolean} - Whether only inline formatting and white space lie between them
+   */
+  static continuesSegment(previous, node) {
+    const root = DomTraversal.getSegmentRoot(node);
+    if (!root || DomTraversal.getSegmentRoot(previous) !== root) return false;
+
+    const walker = (root.ownerDocument || root).createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+    walker.currentNode = previous;
+    for (let next = walker.nextNode(); next; next = walker.nextNode()) {
+      if (next === node) return true;
+      const isBreak = next.nodeType === Node.ELEMENT_NODE ?
+        !DomTraversal.INLINE_TAGS.has(next.tagName) :
+        Boolean(next.nodeValue.trim());
+      if (isBreak) return false;
+    }
+    return false;
+  }
+
+  /**
+   * Get the node an event really happened on. Events from inside shadow
+   * roots are retargeted to the host by the time they reach the document.
+   * @param {Event} event - The event
+   * @returns {EventTarget|null} - The innermost target
+   */
+  static getTarget(event) {
+    return event.composedPath?.()[0] || event.target;
+  }
+
+  /**
+   * Get the shadow root announced by a SHADOW_ROOT_EVENT
+   * @param {Event} event - The event
+   * @returns {ShadowRoot|null} - The open shadow root, if any
+   */
+  static getAnnouncedRoot(event) {
+    return DomTraversal.getTarget(event)?.shadowRoot || null;
+  }
+}
+
+export default DomTraversal;
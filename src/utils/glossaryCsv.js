@@ -0,0 +1,260 @@
+import PackageFormat from './packageFormat.js';
+
+// Header suffixes that mark a definition column, e.g. `english_definition`
+const DEFINITION_HEADER = /^(.+?)[\s_-]*(?:definition|definitions|def|description)$/i;
+// Cell starts a spreadsheet would run as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Spreadsheet (CSV/TSV) import and export for glossaries.
+ *
+ * A glossary sheet has one row per concept and a column per language, plus an
+ * optional `<language>_definition` column next to it:
+ *
+ *     english,english_definition,japanese
+ *     Sword,A weapon with a long blade,剣
+ *
+ * Parsing follows RFC 4180: cells may be quoted, quotes inside quoted cells
+ * are doubled, and quoted cells may span lines.
+ */
+class GlossaryCsv {
+  static ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'shift_jis', 'gbk', 'big5', 'euc-kr', 'windows-1252'];
+
+  /**
+   * Decode file contents. A byte order mark decides the encoding when there
+   * is one; otherwise `auto` tries UTF-8 and falls back to Windows-1252.
+   * @param {ArrayBuffer} buffer - The file contents
+   * @param {string} [encoding='auto'] - An encoding label or 'auto'
+   * @returns {string} - The text, without a byte order mark
+   */
+  static decode(buffer, encoding = 'auto') {
+    const bytes = new Uint8Array(buffer);
+    let label = encoding;
+
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+      label = 'utf-8';
+    } else if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+      label = 'utf-16le';
+    } else if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+      label = 'utf-16be';
+    }
+
+    if (label === 'auto') {
+      try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+      } catch (error) {
+        label = 'windows-1252';
+      }
+    }
+
+    // TextDecoder strips the byte order mark of the encoding it decodes
+    return new TextDecoder(label).decode(bytes);
+  }
+
+  /**
+   * Guess the delimiter from the first line: tab, semicolon or comma
+   * @param {string} text - The file text
+   * @returns {string} - The delimiter
+   */
+  static detectDelimiter(text) {
+    const firstLine = text.slice(0, text.search(/\r|\n|$/));
+    const counts = ['\t', ';', ','].map(delimiter => [delimiter, firstLine.split(delimiter).length - 1]);
+    const [best] = counts.sort((a, b) => b[1] - a[1]);
+    return best[1] > 0 ? best[0] : ',';
+  }
+
+  /**
+   * Split text into rows of cells
+   * @param {string} text - The file text
+   * @param {Object} [options]
+   * @param {string} [options.delimiter] - Cell delimiter, detected when omitted
+   * @returns {Object} - { rows: [{ line, cells }], errors: [{ line, message }] }
+   *   where line is the 1-based line a row starts on; blank lines are skipped
+   */
+  static parse(text, { delimiter = GlossaryCsv.detectDelimiter(text) } = {}) {
+    const source = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    const rows = [];
+    const errors = [];
+
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let cellStarted = false;
+    let line = 1;
+    let rowLine = 1;
+    let quoteLine = 1;
+
+    const endCell = () => {
+      cells.push(cell);
+      cell = '';
+      cellStarted = false;
+    };
+    const endRow = () => {
+      endCell();
+      if (cells.length > 1 || cells[0] !== '') {
+        rows.push({ line: rowLine, cells });
+      }
+      cells = [];
+    };
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+
+      if (quoted) {
+        if (char === '"' && source[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n' || (char === '\r' && source[i + 1] !== '\n')) line++;
+          cell += char;
+        }
+      } else if (char === '"' && !cellStarted) {
+        quoted = true;
+        cellStarted = true;
+        quoteLine = line;
+      } else if (char === delimiter) {
+        endCell();
+      } else if (char === '\r' || char === '\n') {
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        endRow();
+        line++;
+        rowLine = line;
+      } else {
+        cell += char;
+        cellStarted = true;
+      }
+    }
+
+    if (quoted) {
+      errors.push({ line: quoteLine, message: 'Quoted cell is never closed' });
+    }
+    if (cell !== '' || cells.length) endRow();
+
+    return { rows, errors };
+  }
+
+  /**
+   * Guess what each column holds from its header
+   * @param {string[]} header - The header cells
+   * @returns {Array<Object|null>} - `{ lang, field }` per column, field being
+   *   'term' or 'definition'; null for columns to ignore
+   */
+  static guessMapping(header) {
+    return header.map(name => {
+      const value = name.trim().toLowerCase();
+      if (!value) return null;
+
+      const definition = DEFINITION_HEADER.exec(value);
+      return definition ?
+        { lang: definition[1], field: 'definition' } :
+        { lang: value, field: 'term' };
+    });
+  }
+
+  /**
+   * Build a package from parsed rows
+   * @param {Object[]} rows - Rows from `parse`, the header first
+   * @param {Array<Object|null>} mapping - Column mapping as from `guessMapping`
+   * @param {Object} metadata - Package metadata, e.g. `{ name, version }`
+   * @returns {Object} - { gamePackage, errors: [{ line, message }] }
+   */
+  static toPackage(rows, mapping, metadata) {
+    const errors = [];
+    const columns = mapping
+      .map((target, column) => (target ? { ...target, column } : null))
+      .filter(Boolean);
+    const languages = [...new Set(columns.filter(target => target.field === 'term').map(target => target.lang))];
+
+    columns
+      .filter(target => target.field === 'definition' && !languages.includes(target.lang))
+      .forEach(target => errors.push({ line: rows[0]?.line || 1, message: `Definition column for ${target.lang} has no term column` }));
+
+    const conversionTable = Object.fromEntries(languages.map(lang => [lang, []]));
+    const definitionTable = Object.fromEntries(languages
+      .filter(lang => columns.some(target => target.field === 'definition' && target.lang === lang))
+      .map(lang => [lang, []]));
+    const [header, ...body] = rows;
+
+    body.forEach(({ line, cells }) => {
+      if (header && cells.length !== header.cells.length) {
+        errors.push({ line, message: `Expected ${header.cells.length} cells, found ${cells.length}` });
+      }
+
+      const row = { term: {}, definition: {} };
+      columns.forEach(({ lang, field, column }) => {
+        const value = GlossaryCsv.unquoteFormula((cells[column] || '').trim());
+        if (value && !row[field][lang]) row[field][lang] = value;
+      });
+
+      if (!languages.some(lang => row.term[lang])) {
+        errors.push({ line, message: 'Row has no terms and was skipped' });
+        return;
+      }
+
+      languages.forEach(lang => conversionTable[lang].push(row.term[lang] || ''));
+      Object.keys(definitionTable).forEach(lang => definitionTable[lang].push(row.definition[lang] || ''));
+    });
+
+    return {
+      gamePackage: {
+        metadata: { ...metadata, languages },
+        conversionTable,
+        definitionTable
+      },
+      errors
+    };
+  }
+
+  /**
+   * Write a package as a sheet
+   * @param {Object} gamePackage - The game package, in either format
+   * @param {Object} [options]
+   * @param {string} [options.delimiter=','] - Cell delimiter
+   * @returns {string} - The CSV/TSV text with CRLF line ends
+   */
+  static fromPackage(gamePackage, { delimiter = ',' } = {}) {
+    const { entries } = PackageFormat.load(gamePackage);
+
+    const columns = [];
+    PackageFormat.getLanguages(gamePackage).forEach(lang => {
+      columns.push({ header: lang, lang, field: 'terms' });
+      if (entries.some(entry => entry.definitions[lang])) {
+        columns.push({ header: `${lang}_definition`, lang, field: 'definitions' });
+      }
+    });
+
+    const rows = [columns.map(column => column.header)];
+    entries.forEach(entry => {
+      rows.push(columns.map(({ lang, field }) => entry[field][lang] || ''));
+    });
+    return rows.map(cells => cells.map(cell => GlossaryCsv.quote(cell, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Quote a cell if it contains the delimiter, a quote or a line break.
+   * Cells that would start a formula are prefixed with `'` so a spreadsheet
+   * shows them as text.
+   * @param {string} cell - The cell text
+   * @param {string} delimiter - Cell delimiter
+   * @returns {string} - The cell as written to the file
+   */
+  static quote(cell, delimiter) {
+    const text = FORMULA_START.test(cell) ? `'${cell}` : cell;
+    return text.includes(delimiter) || /["\r\n]/.test(text) ?
+      `"${text.replace(/"/g, '""')}"` :
+      text;
+  }
+
+  /**
+   * Undo the `'` that `quote` puts before a formula-like cell
+   * @param {string} cell - The cell text
+   * @returns {string} - The cell text as exported
+   */
+  static unquoteFormula(cell) {
+    return cell.startsWith("'") && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell;
+  }
+}
+
+export default GlossaryCsv;
@@ -0,0 +1,217 @@
+import PackageFormat from './packageFormat.js';
+
+/**
+ * Editable row view of a game package, used by the glossary editor.
+ *
+ * Each package entry becomes a row with a term and a definition per language;
+ * aliases, category and tags are carried along unchanged. `toPackage` writes
+ * the rows back as entries.
+ * Every change records an undo step; consecutive edits of the same cell are
+ * merged into one step so undo does not go back a keystroke at a time.
+ */
+class GlossaryTable {
+  static HISTORY_LIMIT = 100;
+
+  /**
+   * @param {Object} gamePackage - The package to edit, in either format; it is not modified
+   */
+  constructor(gamePackage) {
+    this.base = PackageFormat.load(gamePackage);
+    this.languages = PackageFormat.getLanguages(this.base);
+    this.rows = GlossaryTable.toRows(this.base, this.languages);
+    this.history = [];
+    this.lastEdit = null;
+  }
+
+  /**
+   * Build the rows of a package
+   * @param {Object} gamePackage - A normalized game package
+   * @param {string[]} languages - Language columns
+   * @returns {Object[]} - Entries with a term and definition, possibly empty,
+   *   for every language
+   */
+  static toRows(gamePackage, languages) {
+    return gamePackage.entries.map(entry => {
+      const row = { ...entry, terms: {}, definitions: {}, aliases: { ...entry.aliases }, tags: [...entry.tags] };
+      languages.forEach(lang => {
+        row.terms[lang] = entry.terms[lang] || '';
+        row.definitions[lang] = entry.definitions[lang] || '';
+      });
+      return row;
+    });
+  }
+
+  /**
+   * Whether there is a change to undo
+   * @returns {boolean}
+   */
+  get canUndo() {
+    return this.history.length > 0;
+  }
+
+  /**
+   * Record the current state as an undo step
+   * @param {string|null} [editKey] - Cell being edited, to merge repeated edits
+   */
+  checkpoint(editKey = null) {
+    if (editKey !== null && editKey === this.lastEdit) return;
+
+    this.history.push(JSON.stringify({ languages: this.languages, rows: this.rows }));
+    if (this.history.length > GlossaryTable.HISTORY_LIMIT) {
+      this.history.shift();
+    }
+    this.lastEdit = editKey;
+  }
+
+  /**
+   * Go back to the state before the last change
+   * @returns {boolean} - Whether anything was undone
+   */
+  undo() {
+    const previous = this.history.pop();
+    if (!previous) return false;
+
+    ({ languages: this.languages, rows: this.rows } = JSON.parse(previous));
+    this.lastEdit = null;
+    return true;
+  }
+
+  /**
+   * Set a term or definition
+   * @param {number} index - Row index
+   * @param {string} lang - Language key
+   * @param {string} field - 'terms' or 'definitions'
+   * @param {string} value - The new text
+   */
+  setCell(index, lang, field, value) {
+    const row = this.rows[index];
+    if (!row || !this.languages.includes(lang)) return;
+
+    this.checkpoint(`${index}:${lang}:${field}`);
+    row[field][lang] = value;
+  }
+
+  /**
+   * Insert an empty row
+   * @param {number} [index] - Position, the end by default
+   * @returns {number} - Index of the new row
+   */
+  addRow(index = this.rows.length) {
+    this.checkpoint();
+    const row = PackageFormat.createEntry();
+    this.languages.forEach(lang => {
+      row.terms[lang] = '';
+      row.definitions[lang] = '';
+    });
+    this.rows.splice(index, 0, row);
+    return index;
+  }
+
+  /**
+   * Delete a row
+   * @param {number} index - Row index
+   */
+  removeRow(index) {
+    if (!this.rows[index]) return;
+    this.checkpoint();
+    this.rows.splice(index, 1);
+  }
+
+  /**
+   * Move a row up or down
+   * @param {number} index - Row index
+   * @param {number} offset - Positions to move, negative for up
+   */
+  moveRow(index, offset) {
+    const to = index + offset;
+    if (!this.rows[index] || to < 0 || to >= this.rows.length) return;
+
+    this.checkpoint();
+    const [row] = this.rows.splice(index, 1);
+    this.rows.splice(to, 0, row);
+  }
+
+  /**
+   * Add a language column
+   * @param {string} lang - Language key, e.g. `german`
+   */
+  addLanguage(lang) {
+    const key = String(lang).trim();
+    if (!key) throw new Error('Language name is empty');
+    if (this.languages.includes(key)) throw new Error(`Language already exists: ${key}`);
+
+    this.checkpoint();
+    this.languages.push(key);
+    this.rows.forEach(row => {
+      row.terms[key] = '';
+      row.definitions[key] = '';
+    });
+  }
+
+  /**
+   * Remove a language column
+   * @param {string} lang - Language key
+   */
+  removeLanguage(lang) {
+    if (!this.languages.includes(lang)) return;
+
+    this.checkpoint();
+    this.languages = this.languages.filter(key => key !== lang);
+    this.rows.forEach(row => {
+      delete row.terms[lang];
+      delete row.definitions[lang];
+      delete row.aliases[lang];
+    });
+  }
+
+  /**
+   * Find the rows matching a search
+   * @param {string} query - Text to look for in terms and definitions, case-insensitive
+   * @param {Object} [options]
+   * @param {boolean} [options.missingOnly=false] - Only rows with an empty term
+   * @returns {number[]} - Indices of matching rows
+   */
+  filter(query, { missingOnly = false } = {}) {
+    const needle = query.trim().toLowerCase();
+    const indices = [];
+
+    this.rows.forEach((row, index) => {
+      if (missingOnly && !this.languages.some(lang => !row.terms[lang])) return;
+      if (needle) {
+        const found = this.languages.some(lang =>
+          row.terms[lang].toLowerCase().includes(needle) ||
+          row.definitions[lang].toLowerCase().includes(needle)
+        );
+        if (!found) return;
+      }
+      indices.push(index);
+    });
+    return indices;
+  }
+
+  /**
+   * Write the rows back into a copy of the package. Rows without any term
+   * are left out.
+   * @returns {Object} - The game package, in the entry format
+   */
+  toPackage() {
+    const entries = this.rows
+      .map(row => PackageFormat.createEntry(row))
+      .filter(entry => Object.keys(entry.terms).length);
+
+    const gamePackage = { ...this.base, entries };
+
+    // Keep alias declarations of the remaining languages and list new ones
+    if (this.base.metadata) {
+      const declared = Array.isArray(this.base.metadata.languages) ? this.base.metadata.languages : [];
+      const keyOf = entry => (typeof entry === 'string' ? entry : entry?.key);
+      const kept = declared.filter(entry => this.languages.includes(keyOf(entry)));
+      const added = this.languages.filter(lang => !kept.some(entry => keyOf(entry) === lang));
+      gamePackage.metadata = { ...this.base.metadata, languages: [...kept, ...added] };
+    }
+
+    return gamePackage;
+  }
+}
+
+export default GlossaryTable;
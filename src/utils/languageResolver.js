@@ -0,0 +1,247 @@
+import PackageFormat from './packageFormat.js';
+
+/**
+ * Resolves the language codes used by the extension (ISO codes and BCP-47
+ * tags such as `zh-Hans` or `en-US`) to the language keys a game package
+ * uses in its tables (`english`, `mandarin`, ...)
+ */
+class LanguageResolver {
+  /**
+   * Built-in aliases for common package language keys
+   */
+  static ALIASES = {
+    english: ['en'],
+    mandarin: ['zh', 'zh-hans', 'cmn', 'cmn-hans'],
+    chinese: ['zh', 'zh-hans'],
+    simplified_chinese: ['zh-hans'],
+    traditional_chinese: ['zh-hant'],
+    cantonese: ['yue', 'zh-yue', 'yue-hant'],
+    japanese: ['ja', 'jp'],
+    korean: ['ko', 'kr'],
+    french: ['fr'],
+    german: ['de'],
+    spanish: ['es'],
+    portuguese: ['pt'],
+    russian: ['ru'],
+    italian: ['it'],
+    vietnamese: ['vi'],
+    thai: ['th'],
+    indonesian: ['id']
+  };
+
+  /**
+   * Chinese regions whose script is implied when a tag omits it
+   */
+  static IMPLIED_SCRIPTS = {
+    zh: { cn: 'hans', sg: 'hans', my: 'hans', tw: 'hant', hk: 'hant', mo: 'hant' }
+  };
+
+  /**
+   * Scripts that give a text's language away, checked in order: kana before
+   * Han, as Japanese mixes both. Latin script is left out, it is too common.
+   */
+  static SCRIPT_LANGUAGES = [
+    [/[\p{Script=Hiragana}\p{Script=Katakana}]/u, 'ja'],
+    [/\p{Script=Hangul}/u, 'ko'],
+    [/\p{Script=Han}/u, 'zh'],
+    [/\p{Script=Cyrillic}/u, 'ru'],
+    [/\p{Script=Thai}/u, 'th']
+  ];
+
+  /**
+   * Normalize a language tag: lowercase, `_` to `-`, surrounding whitespace removed
+   * @param {string} tag - The language tag or key
+   * @returns {string} - The normalized tag
+   */
+  static normalize(tag) {
+    return String(tag).trim().toLowerCase().replace(/_/g, '-');
+  }
+
+  /**
+   * List the tags to try for a language code, most specific first.
+   * `zh-TW` yields ['zh-tw', 'zh-hant-tw', 'zh-hant', 'zh']
+   * @param {string} langCode - The requested language code
+   * @returns {string[]} - Candidate tags
+   */
+  static getCandidates(langCode) {
+    const tag = LanguageResolver.normalize(langCode);
+    const [language, ...subtags] = tag.split('-');
+    let script = subtags.find(subtag => subtag.length === 4);
+    const region = subtags.find(subtag => subtag.length === 2 || /^\d{3}$/.test(subtag));
+
+    if (!script && region) {
+      script = LanguageResolver.IMPLIED_SCRIPTS[language]?.[region];
+    }
+
+    const candidates = [tag];
+    if (script && region) candidates.push(`${language}-${script}-${region}`);
+    if (script) candidates.push(`${language}-${script}`);
+    if (region) candidates.push(`${language}-${region}`);
+    candidates.push(language);
+
+    return [...new Set(candidates)];
+  }
+
+  /**
+   * Get the language keys of a package with the aliases it declares.
+   * `metadata.languages` entries may be plain keys or `{ key, aliases }` objects
+   * @param {Object} gamePackage - The game package
+   * @returns {Map<string, string[]>} - Language key -> declared aliases
+   */
+  static getPackageLanguages(gamePackage) {
+    const languages = new Map();
+
+    (gamePackage?.metadata?.languages || []).forEach(entry => {
+      if (typeof entry === 'string') {
+        languages.set(entry, []);
+      } else if (entry && typeof entry.key === 'string') {
+        languages.set(entry.key, Array.isArray(entry.aliases) ? entry.aliases : []);
+      }
+    });
+
+    PackageFormat.getLanguages(gamePackage).forEach(key => {
+      if (!languages.has(key)) languages.set(key, []);
+    });
+
+    return languages;
+  }
+
+  /**
+   * Get every tag a package language key answers to
+   * @param {string} key - The package language key
+   * @param {string[]} declaredAliases - Aliases declared by the package
+   * @returns {Set<string>} - Normalized tags
+   */
+  static getAliases(key, declaredAliases = []) {
+    const normalizedKey = LanguageResolver.normalize(key);
+    const builtIn = LanguageResolver.ALIASES[normalizedKey.replace(/-/g, '_')] || [];
+
+    return new Set([
+      normalizedKey,
+      ...declaredAliases.map(alias => LanguageResolver.normalize(alias)),
+      ...builtIn
+    ]);
+  }
+
+  /**
+   * Resolve a language code to a language key of the package
+   * @param {string} langCode - The requested language code (e.g. `en`, `zh-Hans`, `mandarin`)
+   * @param {Object} gamePackage - The game package
+   * @returns {string|null} - The matching key, or null if the package lacks the language
+   */
+  static resolve(langCode, gamePackage) {
+    if (!langCode) return null;
+
+    const languages = LanguageResolver.getPackageLanguages(gamePackage);
+    if (languages.has(langCode)) return langCode;
+
+    // Package-declared aliases take precedence over the built-in ones
+    const declared = Array.from(languages.entries()).map(([key, aliases]) => ({
+      key,
+      aliases: new Set([LanguageResolver.normalize(key), ...aliases.map(LanguageResolver.normalize)])
+    }));
+    const builtIn = Array.from(languages.entries()).map(([key, aliases]) => ({
+      key,
+      aliases: LanguageResolver.getAliases(key, aliases)
+    }));
+
+    for (const candidate of LanguageResolver.getCandidates(langCode)) {
+      const match = declared.find(({ aliases }) => aliases.has(candidate)) ||
+                    builtIn.find(({ aliases }) => aliases.has(candidate));
+      if (match) return match.key;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the key to store a language under in a new package: the key one of
+   * the given packages uses for it, else the built-in name (`ja` -> `japanese`)
+   * @param {string} langCode - A package key or language code
+   * @param {Object[]} [packages] - Packages whose keys to prefer, in priority order
+   * @returns {string|null} - The language key
+   */
+  static toKey(langCode, packages = []) {
+    if (!langCode) return null;
+
+    for (const gamePackage of packages) {
+      const key = LanguageResolver.resolve(langCode, gamePackage);
+      if (key) return key;
+    }
+    for (const candidate of LanguageResolver.getCandidates(langCode)) {
+      const key = Object.keys(LanguageResolver.ALIASES).find(name =>
+        name === candidate.replace(/-/g, '_') || LanguageResolver.ALIASES[name].includes(candidate));
+      if (key) return key;
+    }
+    return LanguageResolver.normalize(langCode);
+  }
+
+  /**
+   * Guess a text's language from its script
+   * @param {string} text - The text
+   * @returns {string|null} - A language code, or null for Latin script and
+   *   other scripts shared by many languages
+   */
+  static guessFromScript(text) {
+    const match = LanguageResolver.SCRIPT_LANGUAGES.find(([pattern]) => pattern.test(text));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Guess the language of a text on a page, from its script and the page's
+   * `lang`. The page wins unless the script says otherwise, so Japanese and
+   * Chinese pages keep their own reading of Han characters.
+   * @param {string} text - The text
+   * @param {string} [pageLang] - The `lang` of the element holding the text
+   * @returns {string|null} - A language code
+   */
+  static detect(text, pageLang) {
+    const guess = LanguageResolver.guessFromScript(text);
+    if (!pageLang) return guess;
+
+    const language = LanguageResolver.getCandidates(pageLang).at(-1);
+    const writesHan = ['ja', 'zh', 'yue', 'cmn'].includes(language);
+    return !guess || guess === language || (guess === 'zh' && writesHan) ? pageLang : guess;
+  }
+
+  /**
+   * Get a language code for a package key, for services that only accept
+   * ISO codes (e.g. machine translation engines)
+   * @param {string} langCode - A package key or language code
+   * @param {Object} [gamePackage] - The package whose declared aliases to consider
+   * @returns {string|null} - An ISO 639 code or BCP-47 tag, if one is known
+   */
+  static toLanguageCode(langCode, gamePackage) {
+    if (!langCode) return null;
+
+    const key = LanguageResolver.resolve(langCode, gamePackage) || langCode;
+    const declared = LanguageResolver.getPackageLanguages(gamePackage).get(key) || [];
+    const builtIn = LanguageResolver.ALIASES[LanguageResolver.normalize(key).replace(/-/g, '_')] || [];
+
+    return [key, ...declared, ...builtIn]
+      .find(candidate => /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(candidate)) || null;
+  }
+
+  /**
+   * Get a human readable name for a package language key
+   * @param {string} key - The package language key
+   * @returns {string} - Display name, e.g. `traditional_chinese` -> `Traditional Chinese`
+   */
+  static getDisplayName(key) {
+    // Packages keyed by ISO codes get the browser's name for the language
+    if (/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(key)) {
+      try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(key);
+      } catch (error) {
+        // Not a valid tag after all, fall through to the key itself
+      }
+    }
+
+    return String(key)
+      .split(/[_\s]+/)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+}
+
+export default LanguageResolver;
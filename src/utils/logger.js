@@ -13,7 +13,7 @@ class Logger {
   constructor(context, minLevel = 'INFO') {
     this.context = context;
     this.minLevel = Logger.LEVELS[minLevel] || Logger.LEVELS.INFO;
-    this.isDebug = process.env.NODE_ENV === 'development';
+    this.isDebug = typeof process !== 'undefined' && process.env.NODE_ENV === 'development';
   }
 
   formatMessage(level, message, data) {
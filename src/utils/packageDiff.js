@@ -0,0 +1,171 @@
+import PackageFormat from './packageFormat.js';
+
+/**
+ * Compares two versions of a game package.
+ *
+ * Entries are paired across versions by a shared term, trying languages in
+ * `metadata.languages` order, so reordering the glossary or inserting an entry
+ * in the middle does not show up as a change to every later term.
+ */
+class PackageDiff {
+  /**
+   * Compare versions by semver precedence: dotted numbers numerically
+   * (`1.10` > `1.9`, `1.0` = `1.0.0`), a prerelease before its release
+   * (`1.0-beta` < `1.0`), prerelease identifiers field by field
+   * (`1.0-beta.2` < `1.0-beta.11` < `1.0-rc`), and build metadata ignored
+   * (`1.0+edit.2` = `1.0`)
+   * @param {string} a - First version
+   * @param {string} b - Second version
+   * @returns {number|null} - Negative, zero or positive like a sort
+   *   comparator, or null if either version is missing
+   */
+  static compareVersions(a, b) {
+    if (a === null || a === undefined || b === null || b === undefined) return null;
+
+    const parse = version => {
+      const [release, ...prerelease] = String(version).trim().split('+')[0].split('-');
+      return { release: release.split('.'), prerelease: prerelease.length ? prerelease.join('-').split('.') : [] };
+    };
+    // Numbers compare numerically and come before words, which compare in ASCII order
+    const compareFields = (fieldA, fieldB) => {
+      const numericA = /^\d+$/.test(fieldA);
+      const numericB = /^\d+$/.test(fieldB);
+      if (numericA && numericB) return Math.sign(Number(fieldA) - Number(fieldB));
+      if (numericA !== numericB) return numericA ? -1 : 1;
+      return fieldA < fieldB ? -1 : fieldA > fieldB ? 1 : 0;
+    };
+
+    const versionA = parse(a);
+    const versionB = parse(b);
+    for (let i = 0; i < Math.max(versionA.release.length, versionB.release.length); i++) {
+      const order = compareFields(versionA.release[i] ?? '0', versionB.release[i] ?? '0');
+      if (order !== 0) return order;
+    }
+
+    // Only one of them a prerelease: it comes first
+    if (!versionA.prerelease.length || !versionB.prerelease.length) {
+      return Math.sign(versionB.prerelease.length - versionA.prerelease.length);
+    }
+    for (let i = 0; i < Math.max(versionA.prerelease.length, versionB.prerelease.length); i++) {
+      // Fewer identifiers come first when the others are equal
+      if (versionA.prerelease[i] === undefined) return -1;
+      if (versionB.prerelease[i] === undefined) return 1;
+      const order = compareFields(versionA.prerelease[i], versionB.prerelease[i]);
+      if (order !== 0) return order;
+    }
+    return 0;
+  }
+
+  /**
+   * Describe what changes from one package version to another
+   * @param {Object} previous - The stored package, in either format
+   * @param {Object} next - The incoming package, in either format
+   * @returns {Object} - {
+   *   fromVersion, toVersion,
+   *   direction: 'upgrade' | 'downgrade' | 'same' | 'unknown',
+   *   languages: { [lang]: { added: string[], removed: string[], changed: [{ from, to }] } },
+   *   definitions: [{ lang, term, from, to }],
+   *   hasChanges
+   * }
+   */
+  static diff(previous, next) {
+    const before = PackageFormat.load(previous);
+    const after = PackageFormat.load(next);
+    const fromVersion = before.metadata?.version ?? null;
+    const toVersion = after.metadata?.version ?? null;
+    const order = PackageDiff.compareVersions(fromVersion, toVersion);
+
+    const result = {
+      fromVersion,
+      toVersion,
+      direction: order === null ? 'unknown' : order < 0 ? 'upgrade' : order > 0 ? 'downgrade' : 'same',
+      languages: {},
+      definitions: [],
+      hasChanges: false
+    };
+    const languageChanges = lang => {
+      if (!result.languages[lang]) {
+        result.languages[lang] = { added: [], removed: [], changed: [] };
+      }
+      return result.languages[lang];
+    };
+
+    const languages = [...new Set([...PackageFormat.getLanguages(before), ...PackageFormat.getLanguages(after)])];
+    const pairs = PackageDiff.pairEntries(before.entries, after.entries, languages);
+
+    pairs.forEach(([oldEntry, newEntry]) => {
+      languages.forEach(lang => {
+        const from = oldEntry?.terms[lang];
+        const to = newEntry?.terms[lang];
+        if (from === to) {
+          const oldDefinition = oldEntry?.definitions[lang] || '';
+          const newDefinition = newEntry?.definitions[lang] || '';
+          if (from && oldDefinition !== newDefinition) {
+            result.definitions.push({ lang, term: to, from: oldDefinition, to: newDefinition });
+          }
+          return;
+        }
+
+        if (!from) {
+          languageChanges(lang).added.push(to);
+        } else if (!to) {
+          languageChanges(lang).removed.push(from);
+        } else {
+          languageChanges(lang).changed.push({ from, to });
+        }
+      });
+    });
+
+    result.hasChanges = result.definitions.length > 0 || Object.keys(result.languages).length > 0;
+    return result;
+  }
+
+  /**
+   * Count a diff's changes in a sentence
+   * @param {Object} diff - A result of `diff`
+   * @returns {string} - e.g. `Terms: 2 added, 0 removed, 1 changed. Definitions: 3 changed.`
+   */
+  static summarize(diff) {
+    if (!diff.hasChanges) return 'No changes to terms or definitions.';
+    const count = kind => Object.values(diff.languages).reduce((sum, changes) => sum + changes[kind].length, 0);
+    return `Terms: ${count('added')} added, ${count('removed')} removed, ${count('changed')} changed. ` +
+      `Definitions: ${diff.definitions.length} changed.`;
+  }
+
+  /**
+   * Pair the entries of two versions by shared terms
+   * @param {Object[]} oldEntries - Entries of the stored version
+   * @param {Object[]} newEntries - Entries of the incoming version
+   * @param {string[]} languages - Languages to pair by, in priority order
+   * @returns {Array<Array<Object|null>>} - [oldEntry, newEntry] pairs; one side is
+   *   null for added and removed entries
+   */
+  static pairEntries(oldEntries, newEntries, languages) {
+    const indexByTerm = new Map();
+    oldEntries.forEach((entry, index) => {
+      languages.forEach(lang => {
+        const key = `${lang}\u0000${entry.terms[lang]}`;
+        if (entry.terms[lang] && !indexByTerm.has(key)) indexByTerm.set(key, index);
+      });
+    });
+
+    const claimed = new Set();
+    const pairs = newEntries.map(entry => {
+      for (const lang of languages) {
+        const index = indexByTerm.get(`${lang}\u0000${entry.terms[lang]}`);
+        if (entry.terms[lang] && index !== undefined && !claimed.has(index)) {
+          claimed.add(index);
+          return [oldEntries[index], entry];
+        }
+      }
+      return [null, entry];
+    });
+
+    oldEntries.forEach((entry, index) => {
+      if (!claimed.has(index)) pairs.push([entry, null]);
+    });
+    return pairs;
+  }
+}
+
+export default PackageDiff;
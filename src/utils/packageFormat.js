@@ -0,0 +1,150 @@
+// Normalized packages per input object, so repeated loads are free
+const loadCache = new WeakMap();
+
+/**
+ * Loads game packages in either format and normalizes them to the entry
+ * model used throughout the extension.
+ *
+ * Format 1 keeps index-aligned arrays per language in `conversionTable` and
+ * `definitionTable`. Format 2 (`"formatVersion": 2`) lists entries instead:
+ *
+ *     {
+ *       "terms": { "english": "Sword", "japanese": "剣" },
+ *       "definitions": { "english": "A weapon with a long blade" },
+ *       "aliases": { "english": ["Blade"] },
+ *       "category": "weapon",
+ *       "tags": ["equipment"]
+ *     }
+ *
+ * `load` returns format 2 for both, with every entry field present.
+ */
+class PackageFormat {
+  static CURRENT_VERSION = 2;
+
+  /**
+   * Tell which format a package uses
+   * @param {Object} gamePackage - The game package
+   * @returns {number} - 1 or 2
+   */
+  static getFormatVersion(gamePackage) {
+    return gamePackage?.formatVersion === 2 || Array.isArray(gamePackage?.entries) ? 2 : 1;
+  }
+
+  /**
+   * Check that a value looks like a package of either format
+   * @param {*} value - The value to check
+   * @returns {boolean} - Whether it has a term list or conversion table
+   */
+  static isPackage(value) {
+    if (!value || typeof value !== 'object') return false;
+    return PackageFormat.getFormatVersion(value) === 2 ?
+      Array.isArray(value.entries) :
+      Boolean(value.conversionTable) && typeof value.conversionTable === 'object';
+  }
+
+  /**
+   * Normalize a package to format 2
+   * @param {Object} gamePackage - A package of either format
+   * @returns {Object} - The normalized package; the input is not modified
+   */
+  static load(gamePackage) {
+    if (!PackageFormat.isPackage(gamePackage)) {
+      throw new Error('Not a game package: expected entries or a conversionTable');
+    }
+    if (loadCache.has(gamePackage)) return loadCache.get(gamePackage);
+
+    const source = PackageFormat.getFormatVersion(gamePackage) === 2 ?
+      gamePackage :
+      PackageFormat.migrate(gamePackage);
+
+    const { conversionTable, definitionTable, ...rest } = source;
+    const normalized = {
+      ...rest,
+      formatVersion: PackageFormat.CURRENT_VERSION,
+      entries: source.entries.map(entry => PackageFormat.createEntry(entry))
+    };
+    loadCache.set(gamePackage, normalized);
+    loadCache.set(normalized, normalized);
+    return normalized;
+  }
+
+  /**
+   * Turn format 1 parallel arrays into entries, one per index. Indices with
+   * no term in any language are dropped.
+   * @param {Object} gamePackage - A format 1 package
+   * @returns {Object} - The format 2 package
+   */
+  static migrate(gamePackage) {
+    const { conversionTable = {}, definitionTable = {}, ...rest } = gamePackage;
+    const count = Math.max(0, ...Object.values(conversionTable)
+      .filter(Array.isArray)
+      .map(terms => terms.length));
+
+    const entries = [];
+    for (let index = 0; index < count; index++) {
+      const entry = PackageFormat.createEntry({
+        terms: Object.fromEntries(Object.keys(conversionTable).map(lang => [lang, conversionTable[lang]?.[index]])),
+        definitions: Object.fromEntries(Object.keys(definitionTable).map(lang => [lang, definitionTable[lang]?.[index]]))
+      });
+      if (Object.keys(entry.terms).length) entries.push(entry);
+    }
+
+    // Languages only known from the table keys are listed so none go missing
+    const languages = Array.isArray(rest.metadata?.languages) ? rest.metadata.languages : [];
+    const declared = new Set(languages.map(item => (typeof item === 'string' ? item : item?.key)));
+    const undeclared = Object.keys(conversionTable).filter(lang => !declared.has(lang));
+    const metadata = rest.metadata && undeclared.length ?
+      { ...rest.metadata, languages: [...languages, ...undeclared] } :
+      rest.metadata;
+
+    return { ...rest, ...(metadata && { metadata }), formatVersion: 2, entries };
+  }
+
+  /**
+   * Build an entry with every field present, dropping empty and non-string values
+   * @param {Object} [entry] - Partial entry
+   * @returns {Object} - { terms, definitions, aliases, category, tags }
+   */
+  static createEntry({ terms, definitions, aliases, category, tags } = {}) {
+    const strings = table => Object.fromEntries(Object.entries(table || {})
+      .filter(([, value]) => typeof value === 'string' && value.trim())
+      .map(([lang, value]) => [lang, value.trim()]));
+
+    return {
+      terms: strings(terms),
+      definitions: strings(definitions),
+      aliases: Object.fromEntries(Object.entries(aliases || {})
+        .map(([lang, list]) => [lang, (Array.isArray(list) ? list : [])
+          .filter(alias => typeof alias === 'string' && alias.trim())
+          .map(alias => alias.trim())])
+        .filter(([, list]) => list.length)),
+      category: typeof category === 'string' && category.trim() ? category.trim() : null,
+      tags: Array.isArray(tags) ? tags.filter(tag => typeof tag === 'string' && tag.trim()).map(tag => tag.trim()) : []
+    };
+  }
+
+  /**
+   * List the languages a package has terms or declarations for
+   * @param {Object} gamePackage - A package of either format
+   * @returns {string[]} - Language keys, declared ones first
+   */
+  static getLanguages(gamePackage) {
+    const languages = new Set();
+    (gamePackage?.metadata?.languages || []).forEach(item => {
+      const key = typeof item === 'string' ? item : item?.key;
+      if (typeof key === 'string') languages.add(key);
+    });
+
+    if (PackageFormat.getFormatVersion(gamePackage) === 2) {
+      (gamePackage.entries || []).forEach(entry => {
+        Object.keys(entry?.terms || {}).forEach(lang => languages.add(lang));
+      });
+    } else {
+      Object.keys(gamePackage?.conversionTable || {}).forEach(lang => languages.add(lang));
+    }
+
+    return Array.from(languages);
+  }
+}
+
+export default PackageFormat;
@@ -0,0 +1,124 @@
+import KeywordRenderer from '../services/keywordRenderer.js';
+import RichText from './richText.js';
+import GlossaryCsv from './glossaryCsv.js';
+
+/**
+ * The terms translated on a page, for the glossary side panel.
+ *
+ * Each frame collects the keywords it shows into entries of
+ * `{ key, original, translation, definition, packageName, count }`, one per
+ * term, and the side panel merges the frames' entries. Entries can be
+ * exported as a Markdown table or a CSV sheet.
+ */
+class PageGlossary {
+  /**
+   * Get the key that groups the keywords of one term. Case variants of the
+   * original found by case-insensitive packages count as the same term.
+   * @param {Object} term - Result of KeywordRenderer.readKeyword
+   * @returns {string} - The key
+   */
+  static getKey({ original, translation, packageName }) {
+    return [packageName || '', translation, (original || '').toLowerCase()].join('\n');
+  }
+
+  /**
+   * Group keyword elements into entries, in order of first appearance
+   * @param {HTMLElement[]} keywords - Keyword elements, in page order
+   * @returns {Object[]} - The entries
+   */
+  static collect(keywords) {
+    const entries = new Map();
+    keywords.forEach(keyword => {
+      const term = KeywordRenderer.readKeyword(keyword);
+      const key = PageGlossary.getKey(term);
+      const entry = entries.get(key);
+      if (entry) {
+        entry.count++;
+      } else {
+        entries.set(key, { key, ...term, count: 1 });
+      }
+    });
+    return Array.from(entries.values());
+  }
+
+  /**
+   * Merge the entries of several frames
+   * @param {Map<number, Object[]>} frames - Frame id -> entries of the frame
+   * @returns {Object[]} - Entries with the total count and `frames`, a list
+   *   of `{ frameId, count }` in frame order, sorted by original term
+   */
+  static merge(frames) {
+    const entries = new Map();
+    frames.forEach((frameEntries, frameId) => {
+      frameEntries.forEach(({ count, ...term }) => {
+        const entry = entries.get(term.key) || { ...term, count: 0, frames: [] };
+        entry.count += count;
+        entry.frames.push({ frameId, count });
+        entries.set(term.key, entry);
+      });
+    });
+    return Array.from(entries.values()).sort((a, b) =>
+      (a.original || a.translation).localeCompare(b.original || b.translation)
+    );
+  }
+
+  /**
+   * Get the table rows of an export
+   * @param {Object[]} entries - Merged entries
+   * @param {Function} getContext - Returns the RichText context of a package name
+   * @returns {string[][]} - Header and one row per entry
+   */
+  static getRows(entries, getContext) {
+    return [
+      ['Term', 'Translation', 'Definition', 'Occurrences', 'Package'],
+      ...entries.map(entry => [
+        entry.original || '',
+        entry.translation,
+        entry.definition ? RichText.toText(entry.definition, getContext(entry.packageName)) : '',
+        String(entry.count),
+        entry.packageName || ''
+      ])
+    ];
+  }
+
+  /**
+   * Export entries as a Markdown table
+   * @param {Object[]} entries - Merged entries
+   * @param {Object} [options]
+   * @param {string} [options.title] - Heading above the table, e.g. the page title
+   * @param {Function} [options.getContext] - Returns the RichText context of a package name
+   * @returns {string} - The Markdown text
+   */
+  static toMarkdown(entries, { title, getContext = () => ({}) } = {}) {
+    // Markdown viewers render inline HTML, so page and package text is escaped
+    const cell = text => text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/\\/g, '\\\\')
+      .replace(/\|/g, '\\|')
+      .replace(/\r?\n/g, '<br>');
+    const [header, ...rows] = PageGlossary.getRows(entries, getContext);
+    const lines = [
+      `| ${header.join(' | ')} |`,
+      `| ${header.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+    ];
+    if (title) lines.unshift(`# ${title.replace(/\r?\n/g, ' ')}`, '');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Export entries as a CSV sheet
+   * @param {Object[]} entries - Merged entries
+   * @param {Object} [options]
+   * @param {Function} [options.getContext] - Returns the RichText context of a package name
+   * @returns {string} - The CSV text with CRLF line ends
+   */
+  static toCsv(entries, { getContext = () => ({}) } = {}) {
+    return PageGlossary.getRows(entries, getContext)
+      .map(row => row.map(cell => GlossaryCsv.quote(cell, ',')).join(','))
+      .join('\r\n') + '\r\n';
+  }
+}
+
+export default PageGlossary;
@@ -0,0 +1,273 @@
+// Tags a definition may use, with the attributes each one keeps
+const ALLOWED_TAGS = new Map([
+  ['b', []],
+  ['strong', []],
+  ['i', []],
+  ['em', []],
+  ['br', []],
+  ['p', []],
+  ['ul', []],
+  ['ol', []],
+  ['li', []],
+  ['a', ['href']],
+  ['img', ['src', 'alt', 'width', 'height']]
+]);
+const VOID_TAGS = new Set(['br', 'img']);
+// Tags removed together with their content
+const DROPPED_TAGS = new Set(['script', 'style', 'template', 'textarea', 'title', 'iframe', 'object', 'noscript', 'svg', 'math']);
+
+const MARKUP = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'<>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+const ATTRIBUTE = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const ENTITY = /&(#\d+|#x[0-9a-fA-F]+|amp|lt|gt|quot|apos|nbsp);/g;
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+const ALLOWED_TAG_PATTERN = new RegExp(`<\\/?(?:${Array.from(ALLOWED_TAGS.keys()).join('|')})\\b[^>]*>`, 'i');
+const IMAGE_DATA_URL = /^data:image\/(?:png|gif|jpeg|webp);base64,[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * Decode the character references a definition may use
+ * @param {string} text - Text between tags
+ * @returns {string} - The decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(ENTITY, (reference, name) => {
+    if (name[0] !== '#') return NAMED_ENTITIES[name];
+    const code = name[1] === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+    return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : reference;
+  });
+}
+
+/**
+ * Formatting for definitions, limited to an allow-list of tags.
+ *
+ * Definitions are tokenized here rather than by the browser's HTML parser and
+ * rebuilt with DOM APIs, so nothing outside the allow-list reaches the page:
+ * other tags are dropped (keeping their text), as are all attributes except
+ * a checked `href` and image `src`. Links must point into the package's
+ * `metadata.wiki` site and images must reference the package's `assets`:
+ *
+ *     "assets": { "sword.png": "data:image/png;base64,..." }
+ *     "<b>Sword</b><br><img src=\"asset:sword.png\" alt=\"Sword\"> <a href=\"Sword\">Wiki</a>"
+ *
+ * A definition without any allowed tag is plain text and shown exactly as written.
+ */
+class RichText {
+  static ALLOWED_TAGS = ALLOWED_TAGS;
+  // Longest data URL accepted for an asset, in characters
+  static MAX_ASSET_LENGTH = 64 * 1024;
+  static ASSET_PREFIX = 'asset:';
+
+  /**
+   * Tell whether a definition uses markup
+   * @param {string} definition - The definition
+   * @returns {boolean} - Whether it contains an allowed tag
+   */
+  static isRich(definition) {
+    return typeof definition === 'string' && ALLOWED_TAG_PATTERN.test(definition);
+  }
+
+  /**
+   * Check that an asset is a small image data URL
+   * @param {*} asset - The asset value
+   * @returns {boolean} - Whether it can be shown
+   */
+  static isImageAsset(asset) {
+    return typeof asset === 'string' && asset.length <= RichText.MAX_ASSET_LENGTH && IMAGE_DATA_URL.test(asset);
+  }
+
+  /**
+   * Get what links and images in a package's definitions resolve against
+   * @param {Object} gamePackage - The game package
+   * @returns {Object} - { assets, wiki }
+   */
+  static getContext(gamePackage) {
+    const assets = gamePackage?.assets;
+    return {
+      assets: assets && typeof assets === 'object' && !Array.isArray(assets) ? assets : {},
+      wiki: typeof gamePackage?.metadata?.wiki === 'string' ? gamePackage.metadata.wiki : null
+    };
+  }
+
+  /**
+   * Parse a definition into a tree of allowed nodes
+   * @param {string} definition - The definition
+   * @param {Object} [context] - Result of getContext
+   * @returns {Object} - { nodes, issues } where nodes are `{ text }` or
+   *   `{ tag, attributes, children }` and issues describe removed markup
+   */
+  static parse(definition, context = {}) {
+    const issues = [];
+    const root = { children: [] };
+    if (!RichText.isRich(definition)) {
+      root.children.push({ text: String(definition ?? '') });
+      return { nodes: root.children, issues };
+    }
+
+    const open = [root];
+    let dropping = null;
+    let cursor = 0;
+    const addText = text => {
+      if (text && !dropping) open[open.length - 1].children.push({ text: decodeEntities(text) });
+    };
+
+    for (const match of definition.matchAll(MARKUP)) {
+      addText(definition.slice(cursor, match.index));
+      cursor = match.index + match[0].length;
+      if (!match[2]) continue; // Comment
+
+      const closing = Boolean(match[1]);
+      const tag = match[2].toLowerCase();
+      if (dropping) {
+        if (closing && tag === dropping) dropping = null;
+        continue;
+      }
+
+      if (DROPPED_TAGS.has(tag)) {
+        if (!closing) {
+          dropping = tag;
+          issues.push(`<${tag}> is not allowed and was removed with its content`);
+        }
+      } else if (!ALLOWED_TAGS.has(tag)) {
+        if (!closing) issues.push(`<${tag}> is not allowed; its text is kept`);
+      } else if (closing) {
+        const index = open.findLastIndex(node => node.tag === tag);
+        if (index > 0) open.length = index;
+      } else {
+        // A new item or paragraph ends an open one, as in HTML
+        const sibling = tag === 'li' || tag === 'p' ? open.findLastIndex(node => node.tag === tag) : -1;
+        if (sibling > 0 && !open.slice(sibling).some(node => node.tag === 'ul' || node.tag === 'ol')) {
+          open.length = sibling;
+        }
+
+        const element = RichText.createElement(tag, match[3], context, issues);
+        if (typeof element === 'string') {
+          open[open.length - 1].children.push({ text: element });
+        } else if (element) {
+          open[open.length - 1].children.push(element);
+          if (!VOID_TAGS.has(tag)) open.push(element);
+        }
+      }
+    }
+    addText(definition.slice(cursor));
+
+    return { nodes: root.children, issues };
+  }
+
+  /**
+   * Build an allowed element from its tag, keeping only checked attributes
+   * @param {string} tag - The lower case tag name
+   * @param {string} source - The attribute source text
+   * @param {Object} context - Result of getContext
+   * @param {string[]} issues - Collects problems
+   * @returns {Object|string|null} - The element node, replacement text, or
+   *   null to drop it; a link that is not allowed keeps its text
+   */
+  static createElement(tag, source, context, issues) {
+    const attributes = {};
+    for (const [, name, ...values] of source.matchAll(ATTRIBUTE)) {
+      const key = name.toLowerCase();
+      if (ALLOWED_TAGS.get(tag).includes(key)) {
+        attributes[key] = decodeEntities(values.find(value => value !== undefined) ?? '');
+      } else {
+        issues.push(`Attribute ${key} on <${tag}> is not allowed`);
+      }
+    }
+
+    if (tag === 'a') {
+      const href = RichText.resolveLink(attributes.href, context.wiki);
+      if (!href) {
+        issues.push(context.wiki ?
+          `Link is not on the wiki (${context.wiki}): ${attributes.href ?? ''}` :
+          'Links need a metadata.wiki address to point to');
+        return null;
+      }
+      return { tag, attributes: { href }, children: [] };
+    }
+
+    if (tag === 'img') {
+      const name = attributes.src?.startsWith(RichText.ASSET_PREFIX) ? attributes.src.slice(RichText.ASSET_PREFIX.length) : null;
+      const asset = name !== null && Object.hasOwn(context.assets || {}, name) ? context.assets[name] : null;
+      if (!RichText.isImageAsset(asset)) {
+        issues.push(name === null ?
+          `Images must use a package asset, e.g. src="${RichText.ASSET_PREFIX}name.png"` :
+          `Unknown or invalid image asset: ${name}`);
+        return attributes.alt || null;
+      }
+
+      const image = { tag, attributes: { src: asset, alt: attributes.alt || '' }, children: [] };
+      ['width', 'height'].forEach(key => {
+        if (/^\d{1,3}$/.test(attributes[key] || '')) image.attributes[key] = attributes[key];
+      });
+      return image;
+    }
+
+    return { tag, attributes: {}, children: [] };
+  }
+
+  /**
+   * Resolve a link against the package wiki
+   * @param {string} href - The link target, absolute or relative to the wiki
+   * @param {string|null} wiki - The wiki address from `metadata.wiki`
+   * @returns {string|null} - The absolute URL, or null unless it is an
+   *   http(s) page on the wiki's site
+   */
+  static resolveLink(href, wiki) {
+    if (!href || !wiki) return null;
+    try {
+      const base = new URL(wiki);
+      const url = new URL(href, base);
+      return /^https?:$/.test(url.protocol) && url.origin === base.origin ? url.href : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get a definition as plain text, for places that cannot show formatting
+   * @param {string} definition - The definition
+   * @param {Object} [context] - Result of getContext
+   * @returns {string} - The text, with line breaks for paragraphs, list items
+   *   and <br>, and images replaced by their alt text
+   */
+  static toText(definition, context = {}) {
+    const write = node => {
+      if (node.text !== undefined) return node.text;
+      if (node.tag === 'br') return '\n';
+      if (node.tag === 'img') return node.attributes.alt;
+      const text = node.children.map(write).join('');
+      if (node.tag === 'li') return `\n- ${text}`;
+      return node.tag === 'p' ? `\n${text}\n` : text;
+    };
+
+    return RichText.parse(definition, context).nodes.map(write).join('')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Render a definition as DOM nodes
+   * @param {string} definition - The definition
+   * @param {Object} [context] - Result of getContext
+   * @param {Document} [doc=document] - The document to create nodes in
+   * @returns {DocumentFragment} - The rendered definition
+   */
+  static render(definition, context = {}, doc = document) {
+    const build = node => {
+      if (node.text !== undefined) return doc.createTextNode(node.text);
+
+      const element = doc.createElement(node.tag);
+      Object.entries(node.attributes).forEach(([name, value]) => element.setAttribute(name, value));
+      if (node.tag === 'a') {
+        element.target = '_blank';
+        element.rel = 'noopener noreferrer';
+      }
+      element.append(...node.children.map(build));
+      return element;
+    };
+
+    const fragment = doc.createDocumentFragment();
+    fragment.append(...RichText.parse(definition, context).nodes.map(build));
+    return fragment;
+  }
+}
+
+export default RichText;
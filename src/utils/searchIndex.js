@@ -0,0 +1,280 @@
+// Match kinds, best first
+const MATCH_RANKS = { exact: 0, prefix: 1, substring: 2, fuzzy: 3 };
+
+/**
+ * Search index for looking up glossary terms by what a user types.
+ *
+ * Texts are normalized so case, full and half width forms, and hiragana
+ * against katakana do not matter. A query finds texts that equal it, start
+ * with it or contain it, and texts within a few typos of it (insertions,
+ * deletions, substitutions and swapped neighbours, counted against the start
+ * of the text so partly typed terms are found too).
+ *
+ * Prefixes are found by binary search over the sorted texts. Substring and
+ * typo candidates come from an inverted index of each text's characters and
+ * character pairs, so only texts sharing enough of the query are compared.
+ */
+class SearchIndex {
+  static MATCH_RANKS = MATCH_RANKS;
+
+  /**
+   * Build the index
+   * @param {Object[]} records - Objects with a `text` string to search;
+   *   results hand them back as they are
+   */
+  constructor(records) {
+    this.records = [];
+    // Normalized text of each record
+    this.keys = [];
+    // Character or character pair -> ascending ids of the keys holding it
+    this.grams = new Map();
+
+    records.forEach(record => {
+      const key = SearchIndex.normalize(record?.text);
+      if (!key) return;
+
+      const id = this.keys.length;
+      this.keys.push(key);
+      this.records.push(record);
+      SearchIndex.getGrams(key).forEach(gram => {
+        const postings = this.grams.get(gram);
+        if (postings) {
+          postings.push(id);
+        } else {
+          this.grams.set(gram, [id]);
+        }
+      });
+    });
+
+    // Key ids in key order, for prefix search
+    this.sorted = Array.from(this.keys.keys())
+      .sort((a, b) => (this.keys[a] < this.keys[b] ? -1 : this.keys[a] > this.keys[b] ? 1 : 0));
+  }
+
+  /**
+   * Number of texts in the index
+   * @returns {number}
+   */
+  get size() {
+    return this.keys.length;
+  }
+
+  /**
+   * Normalize a text for searching
+   * @param {string} text - The text
+   * @returns {string} - Lowercase NFKC text with katakana as hiragana and
+   *   runs of white space as one space
+   */
+  static normalize(text) {
+    if (typeof text !== 'string') return '';
+    return text.normalize('NFKC')
+      .toLowerCase()
+      .replace(/[\u30a1-\u30f6\u30fd\u30fe]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60))
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Get the characters and character pairs of a normalized text
+   * @param {string} key - The normalized text
+   * @returns {Set<string>}
+   */
+  static getGrams(key) {
+    const chars = Array.from(key);
+    return new Set([...chars, ...SearchIndex.getPairs(chars)]);
+  }
+
+  /**
+   * Get the pairs of neighbouring characters of a text
+   * @param {string[]} chars - Characters of the text
+   * @returns {Set<string>}
+   */
+  static getPairs(chars) {
+    const pairs = new Set();
+    for (let i = 1; i < chars.length; i++) {
+      pairs.add(chars[i - 1] + chars[i]);
+    }
+    return pairs;
+  }
+
+  /**
+   * Get the number of typos allowed in a query
+   * @param {number} length - Length of the normalized query, in characters
+   * @returns {number}
+   */
+  static getMaxEdits(length) {
+    if (length < 4) return 0;
+    return length < 8 ? 1 : 2;
+  }
+
+  /**
+   * Count the edits between a query and the closest start of a text. Only
+   * cells within maxEdits of the diagonal are computed; the others cannot
+   * lead to a result.
+   * @param {string} query - The normalized query
+   * @param {string} text - The normalized text
+   * @param {number} maxEdits - Edits beyond which to give up
+   * @returns {number} - The edits, or Infinity when more than maxEdits
+   */
+  static prefixDistance(query, text, maxEdits) {
+    // Texts longer than this only add edits
+    const columns = Math.min(text.length, query.length + maxEdits);
+    const tooFar = maxEdits + 1;
+    let before = null;
+    let previous = Array.from({ length: columns + 1 }, (_, j) => Math.min(j, tooFar));
+
+    for (let i = 1; i <= query.length; i++) {
+      const row = new Array(columns + 1).fill(tooFar);
+      row[0] = Math.min(i, tooFar);
+      let best = row[0];
+      for (let j = Math.max(1, i - maxEdits); j <= Math.min(columns, i + maxEdits); j++) {
+        const cost = query[i - 1] === text[j - 1] ? 0 : 1;
+        let distance = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost, tooFar);
+        if (before && j > 1 && query[i - 1] === text[j - 2] && query[i - 2] === text[j - 1]) {
+          distance = Math.min(distance, before[j - 2] + 1);
+        }
+        row[j] = distance;
+        best = Math.min(best, distance);
+      }
+      if (best > maxEdits) return Infinity;
+      before = previous;
+      previous = row;
+    }
+
+    const distance = Math.min(...previous);
+    return distance <= maxEdits ? distance : Infinity;
+  }
+
+  /**
+   * Search the index
+   * @param {string} query - What the user typed
+   * @returns {Object[]} - `{ record, match, distance }` for every matching
+   *   record, best first: by match kind (see MATCH_RANKS), then typos, then
+   *   shorter texts
+   */
+  search(query) {
+    const key = SearchIndex.normalize(query);
+    if (!key) return [];
+
+    // Key id -> best { match, distance }
+    const found = new Map();
+    const add = (id, match, distance = 0) => {
+      const current = found.get(id);
+      if (!current || MATCH_RANKS[match] < MATCH_RANKS[current.match] ||
+          (match === current.match && distance < current.distance)) {
+        found.set(id, { match, distance });
+      }
+    };
+
+    for (let i = this.findFirstAtLeast(key); i < this.sorted.length; i++) {
+      const id = this.sorted[i];
+      if (!this.keys[id].startsWith(key)) break;
+      add(id, this.keys[id] === key ? 'exact' : 'prefix');
+    }
+
+    // Pairs narrow the candidates far more than single characters
+    const chars = Array.from(key);
+    const grams = chars.length > 1 ? SearchIndex.getPairs(chars) : chars;
+    this.intersect(Array.from(grams)).forEach(id => {
+      if (this.keys[id].includes(key)) add(id, 'substring');
+    });
+
+    const maxEdits = SearchIndex.getMaxEdits(chars.length);
+    if (maxEdits) {
+      this.findSimilar(chars, maxEdits).forEach(id => {
+        if (found.has(id)) return;
+        const distance = SearchIndex.prefixDistance(key, this.keys[id], maxEdits);
+        if (distance <= maxEdits) add(id, 'fuzzy', distance);
+      });
+    }
+
+    return Array.from(found, ([id, result]) => ({ id, ...result }))
+      .sort((a, b) =>
+        MATCH_RANKS[a.match] - MATCH_RANKS[b.match] ||
+        a.distance - b.distance ||
+        this.keys[a.id].length - this.keys[b.id].length ||
+        a.id - b.id
+      )
+      .map(({ id, match, distance }) => ({ record: this.records[id], match, distance }));
+  }
+
+  /**
+   * Find where a key would go in the sorted keys
+   * @param {string} key - The normalized key
+   * @returns {number} - Position of the first key not before it
+   */
+  findFirstAtLeast(key) {
+    let low = 0;
+    let high = this.sorted.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.keys[this.sorted[middle]] < key) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Get the ids of keys holding all of the given grams
+   * @param {string[]} grams - Characters or character pairs
+   * @returns {number[]} - Ascending key ids
+   */
+  intersect(grams) {
+    const lists = grams.map(gram => this.grams.get(gram) || []).sort((a, b) => a.length - b.length);
+    return lists.slice(1).reduce((ids, list) => {
+      const result = [];
+      let j = 0;
+      ids.forEach(id => {
+        while (j < list.length && list[j] < id) j++;
+        if (list[j] === id) result.push(id);
+      });
+      return result;
+    }, lists[0] || []);
+  }
+
+  /**
+   * Get the ids of keys sharing enough character pairs with a query to be
+   * within maxEdits of it. An edit changes at most three pairs (swapping
+   * neighbours does), so a key must share all but 3 * maxEdits of them.
+   * @param {string[]} chars - Characters of the normalized query
+   * @param {number} maxEdits - Typos allowed
+   * @returns {number[]} - Candidate key ids
+   */
+  findSimilar(chars, maxEdits) {
+    const lists = Array.from(SearchIndex.getPairs(chars), pair => this.grams.get(pair) || [])
+      .sort((a, b) => a.length - b.length);
+    const needed = Math.max(1, lists.length - 3 * maxEdits);
+
+    // A key in enough lists is in at least one of the shortest ones, so
+    // pairs shared by most keys are only looked up, never walked
+    const candidates = new Set();
+    lists.slice(0, lists.length - needed + 1).forEach(list => list.forEach(id => candidates.add(id)));
+    return Array.from(candidates).filter(id =>
+      lists.filter(list => SearchIndex.contains(list, id)).length >= needed);
+  }
+
+  /**
+   * Check whether an ascending list holds an id
+   * @param {number[]} list - Ascending ids
+   * @param {number} id - The id
+   * @returns {boolean}
+   */
+  static contains(list, id) {
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (list[middle] < id) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return list[low] === id;
+  }
+}
+
+export default SearchIndex;
@@ -0,0 +1,123 @@
+/**
+ * Per-site activation rules for game packages.
+ *
+ * A package may list Chrome-style match patterns in `metadata.matches`
+ * (e.g. `*://*.gamewiki.com/*`) to restrict the sites it runs on. The user's
+ * own rules, stored as `siteRules: { allow: [], deny: [] }`, take precedence:
+ * a deny pattern turns every package off for a site, an allow pattern turns
+ * every package on.
+ */
+class SiteRules {
+  static DEFAULT_RULES = { allow: [], deny: [] };
+
+  /**
+   * Turn a bare host such as `wiki.example.com` into a match pattern
+   * @param {string} input - A match pattern or host name
+   * @returns {string} - The match pattern
+   */
+  static toPattern(input) {
+    const value = String(input).trim();
+    if (value === '<all_urls>' || value.includes('://')) return value;
+    return `*://${value.replace(/\/.*$/, '')}/*`;
+  }
+
+  /**
+   * Check a match pattern's syntax
+   * @param {string} pattern - The match pattern
+   * @returns {boolean} - Whether the pattern is valid
+   */
+  static isValidPattern(pattern) {
+    return SiteRules.compile(pattern) !== null;
+  }
+
+  /**
+   * Compile a match pattern to a regular expression
+   * @param {string} pattern - The match pattern
+   * @returns {RegExp|null} - The expression, or null for an invalid pattern
+   */
+  static compile(pattern) {
+    if (typeof pattern !== 'string') return null;
+    if (pattern === '<all_urls>') return /^(https?|file|ftp):\/\//;
+
+    const match = /^(\*|https?|file|ftp):\/\/(\*|(?:\*\.)?[^/*]+)?(\/.*)$/.exec(pattern);
+    if (!match) return null;
+
+    const [, scheme, host = '', path] = match;
+    const escape = value => value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+    const schemeSource = scheme === '*' ? 'https?' : scheme;
+    let hostSource = '';
+    if (host === '*') {
+      hostSource = '[^/]*';
+    } else if (host.startsWith('*.')) {
+      hostSource = `(?:[^/]*\\.)?${escape(host.slice(2))}`;
+    } else {
+      hostSource = escape(host);
+    }
+    const pathSource = path.split('*').map(escape).join('.*');
+
+    return new RegExp(`^${schemeSource}://${hostSource}(?::\\d+)?${pathSource}$`, 'i');
+  }
+
+  /**
+   * Test a URL against a match pattern
+   * @param {string} pattern - The match pattern
+   * @param {string} url - The URL to test
+   * @returns {boolean} - Whether the URL matches
+   */
+  static matches(pattern, url) {
+    const regex = SiteRules.compile(pattern);
+    if (!regex) return false;
+
+    // Match patterns ignore the query string and fragment
+    const { origin, pathname } = new URL(url);
+    const target = origin === 'null' ? url : origin + pathname;
+    return regex.test(target);
+  }
+
+  /**
+   * Decide whether a package runs on a URL
+   * @param {Object} gamePackage - The game package
+   * @param {string} url - The page URL
+   * @param {Object} rules - The user's `{ allow, deny }` site rules
+   * @returns {Object} - { active, source, pattern } where source is
+   *   'deny', 'allow', 'package' or 'default'
+   */
+  static evaluate(gamePackage, url, rules = SiteRules.DEFAULT_RULES) {
+    const denied = (rules?.deny || []).find(pattern => SiteRules.matches(pattern, url));
+    if (denied) return { active: false, source: 'deny', pattern: denied };
+
+    const allowed = (rules?.allow || []).find(pattern => SiteRules.matches(pattern, url));
+    if (allowed) return { active: true, source: 'allow', pattern: allowed };
+
+    const packagePatterns = gamePackage?.metadata?.matches;
+    if (Array.isArray(packagePatterns) && packagePatterns.length) {
+      const pattern = packagePatterns.find(item => SiteRules.matches(item, url));
+      return { active: Boolean(pattern), source: 'package', pattern: pattern || null };
+    }
+
+    return { active: true, source: 'default', pattern: null };
+  }
+
+  /**
+   * Describe an evaluation result for display
+   * @param {Object} result - A result of `evaluate`
+   * @returns {string} - Human readable description
+   */
+  static describe(result) {
+    switch (result.source) {
+      case 'deny':
+        return `Blocked by your rule ${result.pattern}`;
+      case 'allow':
+        return `Allowed by your rule ${result.pattern}`;
+      case 'package':
+        return result.active ?
+          `Matches package pattern ${result.pattern}` :
+          'Not one of the package\'s sites';
+      default:
+        return 'Active on all sites';
+    }
+  }
+}
+
+export default SiteRules;
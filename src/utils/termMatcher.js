@@ -0,0 +1,299 @@
+import WordBoundaries from './wordBoundaries.js';
+
+/**
+ * Multi-pattern matcher for glossary terms (Aho-Corasick automaton).
+ *
+ * The automaton is compiled once from the term list and then scans a text in
+ * a single pass, whatever the number of terms. Matches are resolved
+ * leftmost-longest: scanning left to right, the longest term starting at the
+ * earliest position wins and matches never overlap.
+ *
+ * Matching is case-sensitive and finds terms inside longer words unless the
+ * matcher is created with `caseSensitive: false` or `wholeWord: true`.
+ */
+class TermMatcher {
+  /**
+   * Compile the automaton
+   * @param {Object[]} entries - Objects with a `term` string; when two entries
+   *   share a term the first one is kept
+   * @param {Object} [options]
+   * @param {boolean} [options.caseSensitive=true] - Match case exactly
+   * @param {boolean} [options.wholeWord=false] - Only match terms that start
+   *   and end on word boundaries
+   */
+  constructor(entries, { caseSensitive = true, wholeWord = false } = {}) {
+    this.caseSensitive = caseSensitive;
+    this.wholeWord = wholeWord;
+    this.entries = [];
+    // Transitions of all states, keyed by `state * 0x10000 + charCode`
+    this.transitions = new Map();
+    this.fail = [0];
+    this.depth = [0];
+    // Entry index for states that end a term, -1 otherwise
+    this.terminal = [-1];
+    // Nearest terminal state along the failure chain, 0 if none
+    this.output = [0];
+
+    entries.forEach(entry => {
+      if (entry && typeof entry.term === 'string' && entry.term) {
+        this.insert(entry);
+      }
+    });
+    this.buildFailureLinks();
+  }
+
+  /**
+   * Number of distinct terms in the automaton
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Add a term to the trie
+   * @param {Object} entry - The entry to add
+   */
+  insert(entry) {
+    let state = 0;
+    for (let i = 0; i < entry.term.length; i++) {
+      const key = state * 0x10000 + this.fold(entry.term.charCodeAt(i));
+      let next = this.transitions.get(key);
+      if (next === undefined) {
+        next = this.depth.length;
+        this.transitions.set(key, next);
+        this.fail.push(0);
+        this.depth.push(this.depth[state] + 1);
+        this.terminal.push(-1);
+        this.output.push(0);
+      }
+      state = next;
+    }
+
+    if (this.terminal[state] === -1) {
+      this.terminal[state] = this.entries.length;
+      this.entries.push(entry);
+    }
+  }
+
+  /**
+   * Map a UTF-16 code unit to the unit it is matched as. Case-insensitive
+   * matchers lowercase units whose lowercase form is a single unit, so match
+   * offsets stay valid in the original text.
+   * @param {number} code - The code unit
+   * @returns {number} - The folded code unit
+   */
+  fold(code) {
+    if (this.caseSensitive) return code;
+    if (code < 128) {
+      return code >= 65 && code <= 90 ? code + 32 : code;
+    }
+
+    const lower = String.fromCharCode(code).toLowerCase();
+    return lower.length === 1 ? lower.charCodeAt(0) : code;
+  }
+
+  /**
+   * Compute failure and output links breadth-first
+   */
+  buildFailureLinks() {
+    // Group transitions by source state so each state's children are known
+    const children = new Map();
+    this.transitions.forEach((next, key) => {
+      const state = Math.floor(key / 0x10000);
+      if (!children.has(state)) children.set(state, []);
+      children.get(state).push([key % 0x10000, next]);
+    });
+
+    const queue = [0];
+    for (let head = 0; head < queue.length; head++) {
+      const state = queue[head];
+      (children.get(state) || []).forEach(([code, next]) => {
+        if (state !== 0) {
+          let fallback = this.fail[state];
+          while (fallback !== 0 && !this.transitions.has(fallback * 0x10000 + code)) {
+            fallback = this.fail[fallback];
+          }
+          const target = this.transitions.get(fallback * 0x10000 + code);
+          this.fail[next] = target !== undefined && target !== next ? target : 0;
+        }
+
+        const fail = this.fail[next];
+        this.output[next] = this.terminal[fail] !== -1 ? fail : this.output[fail];
+        queue.push(next);
+      });
+    }
+  }
+
+  /**
+   * Find the longest acceptable term starting at each position of the text.
+   * Candidates may overlap; `resolve` picks the final matches.
+   * @param {string} text - The text to scan
+   * @param {WordBoundaries} [boundaries] - Boundaries of the text, shared
+   *   between matchers scanning the same text
+   * @returns {Object[]} - { start, end, entry } sorted by start
+   */
+  findCandidates(text, boundaries = new WordBoundaries(text)) {
+    if (!this.entries.length || !text) return [];
+
+    // Terminal state of the longest term starting at each position
+    const longest = new Map();
+    const record = (state, end) => {
+      const start = end - this.depth[state];
+      const current = longest.get(start);
+      if (current !== undefined && this.depth[current] >= this.depth[state]) return;
+      if (this.wholeWord && !(boundaries.isBoundary(start) && boundaries.isBoundary(end))) return;
+      longest.set(start, state);
+    };
+
+    let state = 0;
+    for (let i = 0; i < text.length; i++) {
+      const code = this.fold(text.charCodeAt(i));
+      let next = this.transitions.get(state * 0x10000 + code);
+      while (next === undefined && state !== 0) {
+        state = this.fail[state];
+        next = this.transitions.get(state * 0x10000 + code);
+      }
+      state = next === undefined ? 0 : next;
+
+      if (this.terminal[state] !== -1) record(state, i + 1);
+      for (let out = this.output[state]; out !== 0; out = this.output[out]) {
+        record(out, i + 1);
+      }
+    }
+
+    return Array.from(longest.entries())
+      .sort((a, b) => a[0] - b[0])
+      .map(([start, terminal]) => ({
+        start,
+        end: start + this.depth[terminal],
+        entry: this.entries[this.terminal[terminal]]
+      }));
+  }
+
+  /**
+   * Find every occurrence of every term, including terms inside longer ones
+   * @param {string} text - The text to scan
+   * @returns {Object[]} - { start, end, entry } ordered by end position
+   */
+  findOverlapping(text) {
+    const occurrences = [];
+    const push = (state, end) => occurrences.push({
+      start: end - this.depth[state],
+      end,
+      entry: this.entries[this.terminal[state]]
+    });
+
+    let state = 0;
+    for (let i = 0; i < text.length; i++) {
+      const code = this.fold(text.charCodeAt(i));
+      let next = this.transitions.get(state * 0x10000 + code);
+      while (next === undefined && state !== 0) {
+        state = this.fail[state];
+        next = this.transitions.get(state * 0x10000 + code);
+      }
+      state = next === undefined ? 0 : next;
+
+      if (this.terminal[state] !== -1) push(state, i + 1);
+      for (let out = this.output[state]; out !== 0; out = this.output[out]) {
+        push(out, i + 1);
+      }
+    }
+    return occurrences;
+  }
+
+  /**
+   * Find all non-overlapping leftmost-longest matches
+   * @param {string} text - The text to scan
+   * @returns {Object[]} - { start, end, entry } in text order
+   */
+  findMatches(text) {
+    return TermMatcher.resolve([this.findCandidates(text)]);
+  }
+
+  /**
+   * Find the first leftmost-longest match
+   * @param {string} text - The text to scan
+   * @returns {Object|null} - { start, end, entry }
+   */
+  findFirst(text) {
+    return this.findMatches(text)[0] || null;
+  }
+
+  /**
+   * Find leftmost-longest matches across several matchers, e.g. one per
+   * package. On equal matches the earlier matcher wins.
+   * @param {TermMatcher[]} matchers - Matchers in priority order
+   * @param {string} text - The text to scan
+   * @returns {Object[]} - { start, end, entry } in text order
+   */
+  static findAll(matchers, text) {
+    const boundaries = new WordBoundaries(text);
+    return TermMatcher.resolve(matchers.map(matcher => matcher.findCandidates(text, boundaries)));
+  }
+
+  /**
+   * Pick non-overlapping matches from candidate lists: the earliest start
+   * wins, then the longest term, then the earliest list
+   * @param {Object[][]} candidateLists - Results of findCandidates in priority order
+   * @returns {Object[]} - The matches in text order
+   */
+  static resolve(candidateLists) {
+    const best = new Map();
+    candidateLists.forEach(candidates => {
+      candidates.forEach(candidate => {
+        const current = best.get(candidate.start);
+        if (!current || candidate.end > current.end) {
+          best.set(candidate.start, candidate);
+        }
+      });
+    });
+
+    const matches = [];
+    let cursor = 0;
+    Array.from(best.keys()).sort((a, b) => a - b).forEach(start => {
+      if (start < cursor) return;
+      const match = best.get(start);
+      matches.push(match);
+      cursor = match.end;
+    });
+    return matches;
+  }
+
+  /**
+   * Give a translation the casing pattern of the text it replaces, for
+   * case-insensitive matches: `SWORD` -> `ESPADA`, `sword` -> `espada`,
+   * `Sword` -> `Espada`. Text cased exactly like the term keeps the
+   * translation as written in the package.
+   * @param {string} matched - The matched text
+   * @param {string} term - The package term
+   * @param {string} translation - The translation
+   * @returns {string} - The cased translation
+   */
+  static matchCase(matched, term, translation) {
+    if (matched === term) return translation;
+
+    const hasCase = value => value.toUpperCase() !== value.toLowerCase();
+    if (!hasCase(matched) || !hasCase(translation)) return translation;
+
+    if (matched === matched.toUpperCase()) {
+      return translation.toUpperCase();
+    }
+    if (matched === matched.toLowerCase()) {
+      return translation.toLowerCase();
+    }
+
+    const words = matched.split(/\s+/).filter(hasCase);
+    const isTitleCase = words.every(word =>
+      word.charAt(0) === word.charAt(0).toUpperCase() &&
+      word.slice(1) === word.slice(1).toLowerCase()
+    );
+    if (isTitleCase) {
+      return translation.toLowerCase().replace(/(^|\s)(\S)/gu, (_, space, letter) => space + letter.toUpperCase());
+    }
+
+    return translation;
+  }
+}
+
+export default TermMatcher;
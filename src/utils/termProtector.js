@@ -0,0 +1,82 @@
+// Placeholder standing in for a glossary term while text is machine translated
+const PLACEHOLDER = index => `⟦${index}⟧`;
+// Engines sometimes add spaces inside or around the brackets
+const PLACEHOLDER_PATTERN = /⟦\s*(\d+)\s*⟧/g;
+
+/**
+ * Keeps glossary terms out of machine translation: terms are swapped for
+ * numbered placeholders before the text is sent to an engine, and the
+ * placeholders in the engine's output are replaced with the official
+ * translations afterwards.
+ */
+class TermProtector {
+  /**
+   * Replace glossary matches with placeholders
+   * @param {string} text - The source text
+   * @param {Object[]} terms - Non-overlapping `{ start, end, translation, definition, packageName }` in text order
+   * @returns {Object} - { text, placeholders } where placeholders[i] is the term behind
+   *   placeholder i, with the source text it replaced as `original`
+   */
+  static protect(text, terms) {
+    const placeholders = [];
+    let protectedText = '';
+    let cursor = 0;
+
+    terms.forEach(term => {
+      protectedText += text.slice(cursor, term.start) + PLACEHOLDER(placeholders.length);
+      placeholders.push({
+        translation: term.translation,
+        definition: term.definition,
+        packageName: term.packageName,
+        original: text.slice(term.start, term.end)
+      });
+      cursor = term.end;
+    });
+    protectedText += text.slice(cursor);
+
+    return { text: protectedText, placeholders };
+  }
+
+  /**
+   * Put the official translations back in place of the placeholders
+   * @param {string} text - The machine translated text
+   * @param {Object[]} placeholders - The placeholders returned by protect
+   * @returns {Object|null} - { text, terms } with term offsets in the restored
+   *   text, or null if the engine dropped or duplicated a placeholder
+   */
+  static restore(text, placeholders) {
+    const terms = [];
+    const seen = new Set();
+    let restored = '';
+    let cursor = 0;
+    let valid = true;
+
+    text.replace(PLACEHOLDER_PATTERN, (match, index, offset) => {
+      const placeholder = placeholders[Number(index)];
+      if (!placeholder || seen.has(index)) {
+        valid = false;
+        return match;
+      }
+      seen.add(index);
+
+      restored += text.slice(cursor, offset);
+      terms.push({
+        start: restored.length,
+        end: restored.length + placeholder.translation.length,
+        translation: placeholder.translation,
+        definition: placeholder.definition,
+        packageName: placeholder.packageName,
+        original: placeholder.original
+      });
+      restored += placeholder.translation;
+      cursor = offset + match.length;
+      return match;
+    });
+    restored += text.slice(cursor);
+
+    if (!valid || seen.size !== placeholders.length) return null;
+    return { text: restored, terms };
+  }
+}
+
+export default TermProtector;
@@ -1,82 +1,534 @@
+import SiteRules from './siteRules.js';
+import PackageFormat from './packageFormat.js';
+import TermMatcher from './termMatcher.js';
+import WordBoundaries from './wordBoundaries.js';
+import RichText from './richText.js';
+import KeywordRenderer from '../services/keywordRenderer.js';
+
+/**
+ * Format a key for a JSON path, e.g. `.english` or `["zh-CN"]`
+ * @param {string} key - The object key
+ * @returns {string} - The path segment
+ */
+function pathKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Find where JSON text stops being valid. JSON.parse error messages differ
+ * between engines and often give no position, so the text is scanned again.
+ * @param {string} text - Text that JSON.parse rejected
+ * @returns {number|null} - Offset of the first invalid character, or null if none was found
+ */
+function findJsonErrorOffset(text) {
+  let i = 0;
+  const fail = () => {
+    throw i;
+  };
+  const skipWhitespace = () => {
+    while (i < text.length && ' \t\n\r'.includes(text[i])) i++;
+  };
+  const string = () => {
+    i++;
+    while (i < text.length) {
+      if (text[i] === '"') {
+        i++;
+        return;
+      }
+      if (text[i] < ' ') fail();
+      i += text[i] === '\\' ? 2 : 1;
+    }
+    fail();
+  };
+  const list = (close, item) => {
+    i++;
+    skipWhitespace();
+    if (text[i] === close) {
+      i++;
+      return;
+    }
+    for (;;) {
+      item();
+      skipWhitespace();
+      if (text[i] === close) {
+        i++;
+        return;
+      }
+      if (text[i] !== ',') fail();
+      i++;
+    }
+  };
+  const value = () => {
+    skipWhitespace();
+    if (text[i] === '{') {
+      list('}', () => {
+        skipWhitespace();
+        if (text[i] !== '"') fail();
+        string();
+        skipWhitespace();
+        if (text[i] !== ':') fail();
+        i++;
+        value();
+      });
+    } else if (text[i] === '[') {
+      list(']', value);
+    } else if (text[i] === '"') {
+      string();
+    } else {
+      const literal = /^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(text.slice(i, i + 100));
+      if (!literal) fail();
+      i += literal[0].length;
+    }
+  };
+
+  try {
+    value();
+    skipWhitespace();
+    if (i < text.length) fail();
+    return null;
+  } catch (offset) {
+    if (typeof offset !== 'number') throw offset;
+    return offset;
+  }
+}
+
 /**
  * Validation utilities for game packages and settings
  */
 class Validator {
   /**
-   * Validate a game package structure
-   * @param {Object} package - The game package to validate
+   * Validate a game package structure, in either package format
+   * @param {Object} gamePackage - The game package to validate
    * @returns {Object} - { isValid: boolean, errors: string[] }
    */
-  static validateGamePackage(package) {
+  static validateGamePackage(gamePackage) {
+    const report = Validator.getPackageReport(gamePackage);
+    return {
+      isValid: report.isValid,
+      errors: report.errors.map(Validator.formatIssue)
+    };
+  }
+
+  /**
+   * Check a game package in detail. Errors make the package unusable;
+   * warnings point at terms that will be ignored or shadowed by others.
+   * @param {Object} gamePackage - The game package to check
+   * @returns {Object} - { isValid, errors, warnings } where each issue is
+   *   `{ path, message }` and path is a JSON path such as `conversionTable.english[3]`
+   */
+  static getPackageReport(gamePackage) {
     const errors = [];
+    const warnings = [];
+    const error = (path, message) => errors.push({ path, message });
+    const warn = (path, message) => warnings.push({ path, message });
 
     // Check if package is an object
-    if (!package || typeof package !== 'object') {
-      return { isValid: false, errors: ['Invalid package format'] };
+    if (!gamePackage || typeof gamePackage !== 'object' || Array.isArray(gamePackage)) {
+      error('', 'Invalid package format');
+      return { isValid: false, errors, warnings };
     }
 
-    // Validate metadata
-    if (!package.metadata) {
-      errors.push('Missing metadata');
+    Validator.checkMetadata(gamePackage, error);
+    if (PackageFormat.getFormatVersion(gamePackage) === 2) {
+      Validator.checkEntries(gamePackage, error);
     } else {
-      if (!package.metadata.name) errors.push('Missing package name');
-      if (!package.metadata.version) errors.push('Missing package version');
-      if (!Array.isArray(package.metadata.languages)) {
-        errors.push('Invalid or missing languages array');
+      Validator.checkTables(gamePackage, error, warn);
+    }
+    Validator.checkSettings(gamePackage, error);
+    Validator.checkAssets(gamePackage, error);
+
+    // Term checks rely on the structure being sound
+    if (!errors.length) {
+      Validator.checkTerms(gamePackage, warn);
+      Validator.checkLanguages(gamePackage, warn);
+      Validator.checkDefinitions(gamePackage, warn);
+    }
+
+    return { isValid: errors.length === 0, errors, warnings };
+  }
+
+  /**
+   * Format an issue for display
+   * @param {Object} issue - `{ path, message }`
+   * @returns {string} - e.g. `metadata.version: Missing package version`
+   */
+  static formatIssue({ path, message }) {
+    return path ? `${path}: ${message}` : message;
+  }
+
+  /**
+   * Parse package JSON, locating syntax errors
+   * @param {string} text - The file contents
+   * @returns {Object} - { value } on success, otherwise
+   *   { error: { message, line, column } } with 1-based line and column, or
+   *   null where the parser gave no position
+   */
+  static parseJson(text) {
+    const source = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    try {
+      return { value: JSON.parse(source) };
+    } catch (parseError) {
+      // Drop the position and the quoted source some engines append
+      const message = parseError.message.replace(/(?: in JSON)? at position \d+.*$|, ".*" is not valid JSON.*$/s, '');
+      const position = /position (\d+)/.exec(parseError.message);
+      const offset = findJsonErrorOffset(source) ?? (position ? Number(position[1]) : null);
+      if (offset === null) {
+        return { error: { message, line: null, column: null } };
       }
+
+      const before = source.slice(0, offset);
+      const line = before.split('\n').length;
+      const column = offset - before.lastIndexOf('\n');
+      return { error: { message, line, column } };
     }
+  }
 
-    // Validate conversion table
-    if (!package.conversionTable) {
-      errors.push('Missing conversion table');
+  /**
+   * Check the metadata block
+   * @param {Object} gamePackage - The game package
+   * @param {Function} error - Records an error
+   */
+  static checkMetadata(gamePackage, error) {
+    const { metadata } = gamePackage;
+    if (!metadata) {
+      error('metadata', 'Missing metadata');
+      return;
+    }
+
+    if (!metadata.name) error('metadata.name', 'Missing package name');
+    if (!metadata.version) error('metadata.version', 'Missing package version');
+    if (!Array.isArray(metadata.languages)) {
+      error('metadata.languages', 'Invalid or missing languages array');
     } else {
-      const lengths = new Set();
-      for (const [lang, terms] of Object.entries(package.conversionTable)) {
-        if (!Array.isArray(terms)) {
-          errors.push(`Invalid terms array for language: ${lang}`);
-          continue;
+      metadata.languages.forEach((entry, i) => {
+        if (typeof entry === 'string') return;
+        if (!entry || typeof entry.key !== 'string') {
+          error(`metadata.languages[${i}]`, 'Invalid language entry');
+        } else if (entry.aliases !== undefined &&
+                   (!Array.isArray(entry.aliases) || entry.aliases.some(alias => typeof alias !== 'string'))) {
+          error(`metadata.languages[${i}].aliases`, `Invalid aliases for language: ${entry.key}`);
         }
-        lengths.add(terms.length);
+      });
+    }
+    if (metadata.matches !== undefined) {
+      if (!Array.isArray(metadata.matches)) {
+        error('metadata.matches', 'Invalid matches array');
+      } else {
+        metadata.matches.forEach((pattern, i) => {
+          if (!SiteRules.isValidPattern(pattern)) {
+            error(`metadata.matches[${i}]`, `Invalid match pattern: ${pattern}`);
+          }
+        });
       }
-      if (lengths.size > 1) {
-        errors.push('Inconsistent term array lengths across languages');
+    }
+    if (metadata.wiki !== undefined && !RichText.resolveLink(metadata.wiki, metadata.wiki)) {
+      error('metadata.wiki', `Wiki address must be an http(s) URL: ${metadata.wiki}`);
+    }
+  }
+
+  /**
+   * Check the conversion and definition tables of a format 1 package
+   * @param {Object} gamePackage - The game package
+   * @param {Function} error - Records an error
+   * @param {Function} warn - Records a warning
+   */
+  static checkTables(gamePackage, error, warn) {
+    const { conversionTable, definitionTable } = gamePackage;
+    if (!conversionTable || typeof conversionTable !== 'object') {
+      error('conversionTable', 'Missing conversion table');
+      return;
+    }
+
+    const lengths = new Set();
+    for (const [lang, terms] of Object.entries(conversionTable)) {
+      const path = `conversionTable${pathKey(lang)}`;
+      if (!Array.isArray(terms)) {
+        error(path, `Invalid terms array for language: ${lang}`);
+        continue;
       }
+      lengths.add(terms.length);
+      terms.forEach((term, i) => {
+        if (typeof term !== 'string') error(`${path}[${i}]`, `Term is not a string: ${JSON.stringify(term)}`);
+      });
+    }
+    if (lengths.size > 1) {
+      error('conversionTable', 'Inconsistent term array lengths across languages');
     }
 
-    // Validate definition table
-    if (package.definitionTable) {
-      for (const [lang, definitions] of Object.entries(package.definitionTable)) {
-        if (!Array.isArray(definitions)) {
-          errors.push(`Invalid definitions array for language: ${lang}`);
-          continue;
-        }
-        if (!package.conversionTable[lang]) {
-          errors.push(`Definition table contains unknown language: ${lang}`);
-        }
-        if (package.conversionTable[lang] && 
-            definitions.length > package.conversionTable[lang].length) {
-          errors.push(`Too many definitions for language: ${lang}`);
-        }
+    if (!definitionTable) return;
+    for (const [lang, definitions] of Object.entries(definitionTable)) {
+      const path = `definitionTable${pathKey(lang)}`;
+      const terms = conversionTable[lang];
+      if (!Array.isArray(definitions)) {
+        error(path, `Invalid definitions array for language: ${lang}`);
+        continue;
+      }
+      if (!terms) {
+        error(path, `Definition table contains unknown language: ${lang}`);
+      } else if (Array.isArray(terms) && definitions.length > terms.length) {
+        error(path, `Too many definitions for language: ${lang}`);
+      } else if (Array.isArray(terms) && definitions.length < terms.length) {
+        warn(path, `Only ${definitions.length} definitions for ${terms.length} terms; the last ${terms.length - definitions.length} have none`);
       }
+      definitions.forEach((definition, i) => {
+        if (typeof definition !== 'string') error(`${path}[${i}]`, 'Definition is not a string');
+      });
     }
+  }
 
-    // Validate settings
-    if (package.settings) {
-      if (typeof package.settings.caseSensitive !== 'boolean') {
-        errors.push('Invalid caseSensitive setting');
+  /**
+   * Check the entry list of a format 2 package
+   * @param {Object} gamePackage - The game package
+   * @param {Function} error - Records an error
+   */
+  static checkEntries(gamePackage, error) {
+    if (gamePackage.formatVersion !== 2) {
+      error('formatVersion', `Unsupported formatVersion: ${gamePackage.formatVersion}`);
+    }
+    if (!Array.isArray(gamePackage.entries)) {
+      error('entries', 'Missing entries array');
+      return;
+    }
+
+    const isStringMap = value => value && typeof value === 'object' && !Array.isArray(value) &&
+      Object.values(value).every(item => typeof item === 'string');
+
+    gamePackage.entries.forEach((entry, i) => {
+      const path = `entries[${i}]`;
+      if (!entry || typeof entry !== 'object') {
+        error(path, 'Entry is not an object');
+        return;
+      }
+
+      if (!isStringMap(entry.terms)) {
+        error(`${path}.terms`, 'Terms must map languages to strings');
+      } else if (!Object.values(entry.terms).some(term => term.trim())) {
+        error(`${path}.terms`, 'Entry has no terms');
+      }
+      if (entry.definitions !== undefined && !isStringMap(entry.definitions)) {
+        error(`${path}.definitions`, 'Definitions must map languages to strings');
+      }
+      if (entry.aliases !== undefined) {
+        const validAliases = entry.aliases && typeof entry.aliases === 'object' &&
+          Object.values(entry.aliases).every(list => Array.isArray(list) && list.every(alias => typeof alias === 'string'));
+        if (!validAliases) {
+          error(`${path}.aliases`, 'Aliases must map languages to arrays of strings');
+        }
+      }
+      if (entry.category !== undefined && entry.category !== null && typeof entry.category !== 'string') {
+        error(`${path}.category`, 'Category must be a string');
       }
-      if (typeof package.settings.enablePartialMatch !== 'boolean') {
-        errors.push('Invalid enablePartialMatch setting');
+      if (entry.tags !== undefined &&
+          (!Array.isArray(entry.tags) || entry.tags.some(tag => typeof tag !== 'string'))) {
+        error(`${path}.tags`, 'Tags must be an array of strings');
       }
-      if (typeof package.settings.tooltipDelay !== 'number') {
-        errors.push('Invalid tooltipDelay setting');
+    });
+  }
+
+  /**
+   * Check the settings block
+   * @param {Object} gamePackage - The game package
+   * @param {Function} error - Records an error
+   */
+  static checkSettings(gamePackage, error) {
+    const { settings } = gamePackage;
+    if (!settings) return;
+
+    if (typeof settings.caseSensitive !== 'boolean') {
+      error('settings.caseSensitive', 'Invalid caseSensitive setting');
+    }
+    if (typeof settings.enablePartialMatch !== 'boolean') {
+      error('settings.enablePartialMatch', 'Invalid enablePartialMatch setting');
+    }
+    if (typeof settings.tooltipDelay !== 'number') {
+      error('settings.tooltipDelay', 'Invalid tooltipDelay setting');
+    }
+    if (settings.displayMode !== undefined && !KeywordRenderer.DISPLAY_MODES.includes(settings.displayMode)) {
+      error('settings.displayMode', `Invalid displayMode setting, expected one of: ${KeywordRenderer.DISPLAY_MODES.join(', ')}`);
+    }
+    if (settings.translateAttributes !== undefined) {
+      if (!Array.isArray(settings.translateAttributes)) {
+        error('settings.translateAttributes', 'Invalid translateAttributes setting, expected a list of attribute names');
+      } else {
+        settings.translateAttributes.forEach((name, index) => {
+          if (!KeywordRenderer.isTranslatableAttribute(name)) {
+            error(`settings.translateAttributes[${index}]`, `Attribute cannot be translated: ${name}`);
+          }
+        });
       }
     }
+  }
 
-    return {
-      isValid: errors.length === 0,
-      errors
+  /**
+   * Check the images bundled for definitions
+   * @param {Object} gamePackage - The game package
+   * @param {Function} error - Records an error
+   */
+  static checkAssets(gamePackage, error) {
+    const { assets } = gamePackage;
+    if (assets === undefined) return;
+    if (!assets || typeof assets !== 'object' || Array.isArray(assets)) {
+      error('assets', 'Assets must map names to image data URLs');
+      return;
+    }
+
+    Object.entries(assets).forEach(([name, asset]) => {
+      const path = `assets${pathKey(name)}`;
+      if (typeof asset === 'string' && asset.length > RichText.MAX_ASSET_LENGTH) {
+        error(path, `Image is larger than ${RichText.MAX_ASSET_LENGTH / 1024} KB`);
+      } else if (!RichText.isImageAsset(asset)) {
+        error(path, 'Asset must be a base64 PNG, GIF, JPEG or WebP data URL');
+      }
+    });
+  }
+
+  /**
+   * Warn about markup in definitions that will not be shown
+   * @param {Object} gamePackage - The game package
+   * @param {Function} warn - Records a warning
+   */
+  static checkDefinitions(gamePackage, warn) {
+    const context = RichText.getContext(gamePackage);
+    const check = (definition, path) => {
+      if (!RichText.isRich(definition)) return;
+      new Set(RichText.parse(definition, context).issues).forEach(issue => warn(path, issue));
     };
+
+    if (PackageFormat.getFormatVersion(gamePackage) === 2) {
+      gamePackage.entries.forEach((entry, index) => {
+        Object.entries(entry.definitions || {}).forEach(([lang, definition]) => {
+          check(definition, `entries[${index}].definitions${pathKey(lang)}`);
+        });
+      });
+    } else {
+      Object.entries(gamePackage.definitionTable || {}).forEach(([lang, definitions]) => {
+        definitions.forEach((definition, index) => check(definition, `definitionTable${pathKey(lang)}[${index}]`));
+      });
+    }
+  }
+
+  /**
+   * List every term and alias of a structurally valid package
+   * @param {Object} gamePackage - The game package
+   * @returns {Object[]} - { lang, index, term, path }
+   */
+  static collectTerms(gamePackage) {
+    const terms = [];
+    if (PackageFormat.getFormatVersion(gamePackage) === 2) {
+      gamePackage.entries.forEach((entry, index) => {
+        Object.entries(entry.terms).forEach(([lang, term]) => {
+          terms.push({ lang, index, term, path: `entries[${index}].terms${pathKey(lang)}` });
+        });
+        Object.entries(entry.aliases || {}).forEach(([lang, aliases]) => {
+          aliases.forEach((term, i) => {
+            terms.push({ lang, index, term, path: `entries[${index}].aliases${pathKey(lang)}[${i}]` });
+          });
+        });
+      });
+    } else {
+      Object.entries(gamePackage.conversionTable).forEach(([lang, list]) => {
+        list.forEach((term, index) => {
+          terms.push({ lang, index, term, path: `conversionTable${pathKey(lang)}[${index}]` });
+        });
+      });
+    }
+    return terms;
+  }
+
+  /**
+   * Check whether two entries translate alike: wherever both have a term in
+   * a language, it is the same term
+   * @param {Object} gamePackage - The game package
+   * @param {number} a - Index of one entry
+   * @param {number} b - Index of the other entry
+   * @returns {boolean}
+   */
+  static translateAlike(gamePackage, a, b) {
+    const termsOf = index => (PackageFormat.getFormatVersion(gamePackage) === 2 ?
+      gamePackage.entries[index].terms :
+      Object.fromEntries(Object.entries(gamePackage.conversionTable).map(([lang, list]) => [lang, list[index]])));
+    const termsA = termsOf(a);
+    const termsB = termsOf(b);
+    return Object.keys(termsA)
+      .filter(lang => termsA[lang]?.trim() && termsB[lang]?.trim())
+      .every(lang => termsA[lang] === termsB[lang]);
+  }
+
+  /**
+   * Warn about empty, duplicate, conflicting and overlapping terms
+   * @param {Object} gamePackage - The game package
+   * @param {Function} warn - Records a warning
+   */
+  static checkTerms(gamePackage, warn) {
+    const caseSensitive = gamePackage.settings?.caseSensitive !== false;
+    const wholeWord = gamePackage.settings?.enablePartialMatch !== true;
+    const fold = term => (caseSensitive ? term : term.toLowerCase());
+    const firstInLanguage = new Map();
+    const firstAnywhere = new Map();
+    const byLanguage = new Map();
+
+    Validator.collectTerms(gamePackage).forEach(item => {
+      if (!item.term.trim()) {
+        warn(item.path, 'Empty term');
+        return;
+      }
+
+      const key = fold(item.term);
+      const sameLanguage = firstInLanguage.get(`${item.lang}\u0000${key}`);
+      if (!sameLanguage) {
+        firstInLanguage.set(`${item.lang}\u0000${key}`, item);
+      } else if (sameLanguage.index !== item.index) {
+        warn(item.path, `Duplicate ${item.lang} term "${item.term}", already at ${sameLanguage.path}; only the first is used`);
+        return;
+      }
+
+      const other = firstAnywhere.get(key);
+      if (!other) {
+        firstAnywhere.set(key, item);
+      } else if (other.index !== item.index && other.lang !== item.lang &&
+        !Validator.translateAlike(gamePackage, other.index, item.index)) {
+        warn(item.path, `"${item.term}" is also the ${other.lang} term at ${other.path}, which has a different translation`);
+      }
+
+      if (!byLanguage.has(item.lang)) byLanguage.set(item.lang, []);
+      byLanguage.get(item.lang).push(item);
+    });
+
+    // Terms that would also match inside longer terms of the same language
+    byLanguage.forEach(items => {
+      const matcher = new TermMatcher(items, { caseSensitive });
+      items.forEach(item => {
+        const contained = new Set();
+        const boundaries = new WordBoundaries(item.term);
+        matcher.findOverlapping(item.term).forEach(({ start, end, entry }) => {
+          if (entry.index === item.index || (start === 0 && end === item.term.length)) return;
+          if (wholeWord && !(boundaries.isBoundary(start) && boundaries.isBoundary(end))) return;
+          if (contained.has(entry)) return;
+          contained.add(entry);
+          warn(entry.path, `"${entry.term}" also occurs inside "${item.term}" (${item.path}); the longer term wins where both match`);
+        });
+      });
+    });
+  }
+
+  /**
+   * Warn where `metadata.languages` and the languages with terms disagree
+   * @param {Object} gamePackage - The game package
+   * @param {Function} warn - Records a warning
+   */
+  static checkLanguages(gamePackage, warn) {
+    const declared = gamePackage.metadata.languages.map(entry => (typeof entry === 'string' ? entry : entry.key));
+    const used = PackageFormat.getFormatVersion(gamePackage) === 2 ?
+      [...new Set(gamePackage.entries.flatMap(entry => Object.keys(entry.terms)))] :
+      Object.keys(gamePackage.conversionTable);
+
+    declared.filter(lang => !used.includes(lang)).forEach(lang => {
+      warn('metadata.languages', `Language "${lang}" is declared but has no terms`);
+    });
+    used.filter(lang => !declared.includes(lang)).forEach(lang => {
+      const path = PackageFormat.getFormatVersion(gamePackage) === 2 ? 'entries' : `conversionTable${pathKey(lang)}`;
+      warn(path, `Language "${lang}" is not listed in metadata.languages`);
+    });
   }
 
   /**
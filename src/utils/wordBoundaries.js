@@ -0,0 +1,82 @@
+// Letters, digits and marks that make up words
+const WORD_CHAR = /[\p{L}\p{N}\p{M}_]/u;
+// Scripts written without spaces between words, which need a dictionary to split
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+/**
+ * Word boundary lookup for one text, used for whole-word matching.
+ *
+ * Between two characters of space-separated scripts (Latin, Cyrillic, Hangul,
+ * ...) a boundary is anywhere a word character meets a non-word character.
+ * Where Chinese, Japanese or Thai characters are involved the text is split
+ * with `Intl.Segmenter` and only its word boundaries count. Segmentation is
+ * done lazily, at most once per text.
+ */
+class WordBoundaries {
+  /**
+   * @param {string} text - The text to find boundaries in
+   * @param {string} [locale] - Locale passed to `Intl.Segmenter`
+   */
+  constructor(text, locale) {
+    this.text = text;
+    this.locale = locale;
+    this.segmentBoundaries = null;
+  }
+
+  /**
+   * Check whether an offset lies on a word boundary
+   * @param {number} index - UTF-16 offset into the text
+   * @returns {boolean} - Whether a word may start or end there
+   */
+  isBoundary(index) {
+    if (index <= 0 || index >= this.text.length) return true;
+
+    const before = this.charBefore(index);
+    const after = String.fromCodePoint(this.text.codePointAt(index));
+
+    if (!WORD_CHAR.test(before) || !WORD_CHAR.test(after)) return true;
+    if (UNSPACED_SCRIPT.test(before) || UNSPACED_SCRIPT.test(after)) {
+      return this.getSegmentBoundaries().has(index);
+    }
+    return false;
+  }
+
+  /**
+   * Get the character ending at an offset, keeping surrogate pairs together
+   * @param {number} index - UTF-16 offset
+   * @returns {string} - The character
+   */
+  charBefore(index) {
+    const code = this.text.charCodeAt(index - 1);
+    const isLowSurrogate = code >= 0xDC00 && code <= 0xDFFF;
+    return isLowSurrogate && index >= 2 ?
+      this.text.slice(index - 2, index) :
+      this.text.charAt(index - 1);
+  }
+
+  /**
+   * Get the word boundaries reported by `Intl.Segmenter`
+   * @returns {Set<number>} - Boundary offsets
+   */
+  getSegmentBoundaries() {
+    if (this.segmentBoundaries) return this.segmentBoundaries;
+
+    this.segmentBoundaries = new Set();
+    if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') {
+      // Without a segmenter every character of an unspaced script is its own word
+      for (let i = 0; i <= this.text.length; i++) {
+        this.segmentBoundaries.add(i);
+      }
+      return this.segmentBoundaries;
+    }
+
+    const segmenter = new Intl.Segmenter(this.locale, { granularity: 'word' });
+    for (const { index, segment } of segmenter.segment(this.text)) {
+      this.segmentBoundaries.add(index);
+      this.segmentBoundaries.add(index + segment.length);
+    }
+    return this.segmentBoundaries;
+  }
+}
+
+export default WordBoundaries;
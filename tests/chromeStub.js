@@ -0,0 +1,61 @@
+/**
+ * Replace `globalThis.chrome` with an in-memory stand-in for the extension
+ * APIs the services use. Stored values are copied like chrome.storage does.
+ * @returns {Object} - { storage, notifications, restore } where storage is the
+ *   Map behind chrome.storage.local and notifications lists created notifications
+ */
+export function installChromeStub() {
+  const previous = globalThis.chrome;
+  const storage = new Map();
+  const notifications = [];
+  const alarms = new Map();
+
+  const local = {
+    async get(keys) {
+      if (keys === null || keys === undefined) return Object.fromEntries(structuredClone([...storage]));
+      const defaults = typeof keys === 'string' ? { [keys]: undefined } :
+        Array.isArray(keys) ? Object.fromEntries(keys.map(key => [key, undefined])) :
+          keys;
+      const result = {};
+      Object.entries(defaults).forEach(([key, fallback]) => {
+        const value = storage.has(key) ? storage.get(key) : fallback;
+        if (value !== undefined) result[key] = structuredClone(value);
+      });
+      return result;
+    },
+    async set(items) {
+      Object.entries(items).forEach(([key, value]) => storage.set(key, structuredClone(value)));
+    },
+    async remove(keys) {
+      [].concat(keys).forEach(key => storage.delete(key));
+    }
+  };
+
+  globalThis.chrome = {
+    storage: { local },
+    alarms: {
+      async get(name) {
+        return alarms.get(name);
+      },
+      async create(name, info) {
+        alarms.set(name, { name, ...info });
+      }
+    },
+    notifications: {
+      create(id, options) {
+        notifications.push({ id, ...options });
+      }
+    },
+    runtime: {
+      getURL: path => `chrome-extension://test/${path}`
+    }
+  };
+
+  return {
+    storage,
+    notifications,
+    restore() {
+      globalThis.chrome = previous;
+    }
+  };
+}
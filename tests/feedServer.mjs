@@ -0,0 +1,79 @@
+// A stand-in for a site publishing a game package, for the subscription
+// tests. Run it next to the test page:
+//
+//     node tests/feedServer.mjs [port]
+//
+// GET /package.json serves the package with an ETag derived from its
+// content and answers a matching If-None-Match with 304. POST /state
+// changes what is served and clears the request log; GET /requests returns
+// the log. The state is `{ version, terms, status, body, etag }`:
+// - version, terms: the package served, terms as `{ english: japanese }`
+// - status: answer every package request with this HTTP status instead
+// - body: serve this text instead of the package, e.g. broken JSON
+// - etag: serve this ETag instead of the one derived from the content
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+
+const port = Number(process.argv[2]) || 8787;
+
+const INITIAL_STATE = { version: '1.0', terms: { Sword: '剣' }, status: 200, body: null, etag: null };
+let state = { ...INITIAL_STATE };
+let requests = [];
+
+function getPackage({ version, terms }) {
+  return JSON.stringify({
+    metadata: { name: 'Feed Test', version, languages: ['english', 'japanese'] },
+    conversionTable: { english: Object.keys(terms), japanese: Object.values(terms) }
+  });
+}
+
+function send(response, status, body = '', headers = {}) {
+  response.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'If-None-Match, If-Modified-Since, Content-Type',
+    'Access-Control-Expose-Headers': 'ETag',
+    'Cache-Control': 'no-cache',
+    ...headers
+  });
+  response.end(body);
+}
+
+async function readBody(request) {
+  let text = '';
+  for await (const chunk of request) text += chunk;
+  return text ? JSON.parse(text) : {};
+}
+
+const server = createServer(async (request, response) => {
+  const { pathname } = new URL(request.url, `http://localhost:${port}`);
+  if (request.method === 'OPTIONS') return send(response, 204);
+
+  if (pathname === '/state' && request.method === 'POST') {
+    try {
+      state = { ...INITIAL_STATE, ...await readBody(request) };
+    } catch (error) {
+      return send(response, 400, error.message);
+    }
+    requests = [];
+    return send(response, 204);
+  }
+
+  if (pathname === '/requests') {
+    return send(response, 200, JSON.stringify(requests), { 'Content-Type': 'application/json' });
+  }
+
+  if (pathname !== '/package.json') return send(response, 404, 'Not found');
+
+  const ifNoneMatch = request.headers['if-none-match'] || null;
+  requests.push({ ifNoneMatch });
+  if (state.status !== 200) return send(response, state.status, 'Feed unavailable');
+
+  const body = state.body ?? getPackage(state);
+  const etag = state.etag ?? `"${createHash('sha1').update(body).digest('hex').slice(0, 16)}"`;
+  if (ifNoneMatch === etag) return send(response, 304, '', { ETag: etag });
+  send(response, 200, body, { 'Content-Type': 'application/json', ETag: etag });
+});
+
+server.listen(port, () => {
+  console.log(`Package feed on http://localhost:${port}/package.json`);
+});
@@ -0,0 +1,51 @@
+import { test, assert } from './harness.js';
+import GlossaryCsv from '../src/utils/glossaryCsv.js';
+import PageGlossary from '../src/utils/pageGlossary.js';
+
+// Cells a spreadsheet would run as formulas when opening the file
+const FORMULAS = ['=HYPERLINK("https://evil.example/","Sword")', '+1+1', '-2+3', '@SUM(A1:A2)', '\tSword', '\rSword'];
+
+function readCells(text) {
+  return GlossaryCsv.parse(text, { delimiter: ',' }).rows.map(row => row.cells);
+}
+
+test('GlossaryCsv prefixes formula-like cells with an apostrophe', () => {
+  assert.equal(GlossaryCsv.quote('=1+1', ','), '\'=1+1', 'Formula');
+  assert.equal(GlossaryCsv.quote('=A1,B1', ','), '"\'=A1,B1"', 'Formula with the delimiter');
+  assert.equal(GlossaryCsv.quote('Sword-fish', ','), 'Sword-fish', 'Dash inside a cell');
+  assert.equal(GlossaryCsv.quote('\'=1+1', ','), '\'=1+1', 'Apostrophe already typed');
+});
+
+test('GlossaryCsv exports no cell that starts a formula', () => {
+  const csv = GlossaryCsv.fromPackage({
+    metadata: { name: 'Test', version: '1', languages: ['english', 'japanese'] },
+    conversionTable: { english: FORMULAS, japanese: FORMULAS.map((_, index) => `剣${index}`) },
+    definitionTable: { english: FORMULAS }
+  });
+
+  readCells(csv).slice(1).forEach(cells => {
+    cells.forEach(cell => assert.ok(!/^[=+\-@\t\r]/.test(cell), `Cell ${JSON.stringify(cell)}`));
+  });
+});
+
+test('GlossaryCsv imports its own export unchanged', () => {
+  const gamePackage = {
+    metadata: { name: 'Test', version: '1', languages: ['english', 'japanese'] },
+    conversionTable: { english: ['=Sword', '+Shield', '-Potion', '@Bow'], japanese: ['剣', '盾', '薬', '弓'] },
+    definitionTable: { english: ['=1+1', '', '-', '@home'] }
+  };
+  const { rows } = GlossaryCsv.parse(GlossaryCsv.fromPackage(gamePackage));
+  const imported = GlossaryCsv.toPackage(rows, GlossaryCsv.guessMapping(rows[0].cells), gamePackage.metadata);
+
+  assert.deepEqual(imported.errors, [], 'Errors');
+  assert.deepEqual(imported.gamePackage.conversionTable, gamePackage.conversionTable, 'Terms');
+  assert.deepEqual(imported.gamePackage.definitionTable, gamePackage.definitionTable, 'Definitions');
+});
+
+test('PageGlossary CSV export prefixes formula-like cells', () => {
+  const csv = PageGlossary.toCsv([
+    { original: '=Sword', translation: '@剣', definition: '-A weapon', count: 2, packageName: '+Pack' }
+  ]);
+
+  assert.deepEqual(readCells(csv)[1], ['\'=Sword', '\'@剣', '\'-A weapon', '2', '\'+Pack'], 'Cells');
+});
@@ -0,0 +1,70 @@
+// Registered tests, in the order their modules were imported
+const tests = [];
+
+/**
+ * Register a test
+ * @param {string} name - What the test checks
+ * @param {Function} fn - The test body; may be async, and fails by throwing
+ */
+export function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function format(value) {
+  return typeof value === 'string' ? JSON.stringify(value) : JSON.stringify(value) ?? String(value);
+}
+
+/**
+ * Assertions that throw an Error describing the mismatch
+ */
+export const assert = {
+  ok(value, message = 'Expected a truthy value') {
+    if (!value) throw new Error(`${message}: got ${format(value)}`);
+  },
+
+  equal(actual, expected, message = 'Values differ') {
+    if (!Object.is(actual, expected)) {
+      throw new Error(`${message}: expected ${format(expected)}, got ${format(actual)}`);
+    }
+  },
+
+  // Compares plain data: objects, arrays, strings, numbers, booleans and null
+  deepEqual(actual, expected, message = 'Values differ') {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error(`${message}: expected ${format(expected)}, got ${format(actual)}`);
+    }
+  },
+
+  async rejects(promise, pattern, message = 'Expected a rejection') {
+    try {
+      await promise;
+    } catch (error) {
+      if (pattern && !pattern.test(error.message)) {
+        throw new Error(`${message}: ${format(error.message)} does not match ${pattern}`);
+      }
+      return;
+    }
+    throw new Error(message);
+  }
+};
+
+/**
+ * Run every registered test, one at a time
+ * @param {Function} [onResult] - Called with `{ name, passed, error }` after each test
+ * @returns {Promise<Object[]>} - The results, in order
+ */
+export async function run(onResult = () => {}) {
+  const results = [];
+  for (const { name, fn } of tests) {
+    let result;
+    try {
+      await fn();
+      result = { name, passed: true, error: null };
+    } catch (error) {
+      result = { name, passed: false, error };
+    }
+    results.push(result);
+    onResult(result);
+  }
+  return results;
+}
@@ -0,0 +1,221 @@
+import { test, assert } from './harness.js';
+import KeywordRenderer from '../src/services/keywordRenderer.js';
+import RichText from '../src/utils/richText.js';
+import TermMatcher from '../src/utils/termMatcher.js';
+
+const CLASS_NAME = 'game-translator-keyword';
+
+// Markup page text may contain as visible text, e.g. in a forum post about XSS
+const HOSTILE_TEXT = '<img src=x onerror=alert(\'Sword\')> Sword &amp; <b>Shield</b> &lt;script&gt;alert(1)&lt;/script&gt;';
+const HOSTILE_STRINGS = [
+  '<img src=x onerror=alert(1)>',
+  '" onmouseover="alert(1)',
+  '<script>alert(1)</script>',
+  '</span><svg onload=alert(1)>',
+  '&lt;b&gt; &amp;amp; &#60;i&#62;',
+  '$& $1 $` $\''
+];
+
+/**
+ * Put a text node into a paragraph of a separate document, translate it and
+ * return the paragraph
+ */
+function translate(text, entries, { displayMode, caseSensitive = true } = {}) {
+  const doc = document.implementation.createHTMLDocument('');
+  const paragraph = doc.createElement('p');
+  paragraph.appendChild(doc.createTextNode(text));
+  doc.body.appendChild(paragraph);
+
+  const matcher = new TermMatcher(entries, { caseSensitive });
+  const matches = matcher.findMatches(text).map(({ start, end, entry }) => ({
+    start,
+    end,
+    translation: TermMatcher.matchCase(text.slice(start, end), entry.term, entry.translation),
+    definition: entry.definition,
+    packageName: entry.packageName,
+    displayMode
+  }));
+  KeywordRenderer.replaceTextNode(paragraph.firstChild, matches, { doc });
+  return paragraph;
+}
+
+// Every element under the paragraph must be a keyword span
+function assertOnlyKeywords(paragraph, expectedCount) {
+  const elements = Array.from(paragraph.querySelectorAll('*'));
+  elements.forEach(element => {
+    assert.equal(element.tagName, 'SPAN', 'Unexpected element');
+    assert.equal(element.className, CLASS_NAME, 'Unexpected class');
+    assert.equal(element.parentNode, paragraph, 'Keyword nested in another element');
+  });
+  assert.equal(elements.length, expectedCount, 'Keyword count');
+}
+
+function assertNoHandlers(root) {
+  root.querySelectorAll('*').forEach(element => {
+    Array.from(element.attributes).forEach(({ name }) => {
+      assert.ok(!name.toLowerCase().startsWith('on'), `Event handler attribute ${name} on <${element.tagName}>`);
+    });
+  });
+}
+
+test('KeywordRenderer keeps markup in page text as text', () => {
+  const paragraph = translate(HOSTILE_TEXT, [
+    { term: 'Sword', translation: '剣' },
+    { term: 'Shield', translation: '盾' }
+  ]);
+
+  assertOnlyKeywords(paragraph, 3);
+  assert.equal(paragraph.textContent,
+    '<img src=x onerror=alert(\'剣\')> 剣 &amp; <b>盾</b> &lt;script&gt;alert(1)&lt;/script&gt;',
+    'Translated text');
+});
+
+test('KeywordRenderer round-trips page text exactly when only highlighting', () => {
+  const paragraph = translate(HOSTILE_TEXT, [
+    { term: 'Sword', translation: '<i>剣</i>' },
+    { term: '&amp;', translation: '&' },
+    { term: '<b>', translation: '<strong>' }
+  ], { displayMode: 'highlight' });
+
+  assertOnlyKeywords(paragraph, 4);
+  assert.equal(paragraph.textContent, HOSTILE_TEXT, 'Original text');
+});
+
+test('KeywordRenderer writes hostile translations, definitions and package names as text', () => {
+  HOSTILE_STRINGS.forEach(hostile => {
+    const paragraph = translate('Draw the Sword now', [
+      { term: 'Sword', translation: hostile, definition: hostile, packageName: hostile }
+    ]);
+
+    assertOnlyKeywords(paragraph, 1);
+    assertNoHandlers(paragraph);
+    const keyword = paragraph.firstElementChild;
+    assert.equal(keyword.textContent, hostile, 'Keyword text');
+    assert.equal(keyword.dataset.definition, hostile, 'Definition attribute');
+    assert.equal(keyword.dataset.package, hostile, 'Package attribute');
+    assert.equal(paragraph.textContent, `Draw the ${hostile} now`, 'Translated text');
+    assert.deepEqual(KeywordRenderer.readKeyword(keyword, CLASS_NAME), {
+      original: 'Sword',
+      translation: hostile,
+      definition: hostile,
+      packageName: hostile
+    }, 'Read back');
+  });
+});
+
+test('KeywordRenderer builds only keyword structure in bilingual and ruby modes', () => {
+  ['bilingual', 'ruby'].forEach(displayMode => {
+    const hostile = '<img src=x onerror=alert(1)>';
+    const paragraph = translate(`${hostile} Sword`, [
+      { term: 'Sword', translation: hostile },
+      { term: hostile, translation: 'Sword' }
+    ], { displayMode });
+
+    assertNoHandlers(paragraph);
+    const keywords = Array.from(paragraph.children);
+    assert.equal(keywords.length, 2, `${displayMode} keyword count`);
+    keywords.forEach(keyword => {
+      assert.ok(keyword.classList.contains(CLASS_NAME), `${displayMode} keyword class`);
+      keyword.querySelectorAll('*').forEach(child => {
+        assert.ok(['SPAN', 'RT', 'RP'].includes(child.tagName), `${displayMode} builds <${child.tagName}>`);
+      });
+    });
+    assert.equal(paragraph.querySelectorAll('img, script, svg').length, 0, `${displayMode} parsed markup`);
+  });
+});
+
+test('KeywordRenderer shows the original first in bilingual mode', () => {
+  [['剣', 'Sword'], ...HOSTILE_STRINGS.map(hostile => ['剣', hostile])].forEach(([term, translation]) => {
+    const text = `${term}を装備`;
+    const paragraph = translate(text, [{ term, translation }], { displayMode: 'bilingual' });
+
+    const keyword = paragraph.firstElementChild;
+    assert.equal(keyword.textContent, `${term} (${translation})`, 'Keyword text');
+    assert.equal(paragraph.textContent, `${term} (${translation})を装備`, 'Translated text');
+    assert.equal(KeywordRenderer.readKeyword(keyword, CLASS_NAME).translation, translation, 'Read back');
+    assert.equal(KeywordRenderer.renderText(text, [{ start: 0, end: term.length, translation, displayMode: 'bilingual' }]),
+      `${term} (${translation})を装備`, 'Plain text');
+  });
+});
+
+test('TermMatcher matches regex metacharacters literally', () => {
+  const entries = ['Sword.*', '(Shield)+', '[Potion]', 'a|b', '^$', '\\d', '$&'].map((term, index) => ({
+    term,
+    translation: `T${index}$&$1`
+  }));
+  const text = 'SwordX Sword.* (Shield)+ Shield [Potion] Potion a|b ab ^$ \\d 1 $&';
+  const matcher = new TermMatcher(entries);
+
+  const matched = matcher.findMatches(text).map(({ start, end }) => text.slice(start, end));
+  assert.deepEqual(matched, ['Sword.*', '(Shield)+', '[Potion]', 'a|b', '^$', '\\d', '$&'], 'Matched text');
+
+  const paragraph = translate(text, entries);
+  assertOnlyKeywords(paragraph, 7);
+  assert.equal(paragraph.textContent,
+    'SwordX T0$&$1 T1$&$1 Shield T2$&$1 Potion T3$&$1 ab T4$&$1 T5$&$1 1 T6$&$1',
+    'Replacement patterns kept literally');
+});
+
+test('TermMatcher matches hostile terms case-insensitively without changing offsets', () => {
+  const text = '<SCRIPT>alert(1)</SCRIPT> and <script>';
+  const paragraph = translate(text, [{ term: '<script>', translation: '&lt;' }], { caseSensitive: false });
+
+  assertOnlyKeywords(paragraph, 2);
+  assert.equal(paragraph.textContent, '&LT;alert(1)</SCRIPT> and &lt;', 'Translated text');
+});
+
+test('RichText shows definitions without allowed tags exactly as written', () => {
+  ['a < b && c > d', '<notatag> & <3', '&lt;b&gt;not bold&lt;/b&gt;', ...HOSTILE_STRINGS.slice(1, 2)]
+    .forEach(definition => {
+      const fragment = RichText.render(definition);
+      assert.equal(fragment.childNodes.length, 1, 'Node count');
+      assert.equal(fragment.firstChild.nodeType, Node.TEXT_NODE, 'Text node');
+      assert.equal(fragment.textContent, definition, 'Definition text');
+    });
+});
+
+test('RichText keeps only allowed tags and checked attributes', () => {
+  const context = RichText.getContext({
+    metadata: { wiki: 'https://wiki.example/' },
+    assets: { 'icon.png': 'data:image/png;base64,iVBORw0KGgo=' }
+  });
+  const definitions = [
+    '<b onclick="alert(1)">Bold</b><img src=x onerror=alert(1)>',
+    '<i>x</i><script>alert(1)</script><svg onload=alert(1)><b>hidden</b></svg>',
+    '<a href="javascript:alert(1)">js</a> <a href="https://evil.example/">off-site</a>',
+    '<p style="background:url(javascript:alert(1))">styled</p><iframe srcdoc="<script>alert(1)</script>"></iframe>',
+    '<img src="asset:icon.png" alt="&quot; onerror=&quot;alert(1)" onerror="alert(1)">',
+    '<em>&lt;img src=x onerror=alert(1)&gt;</em><a href="Sword" target="_top">wiki</a>'
+  ];
+
+  definitions.forEach(definition => {
+    const container = document.createElement('div');
+    container.appendChild(RichText.render(definition, context));
+
+    assertNoHandlers(container);
+    container.querySelectorAll('*').forEach(element => {
+      const tag = element.tagName.toLowerCase();
+      assert.ok(RichText.ALLOWED_TAGS.has(tag), `Tag <${tag}> kept from ${definition}`);
+      Array.from(element.attributes).forEach(({ name, value }) => {
+        const allowed = [...RichText.ALLOWED_TAGS.get(tag), ...(tag === 'a' ? ['target', 'rel'] : [])];
+        assert.ok(allowed.includes(name), `Attribute ${name} kept on <${tag}>`);
+        if (name === 'href') assert.ok(value.startsWith('https://wiki.example/'), `Link to ${value}`);
+        if (name === 'src') assert.ok(value.startsWith('data:image/png;base64,'), `Image from ${value}`);
+      });
+    });
+    // Only the last definition has script-like text outside of tags
+    if (!definition.includes('&lt;')) {
+      assert.ok(!/alert|hidden/.test(container.textContent), `Dropped content shown for ${definition}`);
+    }
+  });
+});
+
+test('RichText decodes entities into text, never into elements', () => {
+  const fragment = RichText.render('<em>&lt;img src=x onerror=alert(1)&gt; &amp;amp;</em>');
+  const container = document.createElement('div');
+  container.appendChild(fragment);
+
+  assert.equal(container.querySelectorAll('img').length, 0, 'Image elements');
+  assert.equal(container.querySelector('em').textContent, '<img src=x onerror=alert(1)> &amp;', 'Decoded text');
+  assert.equal(RichText.toText('<b>Sword</b><script>alert(1)</script>'), 'Sword', 'Plain text');
+});
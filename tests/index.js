@@ -0,0 +1,30 @@
+import { run } from './harness.js';
+import './hostileContent.test.js';
+import './packageDiff.test.js';
+import './glossaryCsv.test.js';
+import './validator.test.js';
+import './packageLibrary.test.js';
+import './packageSubscriptions.test.js';
+import './tooltipController.test.js';
+
+const results = document.getElementById('results');
+const summary = document.getElementById('summary');
+
+const outcome = await run(({ name, passed, error }) => {
+  const item = document.createElement('li');
+  item.className = passed ? 'passed' : 'failed';
+  item.textContent = `${passed ? '✓' : '✗'} ${name}`;
+  if (error) {
+    const details = document.createElement('pre');
+    details.textContent = error.stack || error.message;
+    item.appendChild(details);
+    console.error(name, error);
+  }
+  results.appendChild(item);
+});
+
+const failed = outcome.filter(result => !result.passed).length;
+summary.textContent = `${outcome.length - failed} passed, ${failed} failed`;
+summary.className = failed ? 'failed' : 'passed';
+// Lets a driving browser script read the outcome from the title
+document.title = `${failed ? 'FAIL' : 'PASS'} - Game Translator Tests`;
@@ -0,0 +1,63 @@
+import { test, assert } from './harness.js';
+import PackageDiff from '../src/utils/packageDiff.js';
+
+function createPackage(version, terms = [['Sword', '剣']]) {
+  return {
+    formatVersion: 2,
+    metadata: { name: 'Test', version, languages: ['english', 'japanese'] },
+    entries: terms.map(([english, japanese]) => ({ terms: { english, japanese }, definitions: {} }))
+  };
+}
+
+test('PackageDiff.compareVersions orders release numbers numerically', () => {
+  assert.equal(PackageDiff.compareVersions('1.10', '1.9'), 1, '1.10 vs 1.9');
+  assert.equal(PackageDiff.compareVersions('1.0', '1.0.0'), 0, '1.0 vs 1.0.0');
+  assert.equal(PackageDiff.compareVersions('2', '10'), -1, '2 vs 10');
+  assert.equal(PackageDiff.compareVersions(' 1.2 ', '1.2'), 0, 'Surrounding spaces');
+  assert.equal(PackageDiff.compareVersions('1.0', null), null, 'Missing version');
+  assert.equal(PackageDiff.compareVersions(undefined, '1.0'), null, 'Missing version');
+});
+
+test('PackageDiff.compareVersions puts a prerelease before its release', () => {
+  assert.equal(PackageDiff.compareVersions('1.0-beta', '1.0'), -1, '1.0-beta vs 1.0');
+  assert.equal(PackageDiff.compareVersions('1.0', '1.0-beta'), 1, '1.0 vs 1.0-beta');
+  assert.equal(PackageDiff.compareVersions('1.0.0-rc.1', '1.0'), -1, '1.0.0-rc.1 vs 1.0');
+  assert.equal(PackageDiff.compareVersions('1.1-alpha', '1.0'), 1, '1.1-alpha vs 1.0');
+});
+
+test('PackageDiff.compareVersions follows semver prerelease precedence', () => {
+  // The example ordering from the semver specification
+  const ordered = ['1.0.0-alpha', '1.0.0-alpha.1', '1.0.0-alpha.beta', '1.0.0-beta', '1.0.0-beta.2',
+    '1.0.0-beta.11', '1.0.0-rc.1', '1.0.0'];
+  ordered.forEach((version, index) => {
+    ordered.forEach((other, otherIndex) => {
+      assert.equal(PackageDiff.compareVersions(version, other), Math.sign(index - otherIndex), `${version} vs ${other}`);
+    });
+  });
+  assert.equal(PackageDiff.compareVersions('1.0-x-y', '1.0-x'), 1, 'Hyphens inside a prerelease');
+});
+
+test('PackageDiff.compareVersions ignores build metadata', () => {
+  assert.equal(PackageDiff.compareVersions('1.0+edit.2', '1.0'), 0, '1.0+edit.2 vs 1.0');
+  assert.equal(PackageDiff.compareVersions('1.0+edit.2', '1.1'), -1, '1.0+edit.2 vs 1.1');
+  assert.equal(PackageDiff.compareVersions('1.0-beta+edit.1', '1.0'), -1, '1.0-beta+edit.1 vs 1.0');
+});
+
+test('PackageDiff.diff reports a prerelease of the installed release as a downgrade', () => {
+  assert.equal(PackageDiff.diff(createPackage('1.0'), createPackage('1.0-beta')).direction, 'downgrade', '1.0 to 1.0-beta');
+  assert.equal(PackageDiff.diff(createPackage('1.0-beta'), createPackage('1.0')).direction, 'upgrade', '1.0-beta to 1.0');
+  assert.equal(PackageDiff.diff(createPackage('1.0'), createPackage('1.0')).direction, 'same', 'Same version');
+  assert.equal(PackageDiff.diff(createPackage(undefined), createPackage('1.0')).direction, 'unknown', 'No version');
+});
+
+test('PackageDiff.diff lists added, removed and changed terms', () => {
+  const diff = PackageDiff.diff(
+    createPackage('1.0', [['Sword', '剣'], ['Shield', '盾']]),
+    createPackage('1.1', [['Sword', 'ソード'], ['Potion', '薬']])
+  );
+  assert.ok(diff.hasChanges, 'Has changes');
+  assert.deepEqual(diff.languages, {
+    japanese: { added: ['薬'], removed: ['盾'], changed: [{ from: '剣', to: 'ソード' }] },
+    english: { added: ['Potion'], removed: ['Shield'], changed: [] }
+  }, 'Term changes');
+});
@@ -0,0 +1,101 @@
+import { test, assert } from './harness.js';
+import { installChromeStub } from './chromeStub.js';
+import PackageLibrary from '../src/services/packageLibrary.js';
+
+function createPackage(version, sword = '剣', name = 'Test') {
+  return {
+    metadata: { name, version, languages: ['english', 'japanese'] },
+    conversionTable: { english: ['Sword'], japanese: [sword] }
+  };
+}
+
+// Run a test body against an empty in-memory chrome.storage
+function withStorage(fn) {
+  return async () => {
+    const stub = installChromeStub();
+    try {
+      await fn(stub.storage);
+    } finally {
+      stub.restore();
+    }
+  };
+}
+
+test('PackageLibrary keeps replaced packages out of the library key', withStorage(async storage => {
+  for (const version of ['1', '2', '3', '4', '5']) await PackageLibrary.add(createPackage(version));
+
+  const [entry] = storage.get(PackageLibrary.STORAGE_KEY);
+  assert.equal(PackageLibrary.getVersion(entry.gamePackage), '5', 'Current version');
+  assert.deepEqual(entry.history.map(item => item.version), ['4', '3', '2'], 'History summary');
+  assert.ok(entry.history.every(item => !('gamePackage' in item)), 'Packages kept in the library');
+
+  const history = await PackageLibrary.getHistory(entry.id);
+  assert.deepEqual(history.map(item => PackageLibrary.getVersion(item.gamePackage)), ['4', '3', '2'], 'Stored history');
+  assert.equal(storage.get(PackageLibrary.getHistoryKey(entry.id)).length, PackageLibrary.MAX_HISTORY, 'History key');
+}));
+
+test('PackageLibrary rolls back to the newest replaced package', withStorage(async storage => {
+  await PackageLibrary.add(createPackage('1', '剣'));
+  const { id } = await PackageLibrary.add(createPackage('2', 'つるぎ'));
+
+  const entry = await PackageLibrary.rollback(id);
+  assert.equal(PackageLibrary.getVersion(entry.gamePackage), '1', 'Restored version');
+  assert.deepEqual(entry.gamePackage.entries[0].terms, { english: 'Sword', japanese: '剣' }, 'Restored terms');
+  assert.deepEqual(entry.history, [], 'History summary');
+  assert.deepEqual(await PackageLibrary.getHistory(id), [], 'Stored history');
+  await assert.rejects(PackageLibrary.rollback(id), /No earlier version/, 'Second rollback');
+}));
+
+test('PackageLibrary edits leave the history alone', withStorage(async () => {
+  await PackageLibrary.add(createPackage('1'));
+  const { id } = await PackageLibrary.add(createPackage('2'));
+
+  const entry = await PackageLibrary.update(id, createPackage('2', 'つるぎ'));
+  assert.deepEqual(entry.history.map(item => item.version), ['1'], 'History summary');
+  assert.equal((await PackageLibrary.getHistory(id)).length, 1, 'Stored history');
+}));
+
+test('PackageLibrary removes an entry\'s history with it', withStorage(async storage => {
+  await PackageLibrary.add(createPackage('1'));
+  const { id } = await PackageLibrary.add(createPackage('2'));
+
+  await PackageLibrary.remove(id);
+  assert.deepEqual([...storage.keys()], [PackageLibrary.STORAGE_KEY], 'Stored keys');
+}));
+
+test('PackageLibrary moves history stored inside entries to its own key', withStorage(async storage => {
+  const old = { gamePackage: createPackage('1'), replacedAt: 1 };
+  storage.set(PackageLibrary.STORAGE_KEY, [
+    { id: 'a', enabled: true, addedAt: 0, gamePackage: createPackage('2'), history: [old], displayMode: null },
+    { id: 'b', enabled: true, addedAt: 0, gamePackage: createPackage('1'), history: [], displayMode: null }
+  ]);
+
+  await PackageLibrary.migrateHistory();
+  const [a, b] = storage.get(PackageLibrary.STORAGE_KEY);
+  assert.deepEqual(a.history, [{ version: '1', replacedAt: 1 }], 'Summary');
+  assert.deepEqual(b.history, [], 'Entry without history');
+  assert.deepEqual(await PackageLibrary.getHistory('a'), [old], 'Moved history');
+  assert.ok(!storage.has(PackageLibrary.getHistoryKey('b')), 'Key for an empty history');
+}));
+
+test('PackageLibrary keeps every change made at the same time', withStorage(async storage => {
+  const { id } = await PackageLibrary.add(createPackage('1'));
+
+  await Promise.all([
+    PackageLibrary.add(createPackage('1', '盾', 'Shields')),
+    PackageLibrary.setEnabled(id, false),
+    PackageLibrary.add(createPackage('1', '弓', 'Bows')),
+    PackageLibrary.setDisplayMode(id, 'ruby')
+  ]);
+
+  const library = storage.get(PackageLibrary.STORAGE_KEY);
+  assert.deepEqual(library.map(entry => PackageLibrary.getName(entry.gamePackage)), ['Test', 'Shields', 'Bows'], 'Packages');
+  assert.equal(library[0].enabled, false, 'Enabled');
+  assert.equal(library[0].displayMode, 'ruby', 'Display mode');
+}));
+
+test('PackageLibrary runs the next change after one that failed', withStorage(async storage => {
+  await assert.rejects(PackageLibrary.setEnabled('missing', true), /Package not found/, 'Failed change');
+  await PackageLibrary.add(createPackage('1'));
+  assert.equal(storage.get(PackageLibrary.STORAGE_KEY).length, 1, 'Library size');
+}));
@@ -0,0 +1,149 @@
+import { test, assert } from './harness.js';
+import { installChromeStub } from './chromeStub.js';
+import PackageLibrary from '../src/services/packageLibrary.js';
+import PackageSubscriptions from '../src/services/packageSubscriptions.js';
+
+// Served by tests/feedServer.mjs
+const FEED = 'http://localhost:8787';
+const PACKAGE_URL = `${FEED}/package.json`;
+
+// Set what the feed serves and clear its request log
+async function setFeed(state = {}) {
+  let response;
+  try {
+    response = await fetch(`${FEED}/state`, { method: 'POST', body: JSON.stringify(state) });
+  } catch (error) {
+    throw new Error(`No package feed at ${FEED}; start it with \`node tests/feedServer.mjs\` (${error.message})`);
+  }
+  assert.equal(response.status, 204, 'Feed state');
+}
+
+async function getFeedRequests() {
+  return (await fetch(`${FEED}/requests`)).json();
+}
+
+async function getInstalledVersion() {
+  const entry = await PackageLibrary.findByName('Feed Test');
+  return PackageLibrary.getVersion(entry?.gamePackage);
+}
+
+// Run a test body against empty in-memory extension storage, subscribed to the feed
+function withSubscription(fn) {
+  return async () => {
+    const stub = installChromeStub();
+    try {
+      await setFeed();
+      await PackageSubscriptions.subscribe(PACKAGE_URL);
+      await fn(stub);
+    } finally {
+      stub.restore();
+    }
+  };
+}
+
+async function checkOnce() {
+  const [result] = await PackageSubscriptions.checkAll();
+  const [subscription] = await PackageSubscriptions.getAll();
+  return { result, subscription };
+}
+
+test('PackageSubscriptions installs the package and sends its ETag on the next check', withSubscription(async stub => {
+  const [first] = await getFeedRequests();
+  assert.equal(first.ifNoneMatch, null, 'First request');
+  assert.equal(await getInstalledVersion(), '1.0', 'Installed version');
+
+  const { result, subscription } = await checkOnce();
+  assert.equal(result.status, 'not-modified', 'Status');
+  const [, second] = await getFeedRequests();
+  assert.equal(second.ifNoneMatch, subscription.etag, 'Conditional request');
+  assert.equal(stub.notifications.length, 0, 'Notifications');
+}));
+
+test('PackageSubscriptions installs a new version and reports what changed', withSubscription(async stub => {
+  const { subscription: before } = await checkOnce();
+  await setFeed({ version: '1.1', terms: { Sword: 'つるぎ', Shield: '盾' } });
+
+  const { result, subscription } = await checkOnce();
+  assert.equal(result.status, 'updated', 'Status');
+  assert.ok(subscription.etag && subscription.etag !== before.etag, 'New ETag stored');
+  assert.equal(await getInstalledVersion(), '1.1', 'Installed version');
+
+  const entry = await PackageLibrary.findByName('Feed Test');
+  assert.deepEqual(entry.history.map(item => item.version), ['1.0'], 'Previous version kept');
+  assert.equal(stub.notifications.length, 1, 'Notifications');
+  assert.ok(stub.notifications[0].message.includes('Terms: 2 added, 0 removed, 1 changed.'),
+    `Notification: ${stub.notifications[0].message}`);
+}));
+
+test('PackageSubscriptions keeps the package when the feed fails', withSubscription(async () => {
+  const { subscription: before } = await checkOnce();
+  await setFeed({ version: '2.0', status: 500 });
+
+  const { result, subscription } = await checkOnce();
+  assert.equal(result.status, 'error', 'Status');
+  assert.equal(subscription.lastError, 'HTTP 500', 'Last error');
+  assert.equal(subscription.etag, before.etag, 'ETag');
+  assert.equal(await getInstalledVersion(), '1.0', 'Installed version');
+
+  await setFeed({ version: '2.0' });
+  assert.equal((await checkOnce()).subscription.lastError, null, 'Error cleared after recovering');
+  assert.equal(await getInstalledVersion(), '2.0', 'Version after recovering');
+}));
+
+test('PackageSubscriptions rejects broken JSON and invalid packages', withSubscription(async () => {
+  await setFeed({ body: '{ "metadata": { "name": "Feed Test", }' });
+  let { result, subscription } = await checkOnce();
+  assert.equal(result.status, 'error', 'Broken JSON status');
+  assert.ok(subscription.lastError.startsWith('Invalid JSON'), `Broken JSON error: ${subscription.lastError}`);
+
+  await setFeed({ body: '{ "metadata": { "name": "Feed Test" } }' });
+  ({ result, subscription } = await checkOnce());
+  assert.equal(result.status, 'error', 'Invalid package status');
+  assert.ok(subscription.lastError.startsWith('Invalid package'), `Invalid package error: ${subscription.lastError}`);
+  assert.equal(await getInstalledVersion(), '1.0', 'Installed version');
+}));
+
+test('PackageSubscriptions refuses an older version', withSubscription(async stub => {
+  await setFeed({ version: '1.0-beta', terms: { Sword: 'けん' } });
+
+  const { result, subscription } = await checkOnce();
+  assert.equal(result.status, 'error', 'Status');
+  assert.equal(subscription.lastError, 'Refused to replace v1.0 with the older v1.0-beta', 'Last error');
+  assert.equal(await getInstalledVersion(), '1.0', 'Installed version');
+  assert.equal(stub.notifications.length, 0, 'Notifications');
+
+  // Not remembered, so the next check downloads it again and still refuses
+  await checkOnce();
+  const requests = await getFeedRequests();
+  assert.equal(requests[requests.length - 1].ifNoneMatch, subscription.etag, 'ETag sent');
+  assert.equal(await getInstalledVersion(), '1.0', 'Installed version after another check');
+}));
+
+test('PackageSubscriptions leaves the package alone when only the ETag changed', withSubscription(async stub => {
+  await setFeed({ etag: '"rebuilt"' });
+
+  const { result, subscription } = await checkOnce();
+  assert.equal(result.status, 'unchanged', 'Status');
+  assert.equal(subscription.etag, '"rebuilt"', 'ETag');
+  assert.deepEqual((await PackageLibrary.findByName('Feed Test')).history, [], 'History');
+  assert.equal(stub.notifications.length, 0, 'Notifications');
+}));
+
+test('PackageSubscriptions reports a package it could not save and tries again', withSubscription(async () => {
+  await setFeed({ version: '1.1', terms: { Sword: 'つるぎ' } });
+  const { set } = chrome.storage.local;
+  chrome.storage.local.set = async items => {
+    if (PackageLibrary.STORAGE_KEY in items) throw new Error('QUOTA_BYTES quota exceeded');
+    return set(items);
+  };
+
+  let { result, subscription } = await checkOnce();
+  assert.equal(result.status, 'error', 'Status');
+  assert.equal(subscription.lastError, 'Could not save the package: QUOTA_BYTES quota exceeded', 'Last error');
+  assert.equal(await getInstalledVersion(), '1.0', 'Installed version');
+
+  chrome.storage.local.set = set;
+  ({ result, subscription } = await checkOnce());
+  assert.equal(result.status, 'updated', 'Status after the failed save');
+  assert.equal(await getInstalledVersion(), '1.1', 'Installed version after the failed save');
+}));
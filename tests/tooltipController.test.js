@@ -0,0 +1,62 @@
+import { test, assert } from './harness.js';
+import TooltipController from '../src/services/tooltipController.js';
+
+// A page with one keyword in the document and one in a shadow root
+function setUp() {
+  const host = document.createElement('div');
+  const keyword = document.createElement('span');
+  keyword.className = 'test-keyword';
+  keyword.textContent = 'Sword';
+  const root = host.attachShadow({ mode: 'open' });
+  const shadowKeyword = keyword.cloneNode(true);
+  root.appendChild(shadowKeyword);
+  document.body.append(keyword, host);
+
+  const tooltip = new TooltipController({
+    selector: '.test-keyword',
+    render: element => document.createTextNode(`Definition of ${element.textContent}`),
+    className: 'test-tooltip'
+  });
+  tooltip.start();
+  tooltip.addRoot(root);
+  return {
+    keyword, shadowKeyword, root, tooltip,
+    tearDown() {
+      tooltip.stop();
+      keyword.remove();
+      host.remove();
+    }
+  };
+}
+
+test('TooltipController describes keywords in the document by the tooltip', () => {
+  const { keyword, tooltip, tearDown } = setUp();
+  try {
+    tooltip.show(keyword);
+    const described = document.getElementById(keyword.getAttribute('aria-describedby'));
+    assert.equal(described, tooltip.element, 'Description');
+    tooltip.hide();
+    assert.ok(!keyword.hasAttribute('aria-describedby'), 'Attribute kept after hiding');
+  } finally {
+    tearDown();
+  }
+});
+
+test('TooltipController describes keywords in a shadow root by an element in that root', () => {
+  const { keyword, shadowKeyword, root, tooltip, tearDown } = setUp();
+  try {
+    tooltip.show(shadowKeyword);
+    const described = root.getElementById(shadowKeyword.getAttribute('aria-describedby'));
+    assert.ok(described, 'Description in the shadow root');
+    assert.ok(described.hidden, 'Description hidden');
+    assert.equal(described.textContent, 'Definition of Sword', 'Description text');
+
+    tooltip.show(keyword);
+    assert.ok(!shadowKeyword.hasAttribute('aria-describedby'), 'Attribute kept on the previous keyword');
+
+    tooltip.removeRoot(root);
+    assert.ok(!described.isConnected, 'Description kept after removing the root');
+  } finally {
+    tearDown();
+  }
+});
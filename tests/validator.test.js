@@ -0,0 +1,32 @@
+import { test, assert } from './harness.js';
+import Validator from '../src/utils/validator.js';
+
+function getWarnings(conversionTable) {
+  const report = Validator.getPackageReport({
+    metadata: { name: 'Test', version: '1', languages: Object.keys(conversionTable) },
+    conversionTable
+  });
+  assert.deepEqual(report.errors, [], 'Errors');
+  return report.warnings.map(Validator.formatIssue);
+}
+
+test('Validator warns when a term shared by two languages translates differently', () => {
+  const warnings = getWarnings({
+    english: ['Katana', 'Blade'],
+    japanese: ['刀', 'Katana']
+  });
+
+  assert.deepEqual(warnings, [
+    'conversionTable.japanese[1]: "Katana" is also the english term at conversionTable.english[0], which has a different translation'
+  ], 'Warnings');
+});
+
+test('Validator accepts a term shared by two languages that translates the same way', () => {
+  const warnings = getWarnings({
+    english: ['HP', ''],
+    japanese: ['', 'HP'],
+    chinese: ['生命', '生命']
+  });
+
+  assert.ok(warnings.every(warning => !warning.includes('different translation')), 'Conflict warning');
+});